@@ -0,0 +1,97 @@
+const { app } = require("@azure/functions");
+const { validationErrorResponse } = require("../shared/validation");
+const { registerEventRoute } = require("../shared/events");
+const { exceptionResponse } = require("../shared/errors");
+const { authorize } = require("../shared/auth");
+const { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, queryAudit } = require("../shared/audit");
+
+const DEFAULT_AUDIT_LIMIT = 100;
+const MAX_AUDIT_LIMIT = 500;
+
+const AUDIT_CURSOR = /^\d{16}-\d{6}-[0-9a-f]{6}$/;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// A from/to query value as an ISO timestamp, or null when it is not a date.
+// A date on its own covers the whole day (UTC), so to=2026-02-05 includes it.
+function parseAuditTime(value, endOfDay) {
+    const time = new Date(DATE_ONLY.test(value) && endOfDay ? `${value}T23:59:59.999Z` : value);
+    return isNaN(time) ? null : time.toISOString();
+}
+
+// Check the query of GET /api/audit; returns { filters } or { errors }
+function parseAuditQuery(query) {
+    const errors = [];
+    const filters = {
+        entityType: query.entityType,
+        entityId: query.entityId,
+        actor: query.actor,
+        action: query.action,
+        source: query.source,
+        limit: DEFAULT_AUDIT_LIMIT
+    };
+    
+    if (query.entityType && !AUDIT_ENTITY_TYPES.includes(query.entityType)) {
+        errors.push({ field: "entityType", message: `must be one of ${AUDIT_ENTITY_TYPES.join(", ")}` });
+    }
+    if (query.action && !AUDIT_ACTIONS.includes(query.action)) {
+        errors.push({ field: "action", message: `must be one of ${AUDIT_ACTIONS.join(", ")}` });
+    }
+    for (const field of ["from", "to"]) {
+        if (!query[field]) continue;
+        filters[field] = parseAuditTime(query[field], field === "to");
+        if (!filters[field]) {
+            errors.push({ field, message: "must be a date or ISO timestamp" });
+        }
+    }
+    if (query.limit !== undefined) {
+        filters.limit = Number(query.limit);
+        if (!Number.isInteger(filters.limit) || filters.limit < 1 || filters.limit > MAX_AUDIT_LIMIT) {
+            errors.push({ field: "limit", message: `must be a whole number from 1 to ${MAX_AUDIT_LIMIT}` });
+        }
+    }
+    if (query.cursor) {
+        if (!AUDIT_CURSOR.test(query.cursor)) {
+            errors.push({ field: "cursor", message: "must be the nextCursor of a previous page" });
+        }
+        filters.cursor = query.cursor;
+    }
+    return errors.length > 0 ? { errors } : { filters };
+}
+
+// GET /api/audit - Changes made to the event, newest first. Filter with
+// ?entityType=, ?entityId=, ?actor=, ?action=, ?source=, ?from= and ?to=;
+// page with ?limit= and the cursor returned as nextCursor.
+async function getAuditLog(request, context) {
+    try {
+        const { filters, errors } = parseAuditQuery(request.query);
+        if (errors) {
+            return validationErrorResponse(errors);
+        }
+        
+        const { entries, nextCursor } = await queryAudit(request.params.eventId, filters);
+        
+        return {
+            status: 200,
+            jsonBody: { entries, nextCursor }
+        };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to fetch audit log", error);
+    }
+}
+
+// Register routes. The log is for the people who make changes, so reading it
+// needs an editor.
+registerEventRoute(app, "getAuditLog", {
+    methods: ["GET"],
+    authLevel: "anonymous",
+    route: "audit",
+    handler: authorize("editor", async (request, context) => {
+        // Handlers take query parameters as a plain object
+        const query = Object.fromEntries(new URL(request.url).searchParams);
+        return getAuditLog({ params: request.params, query }, context);
+    })
+});
+
+module.exports = {
+    getAuditLog
+};
@@ -0,0 +1,142 @@
+const { app } = require("@azure/functions");
+const { findEventEntity, eventNotFoundResponse } = require("../shared/events");
+const { RESTORE_MODES, readEventData, createBackup, checkBackup, planRestore, restoreAuditChanges, applyRestore } = require("../shared/eventBackup");
+const { errorResponse, exceptionResponse, withErrorHandling } = require("../shared/errors");
+const { authorize } = require("../shared/auth");
+const { getActor, recordAudit } = require("../shared/audit");
+
+// Counts for each part of a restore plan, with the ids that change and the
+// messages for what checkBackup skipped
+function summarizePlan(plan, skipped) {
+    const counts = step => ({
+        created: step.created.length,
+        updated: step.updated.length,
+        unchanged: step.unchanged.length,
+        deleted: step.deleted.length
+    });
+    const changes = step => ({ created: step.created, updated: step.updated, deleted: step.deleted });
+    return {
+        schedule: counts(plan.schedule),
+        speakers: counts(plan.speakers),
+        links: { added: plan.links.added.length, removed: plan.links.removed.length },
+        changes: {
+            schedule: changes(plan.schedule),
+            speakers: changes(plan.speakers),
+            links: plan.links
+        },
+        skipped: skipped.map(entry => entry.message)
+    };
+}
+
+// GET /api/backup/{eventId?} - Download the event's schedule, speakers and
+// their links as one versioned JSON archive
+async function getBackup(request, context) {
+    try {
+        const eventId = request.params.eventId;
+        if (!(await findEventEntity(eventId))) {
+            return eventNotFoundResponse();
+        }
+        
+        const archive = await createBackup(eventId);
+        context.log(`Backed up ${archive.schedule.length} schedule items and ${archive.speakers.length} speakers of ${archive.eventId}`);
+        
+        return {
+            status: 200,
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Disposition': `attachment; filename="backup-${archive.eventId}-${archive.createdAt.replace(/[:.]/g, '-')}.json"`
+            },
+            body: JSON.stringify(archive, null, 2)
+        };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to create backup", error);
+    }
+}
+
+// POST /api/backup/{eventId?}?mode=replace|merge&dryRun=true - Restore an
+// archive from GET /api/backup into the event. replace (the default) makes the
+// event match the archive; merge only adds and overwrites. A dry run returns
+// the same summary without writing anything.
+async function restoreBackup(request, context) {
+    try {
+        const eventId = request.params.eventId;
+        if (!(await findEventEntity(eventId))) {
+            return eventNotFoundResponse();
+        }
+        
+        const mode = request.query.mode || "replace";
+        if (!RESTORE_MODES.includes(mode)) {
+            return errorResponse(400, `mode must be one of ${RESTORE_MODES.join(", ")}`);
+        }
+        const dryRun = request.query.dryRun === "true";
+        
+        let archive;
+        try {
+            archive = JSON.parse(await request.text());
+        } catch (e) {
+            return errorResponse(400, "Backup is not valid JSON");
+        }
+        
+        // Records that fail the checks are skipped; only a broken archive is rejected
+        const { errors, skipped, archive: restorable } = checkBackup(archive);
+        if (errors.length > 0) {
+            return errorResponse(400, "Invalid backup", { code: "invalid_backup", errors });
+        }
+        
+        const current = await readEventData(eventId);
+        const plan = planRestore(current, restorable, mode, skipped);
+        
+        if (dryRun) {
+            return {
+                status: 200,
+                jsonBody: { message: "Dry run - nothing was changed", dryRun: true, mode, ...summarizePlan(plan, skipped) }
+            };
+        }
+        
+        await applyRestore(eventId, current, restorable, plan, mode, getActor(request));
+        context.log(`Restored backup from ${archive.createdAt} of ${archive.eventId} into ${eventId || "default"} (${mode})`);
+        
+        // One entry for the restore as a whole, then one per record it changed
+        const summary = summarizePlan(plan, skipped);
+        await recordAudit(request, [{
+            action: "restore",
+            entityType: "event",
+            entityId: eventId || "default",
+            after: { backupOf: archive.eventId, backupCreatedAt: archive.createdAt, mode, ...summary }
+        }, ...restoreAuditChanges(current, restorable, plan)], "backup", context);
+        
+        return {
+            status: 200,
+            jsonBody: { message: "Restore completed", mode, ...summary }
+        };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to restore backup", error);
+    }
+}
+
+// Register routes. These are not event-scoped like the schedule and speakers
+// routes: the event is an optional last segment instead, so that one
+// staticwebapp.config.json rule (/api/backup/*) can require a login for both.
+// Downloading needs an editor and restoring an admin.
+app.http("getBackup", {
+    methods: ["GET"],
+    authLevel: "anonymous",
+    route: "backup/{eventId?}",
+    handler: withErrorHandling(authorize("editor", getBackup))
+});
+
+app.http("restoreBackup", {
+    methods: ["POST"],
+    authLevel: "anonymous",
+    route: "backup/{eventId?}",
+    handler: withErrorHandling(authorize("admin", async (request, context) => {
+        // Handlers take query parameters as a plain object
+        const query = Object.fromEntries(new URL(request.url).searchParams);
+        return restoreBackup({ params: request.params, headers: request.headers, query, text: () => request.text() }, context);
+    }))
+});
+
+module.exports = {
+    getBackup,
+    restoreBackup
+};
@@ -0,0 +1,317 @@
+const { app } = require("@azure/functions");
+const { EVENT_SCHEMA, validate, validationErrorResponse } = require("../shared/validation");
+const { applyPatch } = require("../shared/patch");
+const { getIfMatch, etagMatches, etagOptions, isPreconditionFailed, preconditionFailedResponse } = require("../shared/concurrency");
+const {
+    DEFAULT_EVENT_ID,
+    EVENT_PARTITION,
+    getEventsClient,
+    createEventTables,
+    toEvent,
+    findEventEntity,
+    findVisibleEventEntity,
+    isHiddenDraft,
+    canSeeDrafts,
+    listEvents,
+    resolveCurrentEvent,
+    eventNotFoundResponse
+} = require("../shared/events");
+const { errorResponse, exceptionResponse, readJson, withErrorHandling } = require("../shared/errors");
+const { authorize } = require("../shared/auth");
+const { recordAudit } = require("../shared/audit");
+
+// Fields a PATCH may set, and what sending null resets them to (id comes from
+// the URL and name is required)
+const EVENT_CLEAR_VALUES = {
+    name: null,
+    startDate: '',
+    endDate: '',
+    timezone: '',
+    status: 'draft',
+    tagline: '',
+    logoUrl: '',
+    primaryColor: ''
+};
+
+// Ids a new event cannot take: "current" would be shadowed by the
+// events/current route, and "default" is the event using the unsuffixed tables
+const RESERVED_EVENT_IDS = ["current", DEFAULT_EVENT_ID];
+
+function buildEventEntity(id, data) {
+    return {
+        partitionKey: EVENT_PARTITION,
+        rowKey: id,
+        name: data.name,
+        startDate: data.startDate || '',
+        endDate: data.endDate || '',
+        timezone: data.timezone || '',
+        status: data.status || 'draft',
+        tagline: data.tagline || '',
+        logoUrl: data.logoUrl || '',
+        primaryColor: data.primaryColor || ''
+    };
+}
+
+// Audit log change for an event, from its stored entities before and after
+function eventChange(action, before, after) {
+    return {
+        action,
+        entityType: "event",
+        entityId: (after || before).rowKey,
+        before: before ? toEvent(before) : null,
+        after: after ? toEvent(after) : null
+    };
+}
+
+// Checks across fields that the schema cannot express
+function validateEventDates(entity) {
+    if (entity.startDate && entity.endDate && entity.endDate < entity.startDate) {
+        return [{ field: "endDate", message: "must not be before startDate" }];
+    }
+    return [];
+}
+
+// Write an event update honouring If-Match. The default event has no row until
+// it is first saved, so that first save is a create.
+async function saveEvent(existingEntity, entity, ifMatch) {
+    const client = getEventsClient();
+    try {
+        if (!existingEntity.etag) await client.createTable();
+        const result = existingEntity.etag
+            ? await client.updateEntity(entity, "Replace", etagOptions(ifMatch))
+            : await client.createEntity(entity);
+        return { etag: result.etag };
+    } catch (error) {
+        if (isPreconditionFailed(error) || error.statusCode === 409) {
+            const current = await findEventEntity(entity.rowKey);
+            return { conflict: preconditionFailedResponse("Event", current ? toEvent(current) : null) };
+        }
+        throw error;
+    }
+}
+
+// GET /api/events - All events, newest first; drafts only for callers with a role
+async function getEvents(request, context) {
+    try {
+        let events = await listEvents();
+        if (!(await canSeeDrafts(request))) {
+            events = events.filter(event => !isHiddenDraft(event));
+        }
+        
+        return {
+            status: 200,
+            jsonBody: { events }
+        };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to fetch events", error);
+    }
+}
+
+// GET /api/events/current - The event the public site shows by default
+async function getCurrentEvent(request, context) {
+    try {
+        return {
+            status: 200,
+            jsonBody: await resolveCurrentEvent()
+        };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to fetch current event", error);
+    }
+}
+
+// GET /api/events/{eventId} - Get a single event
+async function getEvent(request, context) {
+    try {
+        const entity = await findVisibleEventEntity(request, request.params.eventId);
+        
+        if (!entity) {
+            return eventNotFoundResponse();
+        }
+        
+        const event = toEvent(entity);
+        return {
+            status: 200,
+            headers: event.etag ? { ETag: event.etag } : {},
+            jsonBody: event
+        };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to fetch event", error);
+    }
+}
+
+// POST /api/events - Create an event and its schedule/speaker tables
+async function addEvent(request, context) {
+    try {
+        const body = await readJson(request);
+        
+        const validationErrors = validate(EVENT_SCHEMA, body);
+        if (validationErrors.length > 0) {
+            return validationErrorResponse(validationErrors);
+        }
+        if (RESERVED_EVENT_IDS.includes(body.id)) {
+            return validationErrorResponse([{ field: "id", message: `"${body.id}" is reserved` }]);
+        }
+        
+        const entity = buildEventEntity(body.id, body);
+        const dateErrors = validateEventDates(entity);
+        if (dateErrors.length > 0) {
+            return validationErrorResponse(dateErrors);
+        }
+        
+        const client = getEventsClient();
+        await client.createTable();
+        
+        let result;
+        try {
+            result = await client.createEntity(entity);
+        } catch (error) {
+            if (error.statusCode === 409) {
+                return errorResponse(409, `An event with id "${body.id}" already exists`);
+            }
+            throw error;
+        }
+        
+        await createEventTables(body.id);
+        await recordAudit(request, [eventChange("create", null, entity)], "api", context, body.id);
+        
+        return {
+            status: 201,
+            jsonBody: { message: "Event created", ...toEvent({ ...entity, etag: result.etag }) }
+        };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to create event", error);
+    }
+}
+
+// PUT /api/events/{eventId} - Replace an event's details (omitted optional fields are reset)
+async function updateEvent(request, context) {
+    try {
+        const eventId = request.params.eventId;
+        const body = await readJson(request);
+        
+        const validationErrors = validate(EVENT_SCHEMA, { ...body, id: eventId });
+        if (validationErrors.length > 0) {
+            return validationErrorResponse(validationErrors);
+        }
+        
+        const ifMatch = getIfMatch(request);
+        const existingEntity = await findEventEntity(eventId);
+        
+        if (!existingEntity) {
+            return eventNotFoundResponse();
+        }
+        if (!etagMatches(ifMatch, existingEntity.etag)) {
+            return preconditionFailedResponse("Event", toEvent(existingEntity));
+        }
+        
+        const entity = buildEventEntity(eventId, body);
+        const dateErrors = validateEventDates(entity);
+        if (dateErrors.length > 0) {
+            return validationErrorResponse(dateErrors);
+        }
+        
+        const { etag, conflict } = await saveEvent(existingEntity, entity, ifMatch);
+        if (conflict) return conflict;
+        await recordAudit(request, [eventChange("update", existingEntity, entity)], "api", context);
+        
+        return {
+            status: 200,
+            jsonBody: { message: "Event updated", ...toEvent({ ...entity, etag }) }
+        };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to update event", error);
+    }
+}
+
+// PATCH /api/events/{eventId} - Update only the fields sent; null clears optional fields
+async function patchEvent(request, context) {
+    try {
+        const eventId = request.params.eventId;
+        const body = await readJson(request);
+        
+        const validationErrors = validate(EVENT_SCHEMA, { ...body, id: eventId }, { partial: true });
+        if (validationErrors.length > 0) {
+            return validationErrorResponse(validationErrors);
+        }
+        
+        const ifMatch = getIfMatch(request);
+        const existingEntity = await findEventEntity(eventId);
+        
+        if (!existingEntity) {
+            return eventNotFoundResponse();
+        }
+        if (!etagMatches(ifMatch, existingEntity.etag)) {
+            return preconditionFailedResponse("Event", toEvent(existingEntity));
+        }
+        
+        const entity = buildEventEntity(eventId, applyPatch(existingEntity, body, EVENT_CLEAR_VALUES));
+        const dateErrors = validateEventDates(entity);
+        if (dateErrors.length > 0) {
+            return validationErrorResponse(dateErrors);
+        }
+        
+        const { etag, conflict } = await saveEvent(existingEntity, entity, ifMatch);
+        if (conflict) return conflict;
+        await recordAudit(request, [eventChange("update", existingEntity, entity)], "api", context);
+        
+        return {
+            status: 200,
+            jsonBody: { message: "Event updated", ...toEvent({ ...entity, etag }) }
+        };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to update event", error);
+    }
+}
+
+// Register routes. Events are archived rather than deleted: deleting one would
+// mean dropping its tables. Anyone may read events; changing them is for admins.
+app.http("getEvents", {
+    methods: ["GET"],
+    authLevel: "anonymous",
+    route: "events",
+    handler: withErrorHandling(getEvents)
+});
+
+app.http("getCurrentEvent", {
+    methods: ["GET"],
+    authLevel: "anonymous",
+    route: "events/current",
+    handler: withErrorHandling(getCurrentEvent)
+});
+
+app.http("getEvent", {
+    methods: ["GET"],
+    authLevel: "anonymous",
+    route: "events/{eventId}",
+    handler: withErrorHandling(getEvent)
+});
+
+app.http("addEvent", {
+    methods: ["POST"],
+    authLevel: "anonymous",
+    route: "events",
+    handler: withErrorHandling(authorize("admin", addEvent))
+});
+
+app.http("updateEvent", {
+    methods: ["PUT"],
+    authLevel: "anonymous",
+    route: "events/{eventId}",
+    handler: withErrorHandling(authorize("admin", updateEvent))
+});
+
+app.http("patchEvent", {
+    methods: ["PATCH"],
+    authLevel: "anonymous",
+    route: "events/{eventId}",
+    handler: withErrorHandling(authorize("admin", patchEvent))
+});
+
+module.exports = {
+    getEvents,
+    getCurrentEvent,
+    getEvent,
+    addEvent,
+    updateEvent,
+    patchEvent
+};
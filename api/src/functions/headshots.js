@@ -0,0 +1,87 @@
+const { app } = require("@azure/functions");
+const { CONTAINERS, getBlobStore } = require("../shared/blobStorage");
+const { HEADSHOT_NAME, checkHeadshot, processHeadshot, isPrimaryVariant } = require("../shared/headshots");
+const { errorResponse, exceptionResponse, withErrorHandling } = require("../shared/errors");
+const { authorize } = require("../shared/auth");
+
+// POST /api/headshots - Upload a speaker headshot as the raw request body with
+// its Content-Type (image/jpeg, image/png or image/webp). Returns headshotUrl
+// to save on the speaker, and every stored variant.
+async function uploadHeadshot(request, context) {
+    try {
+        const data = Buffer.from(await request.arrayBuffer());
+        
+        const problem = await checkHeadshot(data, request.headers.get("content-type"));
+        if (problem) {
+            return errorResponse(problem.status, problem.error);
+        }
+        
+        const store = getBlobStore(CONTAINERS.headshots);
+        const variants = await processHeadshot(data);
+        for (const variant of variants) {
+            await store.put(variant.name, variant.data, variant.contentType);
+        }
+        
+        context.log(`Stored headshot ${variants.find(isPrimaryVariant).name} (${variants.length} variants)`);
+        
+        return {
+            status: 201,
+            jsonBody: {
+                message: "Headshot uploaded",
+                headshotUrl: store.url(variants.find(isPrimaryVariant).name),
+                variants: variants.map(variant => ({
+                    size: variant.size,
+                    format: variant.format,
+                    url: store.url(variant.name)
+                }))
+            }
+        };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to upload headshot", error);
+    }
+}
+
+// GET /api/headshots/{name} - Serve a stored headshot (blobs are not public)
+async function getHeadshot(request, context) {
+    try {
+        const name = request.params.name;
+        const blob = HEADSHOT_NAME.test(name) ? await getBlobStore(CONTAINERS.headshots).get(name) : null;
+        
+        if (!blob) {
+            return errorResponse(404, "Headshot not found");
+        }
+        
+        return {
+            status: 200,
+            headers: {
+                "Content-Type": blob.contentType,
+                // Names are derived from the image, so a name never changes content
+                "Cache-Control": "public, max-age=31536000, immutable"
+            },
+            body: blob.data
+        };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to fetch headshot", error);
+    }
+}
+
+// Register routes. Headshots are shared by every event, so these are not
+// event-scoped.
+app.http("uploadHeadshot", {
+    methods: ["POST"],
+    authLevel: "anonymous",
+    route: "headshots",
+    handler: withErrorHandling(authorize("editor", uploadHeadshot))
+});
+
+app.http("getHeadshot", {
+    methods: ["GET"],
+    authLevel: "anonymous",
+    route: "headshots/{name}",
+    handler: withErrorHandling(getHeadshot)
+});
+
+module.exports = {
+    uploadHeadshot,
+    getHeadshot
+};
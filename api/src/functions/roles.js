@@ -0,0 +1,196 @@
+const { app } = require("@azure/functions");
+const {
+    ROLES,
+    ROLE_PARTITION,
+    USER_KEY,
+    getRolesClient,
+    userKey,
+    getClientPrincipal,
+    getBootstrapAdmins,
+    findRoleEntity,
+    resolveRole,
+    authorize
+} = require("../shared/auth");
+const { errorResponse, exceptionResponse, withErrorHandling } = require("../shared/errors");
+const { recordAudit } = require("../shared/audit");
+
+function toAssignment(entity) {
+    return {
+        user: entity.rowKey,
+        role: entity.role,
+        assignedBy: entity.assignedBy || '',
+        assignedAt: entity.assignedAt || ''
+    };
+}
+
+// The login named in the URL, or a 400 response when it cannot be one
+function checkUserParam(request) {
+    const user = userKey(decodeURIComponent(request.params.user || ''));
+    if (!USER_KEY.test(user)) {
+        return { problem: errorResponse(400, "User must be a login without / \\ # ? or spaces") };
+    }
+    if (user === userKey(getClientPrincipal(request).userDetails)) {
+        // An admin demoting themselves could leave nobody able to assign roles
+        return { problem: errorResponse(400, "You cannot change your own role") };
+    }
+    return { user };
+}
+
+// GET /api/roles/me - The signed-in user and their role (null for none), so
+// the admin pages can show what they may do
+async function getMyRole(request, context) {
+    try {
+        const principal = getClientPrincipal(request);
+        if (!principal) {
+            return errorResponse(401, "Sign in required");
+        }
+        
+        return {
+            status: 200,
+            jsonBody: {
+                user: principal.userDetails,
+                identityProvider: principal.identityProvider || '',
+                role: await resolveRole(principal),
+                roles: ROLES
+            }
+        };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to resolve role", error);
+    }
+}
+
+// GET /api/roles - Every stored role assignment, and the ADMIN_USERS logins
+async function getRoles(request, context) {
+    try {
+        const assignments = [];
+        try {
+            for await (const entity of getRolesClient().listEntities()) {
+                assignments.push(toAssignment(entity));
+            }
+        } catch (error) {
+            // The table is created with the first assignment
+            if (error.statusCode !== 404) throw error;
+        }
+        assignments.sort((a, b) => a.user.localeCompare(b.user));
+        
+        return {
+            status: 200,
+            jsonBody: { assignments, bootstrapAdmins: getBootstrapAdmins(), roles: ROLES }
+        };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to fetch roles", error);
+    }
+}
+
+// PUT /api/roles/{user} - Give a user a role: { "role": "viewer" | "editor" | "admin" }.
+// user is their login as Static Web Apps reports it (e.g. their email address).
+async function assignRole(request, context) {
+    try {
+        const { user, problem } = checkUserParam(request);
+        if (problem) return problem;
+        
+        let body;
+        try {
+            body = await request.json();
+        } catch (e) {
+            body = null;
+        }
+        if (!body || !ROLES.includes(body.role)) {
+            return errorResponse(400, `role must be one of ${ROLES.join(", ")}`);
+        }
+        
+        const existing = await findRoleEntity(user);
+        const entity = {
+            partitionKey: ROLE_PARTITION,
+            rowKey: user,
+            role: body.role,
+            assignedBy: getClientPrincipal(request).userDetails,
+            assignedAt: new Date().toISOString()
+        };
+        const client = getRolesClient();
+        await client.createTable();
+        await client.upsertEntity(entity, "Replace");
+        
+        context.log(`Assigned role ${body.role} to ${user} (was ${existing ? existing.role : "none"})`);
+        await recordAudit(request, [{
+            action: existing ? "update" : "create",
+            entityType: "role",
+            entityId: user,
+            before: existing ? toAssignment(existing) : null,
+            after: toAssignment(entity)
+        }], "api", context);
+        
+        return {
+            status: existing ? 200 : 201,
+            jsonBody: { message: "Role assigned", assignment: toAssignment(entity) }
+        };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to assign role", error);
+    }
+}
+
+// DELETE /api/roles/{user} - Remove a user's stored role. Roles from
+// ADMIN_USERS or Static Web Apps are not affected.
+async function removeRole(request, context) {
+    try {
+        const { user, problem } = checkUserParam(request);
+        if (problem) return problem;
+        
+        const existing = await findRoleEntity(user);
+        if (!existing) {
+            return errorResponse(404, "Role assignment not found");
+        }
+        
+        await getRolesClient().deleteEntity(ROLE_PARTITION, user);
+        context.log(`Removed the role of ${user}`);
+        await recordAudit(request, [{
+            action: "delete",
+            entityType: "role",
+            entityId: user,
+            before: toAssignment(existing)
+        }], "api", context);
+        
+        return {
+            status: 200,
+            jsonBody: { message: "Role removed", user }
+        };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to remove role", error);
+    }
+}
+
+// Register routes. getMyRole answers any signed-in user; the rest are for admins.
+app.http("getMyRole", {
+    methods: ["GET"],
+    authLevel: "anonymous",
+    route: "roles/me",
+    handler: withErrorHandling(getMyRole)
+});
+
+app.http("getRoles", {
+    methods: ["GET"],
+    authLevel: "anonymous",
+    route: "roles",
+    handler: withErrorHandling(authorize("admin", getRoles))
+});
+
+app.http("assignRole", {
+    methods: ["PUT"],
+    authLevel: "anonymous",
+    route: "roles/{user}",
+    handler: withErrorHandling(authorize("admin", assignRole))
+});
+
+app.http("removeRole", {
+    methods: ["DELETE"],
+    authLevel: "anonymous",
+    route: "roles/{user}",
+    handler: withErrorHandling(authorize("admin", removeRole))
+});
+
+module.exports = {
+    getMyRole,
+    getRoles,
+    assignRole,
+    removeRole
+};
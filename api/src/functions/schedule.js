@@ -1,14 +1,176 @@
 const { app } = require("@azure/functions");
-const { TableClient } = require("@azure/data-tables");
-const { ManagedIdentityCredential } = require("@azure/identity");
+const storage = require("../shared/storage");
+const { escapeCsvField, parseCsv, parseCsvLine } = require("../shared/csv");
+const {
+    getScheduleEntity,
+    findScheduleEntity,
+    findUnindexedScheduleEntities,
+    indexScheduleEntity,
+    removeScheduleIndex
+} = require("../shared/scheduleIndex");
+const { SESSION_ID, SCHEDULE_ITEM_SCHEMA, validate, validationErrorResponse, formatValidationErrors } = require("../shared/validation");
+const { applyPatch } = require("../shared/patch");
+const { schedulePartitionKey, moveScheduleEntity, saveScheduleEntity, findMisplacedScheduleEntities } = require("../shared/schedulePartitions");
+const { runTableTransactions } = require("../shared/tableBatch");
+const { getMaxGapMinutes, findScheduleConflicts, conflictsInvolving } = require("../shared/scheduleConflicts");
+const { buildCalendar } = require("../shared/ical");
+const { isValidTimeZoneOrOffset, parseEventDateTime } = require("../shared/timezone");
+const { getEventTableClient, getEvent, registerEventRoute } = require("../shared/events");
+const {
+    listLinks,
+    removeSessionLinks,
+    findStaleLinks,
+    removeStaleLinks,
+    legacySessionIds,
+    adoptLegacySessionIds
+} = require("../shared/sessionSpeakers");
+const { getIfMatch, etagMatches, etagOptions, isPreconditionFailed, preconditionFailedResponse } = require("../shared/concurrency");
+const { errorResponse, exceptionResponse, readJson } = require("../shared/errors");
+const { authorize } = require("../shared/auth");
+const { getActor, recordAudit } = require("../shared/audit");
+const { addToTrash, removeFromTrash } = require("../shared/trash");
+const { SECRETS, getSecret } = require("../shared/secrets");
 
-const storageAccountName = process.env.STORAGE_ACCOUNT_NAME || "azcorestorage2026";
-const tableName = "VideoSchedule";
+// Fields a PATCH may set, and what sending null resets them to. Required
+// fields cannot be cleared (validation rejects null for them), and a cleared
+// url falls back to the YouTube watch URL for the video.
+const SCHEDULE_CLEAR_VALUES = {
+    videoId: null,
+    title: null,
+    description: "",
+    url: "",
+    startTime: null,
+    duration: 0,
+    track: "",
+    sessionType: "",
+    tags: []
+};
 
-function getTableClient() {
-    const credential = new ManagedIdentityCredential();
-    const url = `https://${storageAccountName}.table.core.windows.net`;
-    return new TableClient(url, tableName, credential);
+// Schedule table for an event; eventId is undefined for the default event
+function getTableClient(eventId) {
+    return getEventTableClient(storage.TABLES.schedule, eventId);
+}
+
+// Shape a stored schedule entity for API responses
+function toScheduleItem(entity) {
+    return {
+        id: entity.rowKey,
+        sessionId: entity.rowKey, // sessionId is the same as id/rowKey
+        videoId: entity.videoId,
+        title: entity.title,
+        description: entity.description,
+        url: entity.url,
+        startTime: entity.startTime,
+        duration: entity.duration,
+        track: entity.track || "",
+        sessionType: entity.sessionType || "",
+        tags: parseTags(entity.tags),
+        etag: entity.etag
+    };
+}
+
+// Audit log change for a session, from its stored entities before and after
+// (null when it did not exist or no longer does)
+function sessionChange(action, id, before, after) {
+    return {
+        action,
+        entityType: "session",
+        entityId: id,
+        before: before ? toScheduleItem(before) : null,
+        after: after ? toScheduleItem(after) : null
+    };
+}
+
+// Tags share one CSV column, e.g. "azure;networking"
+const CSV_TAG_SEPARATOR = ';';
+
+// Tags are stored as a JSON array string, like speakers' sessionIds
+function parseTags(value) {
+    return value ? JSON.parse(value) : [];
+}
+
+// Trimmed, without blanks or repeats, and stored as a JSON string
+function serializeTags(tags) {
+    return JSON.stringify([...new Set((tags || []).map(tag => tag.trim()).filter(Boolean))]);
+}
+
+// Build the 412 response, re-reading the item so the caller sees the latest version
+async function scheduleConflictResponse(client, id) {
+    const current = await getScheduleEntity(client, id);
+    return preconditionFailedResponse("Schedule item", current ? toScheduleItem(current) : null);
+}
+
+// Conflicts (overlaps, missing durations, long gaps) involving the sessions a
+// write touched. changes maps sessionId -> the entity written, or null when
+// deleted; it is overlaid on the stored schedule so dry runs can be checked too.
+// Warnings never fail the write they describe.
+async function scheduleWarnings(client, eventId, changes, context) {
+    if (changes.size === 0) return [];
+    try {
+        const { timezone } = await getEvent(eventId);
+        const entities = new Map();
+        for await (const entity of client.listEntities()) {
+            entities.set(entity.rowKey, entity);
+        }
+        for (const [id, entity] of changes) {
+            if (entity) {
+                entities.set(id, entity);
+            } else {
+                entities.delete(id);
+            }
+        }
+        const conflicts = findScheduleConflicts([...entities.values()].map(toScheduleItem), { timeZone: timezone });
+        return conflictsInvolving(conflicts, [...changes.keys()].filter(id => changes.get(id)));
+    } catch (error) {
+        context.log("Error checking schedule conflicts:", error);
+        return [];
+    }
+}
+
+function youtubeWatchUrl(videoId) {
+    return `https://www.youtube.com/watch?v=${videoId}`;
+}
+
+// Entity for a full write (POST/PUT); optional fields left out are reset
+function buildScheduleEntity(id, body) {
+    return {
+        partitionKey: schedulePartitionKey(body.startTime),
+        rowKey: id,
+        videoId: body.videoId,
+        title: body.title,
+        description: body.description || "",
+        url: body.url || youtubeWatchUrl(body.videoId),
+        startTime: body.startTime,
+        duration: body.duration || 0,
+        track: (body.track || "").trim(),
+        sessionType: body.sessionType || "",
+        tags: serializeTags(body.tags)
+    };
+}
+
+// Entity for a PATCH: fields sent replace the stored ones, null clears them
+function buildPatchedScheduleEntity(existingEntity, body) {
+    const entity = applyPatch({
+        rowKey: existingEntity.rowKey,
+        videoId: existingEntity.videoId,
+        title: existingEntity.title,
+        description: existingEntity.description,
+        url: existingEntity.url,
+        startTime: existingEntity.startTime,
+        duration: existingEntity.duration,
+        track: existingEntity.track || "",
+        sessionType: existingEntity.sessionType || "",
+        tags: parseTags(existingEntity.tags)
+    }, body, SCHEDULE_CLEAR_VALUES);
+    entity.partitionKey = schedulePartitionKey(entity.startTime);
+    entity.track = entity.track.trim();
+    entity.tags = serializeTags(entity.tags);
+    
+    // A cleared URL, or one that pointed at the previous video, follows the video ID
+    if (!entity.url || (body.url === undefined && existingEntity.url === youtubeWatchUrl(existingEntity.videoId))) {
+        entity.url = youtubeWatchUrl(entity.videoId);
+    }
+    return entity;
 }
 
 // Generate a URL-safe session ID
@@ -19,200 +181,303 @@ function generateSessionId() {
     return `sess_${timestamp}_${random}`;
 }
 
-// GET /api/schedule - Get all schedule items
+// Read ?track=, ?type= and ?tag= (comma-separated lists) into a predicate on
+// schedule items. Sessions without a track run on every track, so they match
+// any track filter.
+function scheduleFilter(query) {
+    const list = value => (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+    const tracks = list(query.track);
+    const types = list(query.type);
+    const tags = list(query.tag);
+    
+    return item => (tracks.length === 0 || !item.track || tracks.includes(item.track.toLowerCase()))
+        && (types.length === 0 || types.includes(item.sessionType))
+        && (tags.length === 0 || item.tags.some(tag => tags.includes(tag.toLowerCase())));
+}
+
+// Short form of a speaker embedded in a session
+function toSpeakerSummary(entity) {
+    return {
+        id: entity.rowKey,
+        name: entity.name,
+        title: entity.title || "",
+        company: entity.company || "",
+        headshotFile: entity.headshotFile || "",
+        headshotUrl: entity.headshotUrl || ""
+    };
+}
+
+// Speaker summaries for each session, as a Map of sessionId -> [summary].
+// Links to sessions or speakers that no longer exist are left out; the
+// partition repair removes them. Sessions still in a speaker's legacy
+// sessionIds column count as linked: this is a public read and writes nothing.
+async function loadSessionSpeakers(client, eventId, sessionIds) {
+    const speakerClient = getEventTableClient(storage.TABLES.speakers, eventId);
+    const speakers = new Map();
+    const links = await listLinks(client);
+    for await (const entity of speakerClient.listEntities()) {
+        speakers.set(entity.rowKey, toSpeakerSummary(entity));
+        links.push(...legacySessionIds(entity).map(sessionId => ({ sessionId, speakerId: entity.rowKey })));
+    }
+    
+    const sessionSpeakers = new Map();
+    for (const link of links) {
+        if (!sessionIds.has(link.sessionId) || !speakers.has(link.speakerId)) continue;
+        if (!sessionSpeakers.has(link.sessionId)) sessionSpeakers.set(link.sessionId, []);
+        // A legacy session may also have been linked already
+        const summaries = sessionSpeakers.get(link.sessionId);
+        if (!summaries.includes(speakers.get(link.speakerId))) summaries.push(speakers.get(link.speakerId));
+    }
+    
+    for (const summaries of sessionSpeakers.values()) {
+        summaries.sort((a, b) => a.name.localeCompare(b.name));
+    }
+    return sessionSpeakers;
+}
+
+// Distinct tracks in the order they first appear
+function scheduleTracks(items) {
+    return [...new Set(items.map(item => item.track).filter(Boolean))];
+}
+
+// GET /api/schedule - Get all schedule items with their speakers, optionally
+// filtered by track, session type or tag
 async function getSchedule(request, context) {
     try {
-        const client = getTableClient();
+        const client = getTableClient(request.params.eventId);
         const entities = [];
         
         for await (const entity of client.listEntities()) {
-            entities.push({
-                id: entity.rowKey,
-                sessionId: entity.rowKey, // sessionId is the same as id/rowKey
-                videoId: entity.videoId,
-                title: entity.title,
-                description: entity.description,
-                url: entity.url,
-                startTime: entity.startTime,
-                duration: entity.duration
-            });
+            entities.push(toScheduleItem(entity));
         }
         
         // Sort by startTime
         entities.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
         
+        const sessionSpeakers = await loadSessionSpeakers(client, request.params.eventId, new Set(entities.map(item => item.id)));
+        for (const item of entities) {
+            item.speakers = sessionSpeakers.get(item.id) || [];
+        }
+        
+        const event = await getEvent(request.params.eventId);
+        
         return {
             status: 200,
             jsonBody: {
-                timezone: "America/New_York",
-                schedule: entities
+                eventId: event.id,
+                timezone: event.timezone,
+                tracks: scheduleTracks(entities),
+                schedule: entities.filter(scheduleFilter(request.query))
             }
         };
     } catch (error) {
-        context.log("Error fetching schedule:", error);
+        return exceptionResponse(context, "Failed to fetch schedule", error);
+    }
+}
+
+// GET /api/schedule/conflicts - Overlapping sessions, sessions without a
+// duration and long gaps. ?maxGapMinutes=N overrides the gap threshold.
+async function getScheduleConflicts(request, context) {
+    try {
+        let maxGapMinutes = getMaxGapMinutes();
+        if (request.query.maxGapMinutes !== undefined) {
+            maxGapMinutes = Number(request.query.maxGapMinutes);
+            if (!Number.isFinite(maxGapMinutes) || maxGapMinutes <= 0) {
+                return validationErrorResponse([{ field: "maxGapMinutes", message: "must be a positive number" }]);
+            }
+        }
+        
+        const client = getTableClient(request.params.eventId);
+        const items = [];
+        for await (const entity of client.listEntities()) {
+            items.push(toScheduleItem(entity));
+        }
+        
+        const { timezone } = await getEvent(request.params.eventId);
+        const conflicts = findScheduleConflicts(items, { maxGapMinutes, timeZone: timezone });
+        const count = type => conflicts.filter(conflict => conflict.type === type).length;
+        
         return {
-            status: 500,
-            jsonBody: { error: "Failed to fetch schedule", details: error.message }
+            status: 200,
+            jsonBody: {
+                maxGapMinutes,
+                counts: { overlap: count("overlap"), zeroDuration: count("zero-duration"), gap: count("gap") },
+                conflicts
+            }
         };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to check schedule conflicts", error);
     }
 }
 
 // POST /api/schedule - Add a new schedule item
 async function addScheduleItem(request, context) {
     try {
-        const body = await request.json();
-        const client = getTableClient();
+        const body = await readJson(request);
+        
+        const validationErrors = validate(SCHEDULE_ITEM_SCHEMA, body);
+        if (validationErrors.length > 0) {
+            return validationErrorResponse(validationErrors);
+        }
+        
+        const client = getTableClient(request.params.eventId);
         
         // Generate a URL-safe session ID
         const sessionId = generateSessionId();
-        const startDate = new Date(body.startTime);
-        const partitionKey = startDate.toISOString().split('T')[0]; // Use date as partition key
-        
-        const entity = {
-            partitionKey: partitionKey,
-            rowKey: sessionId,
-            videoId: body.videoId,
-            title: body.title,
-            description: body.description || "",
-            url: body.url || `https://www.youtube.com/watch?v=${body.videoId}`,
-            startTime: body.startTime,
-            duration: body.duration || 0
-        };
+        const entity = buildScheduleEntity(sessionId, body);
         
-        await client.createEntity(entity);
+        const result = await client.createEntity(entity);
+        await indexScheduleEntity(client, entity);
         
         context.log("Created schedule item with sessionId:", sessionId);
+        await recordAudit(request, [sessionChange("create", sessionId, null, entity)], "api", context);
+        
+        const warnings = await scheduleWarnings(client, request.params.eventId, new Map([[sessionId, entity]]), context);
         
         return {
             status: 201,
-            jsonBody: { message: "Schedule item created", id: sessionId, sessionId: sessionId }
+            jsonBody: { message: "Schedule item created", id: sessionId, sessionId: sessionId, etag: result.etag, warnings }
         };
     } catch (error) {
-        context.log("Error adding schedule item:", error);
-        return {
-            status: 500,
-            jsonBody: { error: "Failed to add schedule item", details: error.message }
-        };
+        return exceptionResponse(context, "Failed to add schedule item", error);
     }
 }
 
-// PUT /api/schedule/{id} - Update a schedule item
+// PUT /api/schedule/{id} - Replace a schedule item (omitted optional fields are reset)
 async function updateScheduleItem(request, context) {
     try {
         const id = request.params.id;
-        const body = await request.json();
-        const client = getTableClient();
-        
-        context.log("Update requested for ID:", id);
+        const body = await readJson(request);
         
-        // Find the existing entity first
-        let existingEntity = null;
-        let allRowKeys = [];
-        for await (const entity of client.listEntities()) {
-            allRowKeys.push(entity.rowKey);
-            if (entity.rowKey === id) {
-                existingEntity = entity;
-                break;
-            }
+        const validationErrors = validate(SCHEDULE_ITEM_SCHEMA, body);
+        if (validationErrors.length > 0) {
+            return validationErrorResponse(validationErrors);
         }
         
-        context.log("All rowKeys in table:", allRowKeys);
-        context.log("Found entity:", existingEntity ? "yes" : "no");
+        const client = getTableClient(request.params.eventId);
+        const ifMatch = getIfMatch(request);
+        
+        context.log("Update requested for ID:", id);
+        
+        const existingEntity = await getScheduleEntity(client, id);
         
         if (!existingEntity) {
-            return {
-                status: 404,
-                jsonBody: { error: "Schedule item not found" }
-            };
+            return errorResponse(404, "Schedule item not found");
+        }
+        if (!etagMatches(ifMatch, existingEntity.etag)) {
+            return preconditionFailedResponse("Schedule item", toScheduleItem(existingEntity));
         }
         
-        const updatedEntity = {
-            partitionKey: existingEntity.partitionKey,
-            rowKey: id,
-            videoId: body.videoId || existingEntity.videoId,
-            title: body.title || existingEntity.title,
-            description: body.description !== undefined ? body.description : existingEntity.description,
-            url: body.url || existingEntity.url,
-            startTime: body.startTime || existingEntity.startTime,
-            duration: body.duration !== undefined ? body.duration : existingEntity.duration
-        };
+        const updatedEntity = buildScheduleEntity(id, body);
+        
+        let result;
+        try {
+            result = await saveScheduleEntity(client, existingEntity, updatedEntity, etagOptions(ifMatch));
+        } catch (error) {
+            if (isPreconditionFailed(error)) return scheduleConflictResponse(client, id);
+            throw error;
+        }
+        await recordAudit(request, [sessionChange("update", id, existingEntity, updatedEntity)], "api", context);
         
-        await client.updateEntity(updatedEntity, "Replace");
+        const warnings = await scheduleWarnings(client, request.params.eventId, new Map([[id, updatedEntity]]), context);
         
         return {
             status: 200,
-            jsonBody: { message: "Schedule item updated" }
+            jsonBody: { message: "Schedule item updated", etag: result.etag, warnings }
         };
     } catch (error) {
-        context.log("Error updating schedule item:", error);
-        return {
-            status: 500,
-            jsonBody: { error: "Failed to update schedule item", details: error.message }
-        };
+        return exceptionResponse(context, "Failed to update schedule item", error);
     }
 }
 
-// DELETE /api/schedule/{id} - Delete a schedule item
-async function deleteScheduleItem(request, context) {
+// PATCH /api/schedule/{id} - Update only the fields sent; null clears optional fields
+async function patchScheduleItem(request, context) {
     try {
         const id = request.params.id;
-        const client = getTableClient();
+        const body = await readJson(request);
         
-        // Find the existing entity first to get the partition key
-        let existingEntity = null;
-        for await (const entity of client.listEntities()) {
-            if (entity.rowKey === id) {
-                existingEntity = entity;
-                break;
-            }
+        const validationErrors = validate(SCHEDULE_ITEM_SCHEMA, body, { partial: true });
+        if (validationErrors.length > 0) {
+            return validationErrorResponse(validationErrors);
         }
         
+        const client = getTableClient(request.params.eventId);
+        const ifMatch = getIfMatch(request);
+        const existingEntity = await getScheduleEntity(client, id);
+        
         if (!existingEntity) {
-            return {
-                status: 404,
-                jsonBody: { error: "Schedule item not found" }
-            };
+            return errorResponse(404, "Schedule item not found");
         }
+        if (!etagMatches(ifMatch, existingEntity.etag)) {
+            return preconditionFailedResponse("Schedule item", toScheduleItem(existingEntity));
+        }
+        
+        const updatedEntity = buildPatchedScheduleEntity(existingEntity, body);
+        
+        let result;
+        try {
+            result = await saveScheduleEntity(client, existingEntity, updatedEntity, etagOptions(ifMatch));
+        } catch (error) {
+            if (isPreconditionFailed(error)) return scheduleConflictResponse(client, id);
+            throw error;
+        }
+        await recordAudit(request, [sessionChange("update", id, existingEntity, updatedEntity)], "api", context);
         
-        await client.deleteEntity(existingEntity.partitionKey, id);
+        const warnings = await scheduleWarnings(client, request.params.eventId, new Map([[id, updatedEntity]]), context);
         
         return {
             status: 200,
-            jsonBody: { message: "Schedule item deleted" }
+            jsonBody: { message: "Schedule item updated", etag: result.etag, warnings }
         };
     } catch (error) {
-        context.log("Error deleting schedule item:", error);
-        return {
-            status: 500,
-            jsonBody: { error: "Failed to delete schedule item", details: error.message }
-        };
+        return exceptionResponse(context, "Failed to update schedule item", error);
     }
 }
 
-// Escape a field for CSV (RFC 4180 compliant + Excel formula protection)
-function escapeCsvField(value) {
-    if (value === null || value === undefined) return '';
-    let str = String(value);
-    
-    // Check if the value starts with characters Excel interprets as formulas
-    const formulaChars = ['-', '+', '=', '@'];
-    const startsWithFormula = formulaChars.some(ch => str.startsWith(ch));
-    
-    // Always quote fields that start with formula characters or contain special chars
-    if (startsWithFormula || str.includes(',') || str.includes('"') || str.includes('\n') || str.includes('\r')) {
-        // For formula chars, prefix with a single quote (Excel will treat as text)
-        if (startsWithFormula) {
-            str = "'" + str;
+// DELETE /api/schedule/{id} - Delete a schedule item. It is kept in the
+// trash, with its speakers, until restorableUntil.
+async function deleteScheduleItem(request, context) {
+    try {
+        const id = request.params.id;
+        const client = getTableClient(request.params.eventId);
+        const ifMatch = getIfMatch(request);
+        
+        // Look up the existing entity first to get the partition key
+        const existingEntity = await getScheduleEntity(client, id);
+        
+        if (!existingEntity) {
+            return errorResponse(404, "Schedule item not found");
+        }
+        if (!etagMatches(ifMatch, existingEntity.etag)) {
+            return preconditionFailedResponse("Schedule item", toScheduleItem(existingEntity));
+        }
+        
+        // Into the trash first, so a failed delete never loses the session
+        const trashed = await addToTrash(request.params.eventId, "session", existingEntity, getActor(request));
+        try {
+            await client.deleteEntity(existingEntity.partitionKey, id, etagOptions(ifMatch));
+        } catch (error) {
+            await removeFromTrash(request.params.eventId, "session", id);
+            if (isPreconditionFailed(error)) return scheduleConflictResponse(client, id);
+            throw error;
         }
-        return '"' + str.replace(/"/g, '""') + '"';
+        await removeScheduleIndex(client, id);
+        await removeSessionLinks(client, id);
+        await recordAudit(request, [sessionChange("delete", id, existingEntity, null)], "api", context);
+        
+        return {
+            status: 200,
+            jsonBody: { message: "Schedule item deleted", id, restorableUntil: trashed.expiresAt }
+        };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to delete schedule item", error);
     }
-    return str;
 }
 
 // GET /api/schedule?format=csv - Export as CSV
 async function exportScheduleAsCsv(request, context) {
     try {
-        const client = getTableClient();
+        const client = getTableClient(request.params.eventId);
         const entities = [];
         
         for await (const entity of client.listEntities()) {
@@ -223,13 +488,16 @@ async function exportScheduleAsCsv(request, context) {
                 description: entity.description || '',
                 url: entity.url,
                 startTime: entity.startTime,
-                duration: entity.duration || 0
+                duration: entity.duration || 0,
+                track: entity.track || '',
+                sessionType: entity.sessionType || '',
+                tags: parseTags(entity.tags).join(CSV_TAG_SEPARATOR)
             });
         }
         
         entities.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
         
-        const headers = ['sessionId', 'videoId', 'title', 'description', 'url', 'startTime', 'duration'];
+        const headers = ['sessionId', 'videoId', 'title', 'description', 'url', 'startTime', 'duration', 'track', 'sessionType', 'tags'];
         let csv = headers.join(',') + '\n';
         
         for (const entity of entities) {
@@ -247,102 +515,407 @@ async function exportScheduleAsCsv(request, context) {
             isRaw: true
         };
     } catch (error) {
-        context.log("Error exporting schedule:", error);
+        return exceptionResponse(context, "Failed to export schedule", error);
+    }
+}
+
+// Shape a stored schedule entity for the iCalendar builder
+function toCalendarSession(entity) {
+    return {
+        sessionId: entity.rowKey,
+        title: entity.title,
+        description: entity.description,
+        url: entity.url || youtubeWatchUrl(entity.videoId),
+        startTime: entity.startTime,
+        duration: entity.duration,
+        categories: [entity.sessionType, ...parseTags(entity.tags)].filter(Boolean),
+        lastModified: entity.timestamp
+    };
+}
+
+// File name for a session's .ics download, e.g. "opening-keynote.ics"
+function calendarFileName(title) {
+    const slug = String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+    return `${slug || 'session'}.ics`;
+}
+
+// GET /api/schedule?format=ics - Subscribable iCalendar feed, one event per
+// session. Takes the same filters as the JSON schedule, e.g. one track's feed.
+async function exportScheduleAsIcs(request, context) {
+    try {
+        const client = getTableClient(request.params.eventId);
+        const sessions = [];
+        
+        const matches = scheduleFilter(request.query);
+        for await (const entity of client.listEntities()) {
+            if (matches(toScheduleItem(entity))) sessions.push(toCalendarSession(entity));
+        }
+        
+        sessions.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+        const event = await getEvent(request.params.eventId);
+        
         return {
-            status: 500,
-            jsonBody: { error: "Failed to export schedule", details: error.message }
+            status: 200,
+            headers: {
+                'Content-Type': 'text/calendar; charset=utf-8',
+                'Content-Disposition': 'inline; filename="schedule.ics"',
+                'Cache-Control': 'public, max-age=300'
+            },
+            body: buildCalendar(sessions, { name: event.name, timezone: event.timezone }),
+            isRaw: true
         };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to export calendar", error);
     }
 }
 
-// Strip leading single quote that was added for Excel formula protection
-function stripExcelQuote(value) {
-    if (value && value.startsWith("'") && ['-', '+', '=', '@'].some(ch => value.charAt(1) === ch)) {
-        return value.substring(1);
+// GET /api/schedule/{id} - Get one schedule item; ?format=ics downloads it as
+// a calendar invite
+async function getScheduleItem(request, context) {
+    try {
+        const id = request.params.id;
+        const client = getTableClient(request.params.eventId);
+        const entity = await findScheduleEntity(client, id);
+        
+        if (!entity) {
+            return errorResponse(404, "Schedule item not found");
+        }
+        
+        if (request.query.format === 'ics') {
+            const event = await getEvent(request.params.eventId);
+            return {
+                status: 200,
+                headers: {
+                    'Content-Type': 'text/calendar; charset=utf-8',
+                    'Content-Disposition': `attachment; filename="${calendarFileName(entity.title)}"`
+                },
+                body: buildCalendar([toCalendarSession(entity)], { name: event.name, timezone: event.timezone }),
+                isRaw: true
+            };
+        }
+        
+        return {
+            status: 200,
+            headers: { ETag: entity.etag },
+            jsonBody: toScheduleItem(entity)
+        };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to fetch schedule item", error);
+    }
+}
+
+const BATCH_OPERATIONS = ["create", "upsert", "update", "patch", "delete"];
+// Operations that may write a session under an id the caller chose
+const BATCH_NEW_ID_OPERATIONS = ["create", "upsert"];
+const MAX_BATCH_OPERATIONS = 500;
+// Above this many ids a batch reads the table once instead of one lookup per id
+const BATCH_SCAN_THRESHOLD = 25;
+
+// A stored entity without the etag/timestamp the service sets, for undo writes
+function entityData(entity) {
+    const { etag, timestamp, ...data } = entity;
+    return data;
+}
+
+// Flatten a handler-style { status, jsonBody } response into a batch result
+function toBatchResult(response) {
+    return { status: response.status, ...response.jsonBody };
+}
+
+// Current rows for the ids a batch touches, as a Map of id -> entity
+async function loadBatchEntities(client, ids) {
+    const entities = new Map();
+    if (ids.length > BATCH_SCAN_THRESHOLD) {
+        const wanted = new Set(ids);
+        for await (const entity of client.listEntities()) {
+            if (wanted.has(entity.rowKey)) entities.set(entity.rowKey, entity);
+        }
+        return entities;
+    }
+    for (const id of ids) {
+        const entity = await getScheduleEntity(client, id);
+        if (entity) entities.set(id, entity);
+    }
+    return entities;
+}
+
+// Field-level differences between a stored entity and its replacement,
+// as { field: { before, after } }. Compares the API shape, so rows written
+// before a field existed match rows that leave it empty.
+function diffScheduleEntities(before, after) {
+    const beforeItem = toScheduleItem(before);
+    const afterItem = toScheduleItem(after);
+    const changes = {};
+    for (const field of Object.keys(SCHEDULE_ITEM_SCHEMA)) {
+        if (JSON.stringify(beforeItem[field]) !== JSON.stringify(afterItem[field])) {
+            changes[field] = { before: beforeItem[field], after: afterItem[field] };
+        }
+    }
+    return changes;
+}
+
+// Work out the table steps for one batch operation. Returns a plan
+// { change, entity, changes, steps } where change is create, update, unchanged
+// or delete, or a failed result. Updates and deletes are conditional on the etag
+// read here, so a row that changes before the batch commits fails instead of
+// being overwritten or deleted. runTableTransactions applies the conditional
+// deletes outside the transactions, since those would drop the etag.
+function planBatchOperation(key, operation, existingEntity) {
+    const { id, item, etag } = operation;
+    const op = operation.op === "upsert" ? (existingEntity ? "update" : "create") : operation.op;
+
+    if (op !== "delete") {
+        const validationErrors = validate(SCHEDULE_ITEM_SCHEMA, item, { partial: op === "patch" });
+        if (validationErrors.length > 0) {
+            return toBatchResult(validationErrorResponse(validationErrors));
+        }
+    }
+
+    if (op === "create") {
+        if (existingEntity) {
+            return { status: 409, error: "A schedule item with this id already exists" };
+        }
+        const entity = buildScheduleEntity(id, item);
+        return { change: "create", entity, steps: [{ key, action: ["create", entity], undo: ["delete", entity] }] };
+    }
+
+    if (!existingEntity) {
+        return { status: 404, error: "Schedule item not found" };
+    }
+    if (!etagMatches(etag, existingEntity.etag)) {
+        return toBatchResult(preconditionFailedResponse("Schedule item", toScheduleItem(existingEntity)));
+    }
+
+    const condition = { etag: existingEntity.etag };
+    const restore = ["upsert", entityData(existingEntity), "Replace"];
+
+    if (op === "delete") {
+        return { change: "delete", steps: [{ key, action: ["delete", existingEntity, condition], undo: restore }] };
+    }
+
+    const entity = op === "patch" ? buildPatchedScheduleEntity(existingEntity, item) : buildScheduleEntity(id, item);
+    const changes = diffScheduleEntities(existingEntity, entity);
+    if (Object.keys(changes).length === 0) {
+        // Nothing to write, e.g. re-importing an exported CSV
+        return { change: "unchanged", etag: existingEntity.etag, steps: [] };
+    }
+    if (entity.partitionKey === existingEntity.partitionKey) {
+        return { change: "update", entity, changes, steps: [{ key, action: ["update", entity, "Replace", condition], undo: restore }] };
     }
-    return value;
+
+    // Moving to another day: write the new row and delete the old one
+    return {
+        change: "update",
+        entity,
+        changes,
+        moved: true,
+        steps: [
+            { key, action: ["upsert", entity, "Replace"], undo: ["delete", entity] },
+            { key, action: ["delete", existingEntity, condition], undo: restore }
+        ]
+    };
 }
 
-// Parse CSV line handling quoted fields
-function parseCsvLine(line) {
-    const fields = [];
-    let current = '';
-    let inQuotes = false;
-    let i = 0;
+// Apply batch operations, grouped into one transaction per day partition.
+// Returns { rolledBack, results, written, existing } with one result per
+// operation, in order, written mapping each changed sessionId to its new
+// entity (null if deleted) and existing holding the rows as they were before.
+// With atomic: true nothing is written unless every operation can apply; the
+// operations that were fine are reported with status 424. With dryRun: true
+// nothing is written and each result shows what would happen, including the
+// new item for creates. With trash: { eventId, deletedBy }, deleted rows are
+// kept in the event's trash.
+async function executeScheduleBatch(client, operations, { atomic = false, dryRun = false, trash } = {}, context) {
+    const results = operations.map((operation, index) => ({ index, op: operation?.op, id: operation?.id }));
+    const seenIds = new Set();
+
+    for (const [index, operation] of operations.entries()) {
+        const result = results[index];
+        if (!operation || !BATCH_OPERATIONS.includes(operation.op)) {
+            Object.assign(result, { status: 400, error: `op must be one of ${BATCH_OPERATIONS.join(", ")}` });
+        } else if (operation.op === "create" && operation.id === undefined) {
+            result.id = generateSessionId();
+        } else if (typeof operation.id !== "string" || operation.id === "") {
+            Object.assign(result, { status: 400, error: "id is required" });
+        } else if (BATCH_NEW_ID_OPERATIONS.includes(operation.op) && !SESSION_ID.test(operation.id)) {
+            Object.assign(result, { status: 400, error: "id must be up to 100 letters, digits, underscores and hyphens" });
+        } else if (seenIds.has(operation.id)) {
+            Object.assign(result, { status: 400, error: `id ${operation.id} appears more than once in the batch` });
+        }
+        if (!result.status) seenIds.add(result.id);
+    }
+
+    // Generated ids are new, so only ids the caller sent need looking up
+    const lookupIds = results.filter((result, index) => !result.status && operations[index].id !== undefined).map(result => result.id);
+    const existing = await loadBatchEntities(client, lookupIds);
+
+    const plans = new Map();
+    const steps = [];
+    for (const [index, operation] of operations.entries()) {
+        const result = results[index];
+        if (result.status) continue;
+
+        const plan = planBatchOperation(index, { ...operation, id: result.id }, existing.get(result.id));
+        if (plan.steps) {
+            plans.set(index, plan);
+            steps.push(...plan.steps);
+        } else {
+            Object.assign(result, plan);
+        }
+    }
+
+    const notApplied = { status: 424, error: "Not applied because another operation in the batch failed" };
+    if (atomic && plans.size < operations.length) {
+        for (const index of plans.keys()) Object.assign(results[index], notApplied);
+        return { rolledBack: true, results, written: new Map(), existing };
+    }
     
-    while (i < line.length) {
-        const char = line[i];
-        if (inQuotes) {
-            if (char === '"') {
-                if (i + 1 < line.length && line[i + 1] === '"') {
-                    current += '"';
-                    i += 2;
-                } else {
-                    inQuotes = false;
-                    i++;
-                }
-            } else {
-                current += char;
-                i++;
+    const written = new Map();
+    const recordWrite = (result, plan) => {
+        if (plan.change !== "unchanged") written.set(result.id, plan.entity || null);
+    };
+    
+    for (const [index, plan] of plans) {
+        Object.assign(results[index], { change: plan.change, changes: plan.changes });
+    }
+    if (dryRun) {
+        for (const [index, plan] of plans) {
+            const result = results[index];
+            result.status = plan.change === "create" ? 201 : 200;
+            if (plan.change === "create") {
+                const { etag, ...item } = toScheduleItem(plan.entity);
+                result.item = item;
             }
+            recordWrite(result, plan);
+        }
+        return { rolledBack: false, results, written, existing };
+    }
+
+    // Into the trash first, as for a single delete; taken out again if not deleted
+    const deletes = [...plans.keys()].filter(index => plans.get(index).change === "delete");
+    if (trash) {
+        for (const index of deletes) {
+            await addToTrash(trash.eventId, "session", existing.get(results[index].id), trash.deletedBy);
+        }
+    }
+    
+    const { failed, etags, rolledBack, undoErrors } = await runTableTransactions(client, steps, { atomic });
+    if (trash) {
+        for (const index of deletes.filter(index => rolledBack || failed.has(index))) {
+            await removeFromTrash(trash.eventId, "session", results[index].id);
+        }
+    }
+    for (const { key, error } of undoErrors) {
+        context.log(`Failed to undo batch operation ${key}; run repair-partitions to check for duplicates:`, error);
+    }
+
+    for (const [index, plan] of plans) {
+        const result = results[index];
+        const error = failed.get(index);
+        if (error) {
+            Object.assign(result, {
+                status: error.statusCode || 500,
+                error: "Not applied - a write to the same day failed"
+            });
+            context.log(`Batch operation ${index} failed:`, error);
+        } else if (rolledBack) {
+            Object.assign(result, notApplied);
         } else {
-            if (char === '"') {
-                inQuotes = true;
-                i++;
-            } else if (char === ',') {
-                fields.push(stripExcelQuote(current));
-                current = '';
-                i++;
-            } else {
-                current += char;
-                i++;
+            result.status = plan.change === "create" ? 201 : 200;
+            if (plan.entity) {
+                result.etag = etags.get(`${plan.entity.partitionKey}/${plan.entity.rowKey}`);
+            } else if (plan.etag) {
+                result.etag = plan.etag;
+            }
+            if (plan.change === "create" || plan.moved) {
+                await indexScheduleEntity(client, plan.entity);
+            } else if (plan.change === "delete") {
+                await removeScheduleIndex(client, result.id);
+                await removeSessionLinks(client, result.id);
             }
+            recordWrite(result, plan);
         }
     }
-    fields.push(stripExcelQuote(current));
-    return fields;
+
+    return { rolledBack, results, written: rolledBack ? new Map() : written, existing };
 }
 
-// Parse CSV content handling multi-line fields
-function parseCsv(content) {
-    const rows = [];
-    let currentRow = '';
-    let inQuotes = false;
-    
-    for (let i = 0; i < content.length; i++) {
-        const char = content[i];
-        if (char === '"') {
-            inQuotes = !inQuotes;
-            currentRow += char;
-        } else if ((char === '\n' || (char === '\r' && content[i + 1] === '\n')) && !inQuotes) {
-            if (currentRow.trim()) rows.push(currentRow);
-            currentRow = '';
-            if (char === '\r') i++;
-        } else if (char === '\r' && !inQuotes) {
-            if (currentRow.trim()) rows.push(currentRow);
-            currentRow = '';
-        } else {
-            currentRow += char;
+// Audit log changes for what a batch wrote
+function batchChanges(batch) {
+    return [...batch.written].map(([id, entity]) => {
+        const before = batch.existing.get(id) || null;
+        return sessionChange(!entity ? "delete" : before ? "update" : "create", id, before, entity);
+    });
+}
+
+// POST /api/schedule/batch - Apply a list of operations:
+//   { "atomic": false, "dryRun": false, "operations": [{ "op": "create" | "upsert" | "update" | "patch" | "delete", "id", "item", "etag" }] }
+// update/upsert replace the whole item like PUT, patch behaves like PATCH.
+async function scheduleBatch(request, context) {
+    try {
+        const body = await readJson(request);
+        
+        const errors = [];
+        if (!body || !Array.isArray(body.operations) || body.operations.length === 0) {
+            errors.push({ field: "operations", message: "must be a non-empty array" });
+        } else if (body.operations.length > MAX_BATCH_OPERATIONS) {
+            errors.push({ field: "operations", message: `must have at most ${MAX_BATCH_OPERATIONS} items` });
+        }
+        for (const flag of ["atomic", "dryRun"]) {
+            if (body && body[flag] !== undefined && typeof body[flag] !== "boolean") {
+                errors.push({ field: flag, message: "must be true or false" });
+            }
+        }
+        if (errors.length > 0) {
+            return validationErrorResponse(errors);
+        }
+        
+        const atomic = body.atomic === true;
+        const dryRun = body.dryRun === true;
+        const client = getTableClient(request.params.eventId);
+        
+        context.log(`Batch of ${body.operations.length} operations${atomic ? " (atomic)" : ""}${dryRun ? " (dry run)" : ""}`);
+        
+        const trash = { eventId: request.params.eventId, deletedBy: getActor(request) };
+        const batch = await executeScheduleBatch(client, body.operations, { atomic, dryRun, trash }, context);
+        const { rolledBack, results, written } = batch;
+        if (!dryRun) {
+            await recordAudit(request, batchChanges(batch), "batch", context);
         }
+        const warnings = await scheduleWarnings(client, request.params.eventId, written, context);
+        const succeeded = results.filter(result => result.status < 400).length;
+        const failed = results.filter(result => result.status >= 400 && result.status !== 424).length;
+        
+        return {
+            status: rolledBack ? 409 : 200,
+            jsonBody: {
+                message: rolledBack
+                    ? `Batch was not applied because ${failed} operation(s) failed`
+                    : dryRun ? "Dry run - nothing was changed" : "Batch completed",
+                atomic,
+                dryRun,
+                succeeded,
+                failed,
+                results,
+                warnings
+            }
+        };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to run schedule batch", error);
     }
-    if (currentRow.trim()) rows.push(currentRow);
-    return rows;
 }
 
 // POST /api/schedule?action=import - Import from CSV
 async function importScheduleFromCsv(request, context) {
     try {
         const body = await request.text();
-        const client = getTableClient();
+        const client = getTableClient(request.params.eventId);
         
         context.log("Import received, content length:", body.length);
         
         const rows = parseCsv(body);
         if (rows.length < 2) {
-            return {
-                status: 400,
-                jsonBody: { error: "CSV must have header row and at least one data row" }
-            };
+            return errorResponse(400, "CSV must have header row and at least one data row");
         }
         
         const headerRow = parseCsvLine(rows[0]);
@@ -352,14 +925,15 @@ async function importScheduleFromCsv(request, context) {
         const requiredColumns = ['videoid', 'title', 'starttime'];
         for (const col of requiredColumns) {
             if (!headers.includes(col)) {
-                return {
-                    status: 400,
-                    jsonBody: { error: `Missing required column: ${col}` }
-                };
+                return errorResponse(400, `Missing required column: ${col}`);
             }
         }
         
-        const results = { created: 0, updated: 0, errors: [] };
+        const atomic = request.query.atomic === 'true';
+        const dryRun = request.query.dryRun === 'true';
+        const rowErrors = [];
+        const operations = [];
+        const rowNumbers = [];
         
         for (let i = 1; i < rows.length; i++) {
             try {
@@ -369,52 +943,82 @@ async function importScheduleFromCsv(request, context) {
                     record[header] = values[index] || '';
                 });
                 
-                const sessionId = record.sessionid?.trim() || generateSessionId();
-                const startDate = new Date(record.starttime);
+                const durationText = record.duration?.trim() || '';
                 
-                if (isNaN(startDate.getTime())) {
-                    results.errors.push(`Row ${i + 1}: Invalid startTime "${record.starttime}"`);
-                    continue;
-                }
-                
-                const partitionKey = startDate.toISOString().split('T')[0];
-                
-                const entity = {
-                    partitionKey: partitionKey,
-                    rowKey: sessionId,
-                    videoId: record.videoid?.trim() || '',
-                    title: record.title?.trim() || '',
-                    description: record.description || '',
-                    url: record.url?.trim() || `https://www.youtube.com/watch?v=${record.videoid?.trim()}`,
-                    startTime: record.starttime?.trim() || '',
-                    duration: parseInt(record.duration) || 0
-                };
-                
-                // Check if entity exists
-                let exists = false;
-                for await (const existing of client.listEntities()) {
-                    if (existing.rowKey === sessionId) {
-                        exists = true;
-                        if (existing.partitionKey !== partitionKey) {
-                            await client.deleteEntity(existing.partitionKey, existing.rowKey);
-                            await client.createEntity(entity);
-                        } else {
-                            await client.updateEntity(entity, "Replace");
-                        }
-                        break;
+                operations.push({
+                    op: "upsert",
+                    id: record.sessionid?.trim() || generateSessionId(),
+                    item: {
+                        videoId: record.videoid?.trim() || '',
+                        title: record.title?.trim() || '',
+                        description: record.description || '',
+                        url: record.url?.trim() || youtubeWatchUrl(record.videoid?.trim()),
+                        startTime: record.starttime?.trim() || '',
+                        duration: durationText === '' ? 0 : Number(durationText),
+                        track: record.track?.trim() || '',
+                        sessionType: record.sessiontype?.trim().toLowerCase() || '',
+                        tags: (record.tags || '').split(CSV_TAG_SEPARATOR)
                     }
-                }
-                
-                if (!exists) {
-                    await client.createEntity(entity);
-                    results.created++;
-                } else {
-                    results.updated++;
-                }
+                });
+                rowNumbers.push(i + 1);
             } catch (rowError) {
-                results.errors.push(`Row ${i + 1}: ${rowError.message}`);
+                rowErrors.push({ row: i + 1, message: rowError.message });
+            }
+        }
+        
+        // Rows that could not be parsed fail an all-or-nothing import up front.
+        // A dry run previews every row, even when an atomic import would not apply.
+        const batch = atomic && !dryRun && rowErrors.length > 0
+            ? { rolledBack: true, results: [], written: new Map() }
+            : await executeScheduleBatch(client, operations, { atomic: atomic && !dryRun, dryRun }, context);
+        
+        for (const result of batch.results) {
+            if (result.status >= 400 && result.status !== 424) {
+                const message = result.fields ? formatValidationErrors(result.fields) : result.error;
+                rowErrors.push({ row: rowNumbers[result.index], message });
             }
         }
+        const errors = rowErrors
+            .sort((a, b) => a.row - b.row)
+            .map(error => `Row ${error.row}: ${error.message}`);
+        
+        if (batch.rolledBack) {
+            return errorResponse(409, `Import was not applied because ${errors.length} row(s) failed`, {
+                code: "import_failed",
+                created: 0,
+                updated: 0,
+                unchanged: 0,
+                errors: errors
+            });
+        }
+        
+        if (!dryRun) {
+            await recordAudit(request, batchChanges(batch), "import", context);
+        }
+        
+        const applied = change => batch.results.filter(result => result.status < 400 && result.change === change);
+        const results = {
+            created: applied("create").length,
+            updated: applied("update").length,
+            unchanged: applied("unchanged").length,
+            errors: errors,
+            warnings: await scheduleWarnings(client, request.params.eventId, batch.written, context)
+        };
+        
+        if (dryRun) {
+            return {
+                status: 200,
+                jsonBody: {
+                    message: atomic && errors.length > 0
+                        ? "Dry run - nothing was changed. This all-or-nothing import would not be applied because some rows failed."
+                        : "Dry run - nothing was changed",
+                    dryRun: true,
+                    ...results,
+                    creates: applied("create").map(result => ({ row: rowNumbers[result.index], id: result.id, item: result.item })),
+                    updates: applied("update").map(result => ({ row: rowNumbers[result.index], id: result.id, changes: result.changes }))
+                }
+            };
+        }
         
         return {
             status: 200,
@@ -422,57 +1026,73 @@ async function importScheduleFromCsv(request, context) {
                 message: "Import completed",
                 created: results.created,
                 updated: results.updated,
-                errors: results.errors
+                unchanged: results.unchanged,
+                errors: results.errors,
+                warnings: results.warnings
             }
         };
     } catch (error) {
-        context.log("Error importing schedule:", error);
-        return {
-            status: 500,
-            jsonBody: { error: "Failed to import schedule", details: error.message }
-        };
+        return exceptionResponse(context, "Failed to import schedule", error);
     }
 }
 
-// POST /api/schedule?action=playlist - Import from YouTube playlist
+// POST /api/schedule?action=playlist - Import from YouTube playlist. The
+// YouTube API key comes from the server's secrets (see shared/secrets.js) and
+// is sent in a header, so it is in no request body, URL or log.
 async function importPlaylist(request, context) {
     try {
-        const body = await request.json();
+        const body = await readJson(request);
+        if (!body || typeof body !== "object" || Array.isArray(body)) {
+            return validationErrorResponse([{ field: "body", message: "must be a JSON object" }]);
+        }
         const playlistId = body.playlistId;
-        const apiKey = body.apiKey || process.env.YOUTUBE_API_KEY;
         const sessionDuration = body.sessionDuration || 60; // Default 60 minutes between sessions
-        const timezone = body.timezone || '-05:00'; // Default to EST if not provided
+        const dryRun = request.query.dryRun === 'true';
+        // IANA zone (DST-aware) or a fixed offset like "-05:00"; defaults to the event timezone
+        const timezone = body.timezone || (await getEvent(request.params.eventId)).timezone;
         
-        // Parse startDate with the provided timezone offset
-        // datetime-local input sends format like "2026-02-05T10:00" without timezone
+        // datetime-local input sends format like "2026-02-05T10:00" without timezone,
+        // which is read as wall-clock time in the timezone above
         let startDate;
         if (body.startDate) {
-            const dateStr = body.startDate;
-            // Check if the date string already has timezone info
-            if (dateStr.includes('Z') || dateStr.includes('+') || (dateStr.length > 10 && dateStr.includes('-', 10))) {
-                startDate = new Date(dateStr);
-            } else {
-                // Append the user-selected timezone offset
-                startDate = new Date(dateStr + timezone);
-                context.log(`Parsed startDate with timezone ${timezone}: ${dateStr}${timezone} -> ${startDate.toISOString()}`);
-            }
+            startDate = isValidTimeZoneOrOffset(timezone) ? parseEventDateTime(body.startDate, timezone) : new Date(NaN);
+            context.log(`Parsed startDate in ${timezone}: ${body.startDate} -> ${startDate}`);
         } else {
             startDate = new Date();
         }
         
         if (!playlistId) {
-            return {
-                status: 400,
-                jsonBody: { error: "playlistId is required" }
-            };
+            return errorResponse(400, "playlistId is required");
         }
         
+        const requestErrors = [];
+        if (body.apiKey !== undefined) {
+            requestErrors.push({ field: "apiKey", message: "is not accepted; the YouTube API key is configured on the server" });
+        }
+        if (!/^[A-Za-z0-9_-]+$/.test(playlistId)) {
+            requestErrors.push({ field: "playlistId", message: "must be a YouTube playlist ID" });
+        }
+        if (!Number.isInteger(sessionDuration) || sessionDuration < 0) {
+            requestErrors.push({ field: "sessionDuration", message: "must be 0 or greater" });
+        }
+        // Every imported session goes on the same track and gets the same type, if given
+        const track = typeof body.track === 'string' ? body.track.trim() : body.track;
+        const sessionType = body.sessionType;
+        requestErrors.push(...validate(SCHEDULE_ITEM_SCHEMA, { track, sessionType }, { partial: true }));
+        if (!isValidTimeZoneOrOffset(timezone)) {
+            requestErrors.push({ field: "timezone", message: "must be an IANA timezone like America/New_York or an offset like -05:00" });
+        } else if (isNaN(startDate.getTime())) {
+            requestErrors.push({ field: "startDate", message: "must be a valid date-time" });
+        }
+        if (requestErrors.length > 0) {
+            return validationErrorResponse(requestErrors);
+        }
+        
+        const apiKey = await getSecret(SECRETS.youtubeApiKey);
         if (!apiKey) {
-            return {
-                status: 400,
-                jsonBody: { error: "YouTube API key is required. Provide apiKey in request or set YOUTUBE_API_KEY environment variable." }
-            };
+            return errorResponse(503, "YouTube integration is not configured. Set YOUTUBE_API_KEY in the Function App settings.", { code: "youtube_not_configured" });
         }
+        const youtubeRequest = { headers: { "X-Goog-Api-Key": apiKey } };
         
         context.log("Importing playlist:", playlistId);
         
@@ -481,19 +1101,16 @@ async function importPlaylist(request, context) {
         let nextPageToken = null;
         
         do {
-            const url = `https://www.googleapis.com/youtube/v3/playlistItems?part=snippet,contentDetails&maxResults=50&playlistId=${playlistId}&key=${apiKey}${nextPageToken ? `&pageToken=${nextPageToken}` : ''}`;
+            const url = `https://www.googleapis.com/youtube/v3/playlistItems?part=snippet,contentDetails&maxResults=50&playlistId=${playlistId}${nextPageToken ? `&pageToken=${nextPageToken}` : ''}`;
             
-            context.log("Fetching URL:", url.replace(apiKey, 'API_KEY_HIDDEN'));
+            context.log("Fetching URL:", url);
             
             let response;
             try {
-                response = await fetch(url);
+                response = await fetch(url, youtubeRequest);
             } catch (fetchError) {
                 context.log("Fetch error:", fetchError);
-                return {
-                    status: 500,
-                    jsonBody: { error: "Network error fetching from YouTube", details: fetchError.message }
-                };
+                return errorResponse(502, "Network error fetching from YouTube");
             }
             
             const responseText = await response.text();
@@ -507,11 +1124,10 @@ async function importPlaylist(request, context) {
                 } catch (e) {
                     // Keep responseText as errorDetails
                 }
+                // YouTube's message says what is wrong with the key or playlist,
+                // so it is passed on
                 context.log("YouTube API error:", errorDetails);
-                return {
-                    status: 400,
-                    jsonBody: { error: "Failed to fetch playlist from YouTube", details: errorDetails }
-                };
+                return errorResponse(400, `Failed to fetch playlist from YouTube: ${errorDetails}`, { code: "youtube_error" });
             }
             
             const data = JSON.parse(responseText);
@@ -527,10 +1143,10 @@ async function importPlaylist(request, context) {
         
         for (let i = 0; i < allVideoIds.length; i += 50) {
             const batchIds = allVideoIds.slice(i, i + 50).join(',');
-            const videosUrl = `https://www.googleapis.com/youtube/v3/videos?part=contentDetails&id=${batchIds}&key=${apiKey}`;
+            const videosUrl = `https://www.googleapis.com/youtube/v3/videos?part=contentDetails&id=${batchIds}`;
             
             try {
-                const videosResponse = await fetch(videosUrl);
+                const videosResponse = await fetch(videosUrl, youtubeRequest);
                 const videosData = await videosResponse.json();
                 
                 for (const video of videosData.items || []) {
@@ -553,8 +1169,9 @@ async function importPlaylist(request, context) {
         context.log(`Fetched durations for ${Object.keys(videoDurations).length} videos`);
         
         // Create schedule items
-        const client = getTableClient();
-        const results = { created: 0, skipped: 0, errors: [], videos: [] };
+        const client = getTableClient(request.params.eventId);
+        const results = { created: 0, skipped: 0, errors: [], videos: [], skippedVideos: [] };
+        const createdEntities = new Map();
         let currentTime = new Date(startDate);
         
         for (const item of playlistItems) {
@@ -565,11 +1182,12 @@ async function importPlaylist(request, context) {
                 // Skip private or deleted videos
                 if (snippet.title === 'Private video' || snippet.title === 'Deleted video') {
                     results.skipped++;
+                    results.skippedVideos.push({ videoId, reason: snippet.title });
                     continue;
                 }
                 
                 const sessionId = generateSessionId();
-                const partitionKey = currentTime.toISOString().split('T')[0];
+                const partitionKey = schedulePartitionKey(currentTime);
                 const duration = videoDurations[videoId] || 0;
                 
                 const entity = {
@@ -578,40 +1196,144 @@ async function importPlaylist(request, context) {
                     videoId: videoId,
                     title: snippet.title,
                     description: snippet.description || '',
-                    url: `https://www.youtube.com/watch?v=${videoId}`,
+                    url: youtubeWatchUrl(videoId),
                     startTime: currentTime.toISOString(),
-                    duration: duration
+                    duration: duration,
+                    track: track || '',
+                    sessionType: sessionType || ''
                 };
                 
-                await client.createEntity(entity);
+                const validationErrors = validate(SCHEDULE_ITEM_SCHEMA, entity);
+                if (validationErrors.length > 0) {
+                    results.errors.push(`${snippet.title || videoId}: ${formatValidationErrors(validationErrors)}`);
+                    continue;
+                }
+                
+                if (!dryRun) {
+                    await client.createEntity(entity);
+                    await indexScheduleEntity(client, entity);
+                }
+                createdEntities.set(sessionId, entity);
                 results.created++;
-                results.videos.push({ title: snippet.title, videoId, startTime: currentTime.toISOString() });
+                results.videos.push({ title: snippet.title, videoId, startTime: currentTime.toISOString(), duration });
                 
                 // Move to next time slot (use video duration + gap, or sessionDuration)
                 const nextGap = duration > 0 ? duration + (sessionDuration * 60) : sessionDuration * 60;
                 currentTime = new Date(currentTime.getTime() + nextGap * 1000);
                 
             } catch (itemError) {
-                results.errors.push(`${item.snippet?.title || 'Unknown'}: ${itemError.message}`);
+                context.log(`Failed to import video ${item.snippet?.resourceId?.videoId}:`, itemError);
+                results.errors.push(`${item.snippet?.title || 'Unknown'}: failed to save`);
             }
         }
         
+        if (!dryRun) {
+            const changes = [...createdEntities].map(([id, entity]) => sessionChange("create", id, null, entity));
+            await recordAudit(request, changes, "playlist", context);
+        }
+        
         return {
             status: 200,
             jsonBody: {
-                message: "Playlist import completed",
+                message: dryRun ? "Dry run - nothing was changed" : "Playlist import completed",
+                dryRun,
                 created: results.created,
                 skipped: results.skipped,
                 errors: results.errors,
-                videos: results.videos
+                videos: results.videos,
+                skippedVideos: results.skippedVideos,
+                warnings: await scheduleWarnings(client, request.params.eventId, createdEntities, context)
             }
         };
     } catch (error) {
-        context.log("Error importing playlist:", error);
+        return exceptionResponse(context, "Failed to import playlist", error);
+    }
+}
+
+// POST /api/schedule?action=repair-partitions - Move rows whose partition does not
+// match the date of their startTime, e.g. ones edited before updates relocated them.
+// Also does the upkeep public reads leave alone, since they never write: indexes
+// rows the session index misses, moves speakers' legacy sessionIds into links
+// and removes stale links. With ?dryRun=true the changes are only reported.
+async function repairSchedulePartitions(request, context) {
+    try {
+        const dryRun = request.query.dryRun === 'true';
+        const client = getTableClient(request.params.eventId);
+        const misplaced = await findMisplacedScheduleEntities(client);
+        
+        context.log(`Found ${misplaced.length} schedule rows in the wrong partition${dryRun ? " (dry run)" : ""}`);
+        
+        const results = { moved: [], duplicatesRemoved: [], errors: [] };
+        const changes = [];
+        
+        for (const row of misplaced) {
+            const summary = { id: row.id, from: row.from, to: row.to };
+            const change = { action: "repair", entityType: "session", entityId: row.id, before: { partition: row.from } };
+            try {
+                const { etag, timestamp, ...data } = row.entity;
+                if (row.duplicate) {
+                    // The session already has a row in the right partition; drop this copy
+                    if (!dryRun) {
+                        await client.deleteEntity(row.from, row.id, { etag });
+                        await indexScheduleEntity(client, { partitionKey: row.to, rowKey: row.id });
+                    }
+                    results.duplicatesRemoved.push(summary);
+                    changes.push({ ...change, after: { partition: row.to, duplicateRemoved: true } });
+                } else {
+                    if (!dryRun) {
+                        await moveScheduleEntity(client, { ...data, partitionKey: row.to }, row.from, { etag });
+                    }
+                    results.moved.push(summary);
+                    changes.push({ ...change, after: { partition: row.to } });
+                }
+            } catch (rowError) {
+                context.log(`Failed to repair partition of ${row.id}:`, rowError);
+                results.errors.push(`${row.id}: failed to move`);
+            }
+        }
+        
+        // Rows written before the index existed; moved rows were indexed above
+        const misplacedIds = new Set(misplaced.map(row => row.id));
+        const unindexed = (await findUnindexedScheduleEntities(client)).filter(entity => !misplacedIds.has(entity.rowKey));
+        
+        // Speakers whose sessions are still in the legacy sessionIds column
+        const speakerClient = getEventTableClient(storage.TABLES.speakers, request.params.eventId);
+        const legacySpeakers = [];
+        for await (const entity of speakerClient.listEntities()) {
+            if (entity.sessionIds !== undefined) legacySpeakers.push(entity);
+        }
+        
+        if (!dryRun) {
+            for (const entity of unindexed) {
+                await indexScheduleEntity(client, entity);
+            }
+            for (const entity of legacySpeakers) {
+                await adoptLegacySessionIds(client, speakerClient, entity);
+            }
+        }
+        
+        // Links left pointing at deleted sessions or speakers
+        const staleLinks = await findStaleLinks(client, speakerClient);
+        if (!dryRun) {
+            await removeStaleLinks(client, staleLinks);
+            await recordAudit(request, changes, "repair-partitions", context);
+        }
+        
         return {
-            status: 500,
-            jsonBody: { error: "Failed to import playlist", details: error.message }
+            status: 200,
+            jsonBody: {
+                message: dryRun ? "Dry run - no changes were made" : "Repair completed",
+                dryRun,
+                moved: results.moved,
+                duplicatesRemoved: results.duplicatesRemoved,
+                indexed: unindexed.map(entity => entity.rowKey),
+                legacySessionsMoved: legacySpeakers.map(entity => entity.rowKey),
+                staleLinksRemoved: staleLinks,
+                errors: results.errors
+            }
         };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to repair schedule partitions", error);
     }
 }
 
@@ -619,15 +1341,23 @@ async function importPlaylist(request, context) {
 function wrapRequest(request, id) {
     return {
         method: request.method,
-        params: { id },
+        params: { id, eventId: request.params.eventId },
+        headers: request.headers,
         query: Object.fromEntries(new URL(request.url).searchParams),
         json: () => request.json(),
         text: () => request.text()
     };
 }
 
-// Register routes using v4 programming model
-app.http("getSchedule", {
+// Repairing partitions rewrites every item, so it is for admins; the other
+// POST /api/schedule actions change content and need an editor
+function scheduleWriteRole(request) {
+    return new URL(request.url).searchParams.get('action') === 'repair-partitions' ? "admin" : "editor";
+}
+
+// Register routes using v4 programming model. Reads are public; see
+// shared/auth.js for the roles the other routes require.
+registerEventRoute(app, "getSchedule", {
     methods: ["GET"],
     authLevel: "anonymous",
     route: "schedule",
@@ -638,15 +1368,27 @@ app.http("getSchedule", {
         if (format === 'csv') {
             return exportScheduleAsCsv(wrapRequest(request), context);
         }
+        if (format === 'ics') {
+            return exportScheduleAsIcs(wrapRequest(request), context);
+        }
         return getSchedule(wrapRequest(request), context);
     }
 });
 
-app.http("addScheduleItem", {
+registerEventRoute(app, "getScheduleConflicts", {
+    methods: ["GET"],
+    authLevel: "anonymous",
+    route: "schedule/conflicts",
+    handler: async (request, context) => {
+        return getScheduleConflicts(wrapRequest(request), context);
+    }
+});
+
+registerEventRoute(app, "addScheduleItem", {
     methods: ["POST"],
     authLevel: "anonymous",
     route: "schedule",
-    handler: async (request, context) => {
+    handler: authorize(scheduleWriteRole, async (request, context) => {
         const url = new URL(request.url);
         const action = url.searchParams.get('action');
         
@@ -656,36 +1398,74 @@ app.http("addScheduleItem", {
         if (action === 'playlist') {
             return importPlaylist(wrapRequest(request), context);
         }
+        if (action === 'repair-partitions') {
+            return repairSchedulePartitions(wrapRequest(request), context);
+        }
         return addScheduleItem(wrapRequest(request), context);
+    })
+});
+
+registerEventRoute(app, "scheduleBatch", {
+    methods: ["POST"],
+    authLevel: "anonymous",
+    route: "schedule/batch",
+    handler: authorize("editor", async (request, context) => {
+        return scheduleBatch(wrapRequest(request), context);
+    })
+});
+
+registerEventRoute(app, "getScheduleItem", {
+    methods: ["GET"],
+    authLevel: "anonymous",
+    route: "schedule/{id}",
+    handler: async (request, context) => {
+        const id = decodeURIComponent(request.params.id);
+        return getScheduleItem(wrapRequest(request, id), context);
     }
 });
 
-app.http("updateScheduleItem", {
+registerEventRoute(app, "updateScheduleItem", {
     methods: ["PUT"],
     authLevel: "anonymous",
     route: "schedule/{id}",
-    handler: async (request, context) => {
+    handler: authorize("editor", async (request, context) => {
         const id = decodeURIComponent(request.params.id);
         return updateScheduleItem(wrapRequest(request, id), context);
-    }
+    })
 });
 
-app.http("deleteScheduleItem", {
+registerEventRoute(app, "patchScheduleItem", {
+    methods: ["PATCH"],
+    authLevel: "anonymous",
+    route: "schedule/{id}",
+    handler: authorize("editor", async (request, context) => {
+        const id = decodeURIComponent(request.params.id);
+        return patchScheduleItem(wrapRequest(request, id), context);
+    })
+});
+
+registerEventRoute(app, "deleteScheduleItem", {
     methods: ["DELETE"],
     authLevel: "anonymous",
     route: "schedule/{id}",
-    handler: async (request, context) => {
+    handler: authorize("editor", async (request, context) => {
         const id = decodeURIComponent(request.params.id);
         return deleteScheduleItem(wrapRequest(request, id), context);
-    }
+    })
 });
 
 module.exports = {
     getSchedule,
+    getScheduleConflicts,
     addScheduleItem,
     updateScheduleItem,
+    patchScheduleItem,
     deleteScheduleItem,
+    getScheduleItem,
     exportScheduleAsCsv,
+    exportScheduleAsIcs,
     importScheduleFromCsv,
-    importPlaylist
+    importPlaylist,
+    repairSchedulePartitions,
+    scheduleBatch
 };
\ No newline at end of file
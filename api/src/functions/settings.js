@@ -0,0 +1,34 @@
+const { app } = require("@azure/functions");
+const { exceptionResponse, withErrorHandling } = require("../shared/errors");
+const { authorize } = require("../shared/auth");
+const { SECRETS, hasSecret } = require("../shared/secrets");
+
+// GET /api/settings - Which integrations the server is configured for, so
+// the admin pages can say what is missing before someone tries to use it.
+// Only says whether a secret is set, never what it is.
+async function getSettings(request, context) {
+    try {
+        return {
+            status: 200,
+            jsonBody: {
+                youtube: {
+                    configured: await hasSecret(SECRETS.youtubeApiKey)
+                }
+            }
+        };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to check settings", error);
+    }
+}
+
+// Register routes. Editors are the ones who run the imports that need these.
+app.http("getSettings", {
+    methods: ["GET"],
+    authLevel: "anonymous",
+    route: "settings",
+    handler: withErrorHandling(authorize("editor", getSettings))
+});
+
+module.exports = {
+    getSettings
+};
@@ -1,14 +1,220 @@
 const { app } = require("@azure/functions");
-const { TableClient } = require("@azure/data-tables");
-const { ManagedIdentityCredential } = require("@azure/identity");
+const storage = require("../shared/storage");
+const { SPEAKER_ID, SPEAKER_SCHEMA, validate, validationErrorResponse, formatValidationErrors } = require("../shared/validation");
+const { applyPatch } = require("../shared/patch");
+const { getEventTableClient, registerEventRoute } = require("../shared/events");
+const { getIfMatch, etagMatches, etagOptions, isPreconditionFailed, preconditionFailedResponse } = require("../shared/concurrency");
+const { errorResponse, exceptionResponse, readJson } = require("../shared/errors");
+const { authorize } = require("../shared/auth");
+const { getActor, recordAudit } = require("../shared/audit");
+const { addToTrash, removeFromTrash } = require("../shared/trash");
+const { findScheduleEntity } = require("../shared/scheduleIndex");
+const { escapeCsvField, parseCsv, parseCsvLine } = require("../shared/csv");
+const {
+    listLinks,
+    getSpeakerSessionIds,
+    setSpeakerSessions,
+    addSpeakerSessions,
+    removeSpeakerLinks,
+    findMissingSessions,
+    legacySessionIds,
+    adoptLegacySessionIds
+} = require("../shared/sessionSpeakers");
+const { normalizeSocialLinks } = require("../shared/socialLinks");
+const { normalizeName, extractSpeakerNames, suggestAction } = require("../shared/speakerExtraction");
+const {
+    PROPOSAL_ACTIONS,
+    getProposalsClient,
+    proposalId,
+    toProposal,
+    buildProposalEntity,
+    listProposalEntities
+} = require("../shared/speakerProposals");
 
-const storageAccountName = process.env.STORAGE_ACCOUNT_NAME || "azcorestorage2026";
-const tableName = "Speakers";
+const SPEAKER_PARTITION = "speaker";
 
-function getTableClient() {
-    const credential = new ManagedIdentityCredential();
-    const url = `https://${storageAccountName}.table.core.windows.net`;
-    return new TableClient(url, tableName, credential);
+const PROPOSAL_STATUSES = ["pending", "rejected", "all"];
+const MAX_REVIEW_DECISIONS = 200;
+const MAX_IMPORT_SPEAKERS = 1000;
+
+// Columns of a speaker export, in order; imports accept any subset
+const SPEAKER_COLUMNS = ["id", ...Object.keys(SPEAKER_SCHEMA)];
+// List fields (badges, aliases, sessionIds) share one CSV column, e.g. "MVP;Azure Hero"
+const CSV_LIST_SEPARATOR = ';';
+const SPEAKER_LIST_FIELDS = ["badges", "aliases", "sessionIds"];
+
+// Fields a PATCH may set, and what sending null resets them to (name is
+// required and cannot be cleared)
+const SPEAKER_CLEAR_VALUES = {
+    name: null,
+    title: '',
+    company: '',
+    bio: '',
+    headshotFile: '',
+    headshotUrl: '',
+    linkedin: '',
+    twitter: '',
+    github: '',
+    website: '',
+    bluesky: '',
+    mastodon: '',
+    pronouns: '',
+    location: '',
+    badges: [],
+    aliases: [],
+    sessionIds: []
+};
+
+// Speakers table for an event; eventId is undefined for the default event
+function getTableClient(eventId) {
+    return getEventTableClient(storage.TABLES.speakers, eventId);
+}
+
+// Schedule table for an event; the session-speaker links live in its
+// SpeakerLinks table (shared/sessionSpeakers.js), found through this client
+function getScheduleClient(eventId) {
+    return getEventTableClient(storage.TABLES.schedule, eventId);
+}
+
+// Point read of a speaker by id; returns null if it does not exist
+async function findSpeaker(client, id) {
+    try {
+        return await client.getEntity(SPEAKER_PARTITION, id);
+    } catch (error) {
+        if (error.statusCode === 404) return null;
+        throw error;
+    }
+}
+
+// Read a speaker and the ids of its sessions; returns null if it does not
+// exist. Sessions in a legacy sessionIds column count as linked. Nothing is
+// written, so the etag is the one a GET returned; a PUT or PATCH replaces
+// the row without the column and links its sessions.
+async function loadSpeaker(eventId, id) {
+    const found = await findSpeaker(getTableClient(eventId), id);
+    if (!found) return null;
+    
+    const sessionIds = await getSpeakerSessionIds(getScheduleClient(eventId), id);
+    return { entity: found, sessionIds: [...new Set([...sessionIds, ...legacySessionIds(found)])] };
+}
+
+// Shape a stored speaker entity for API responses. Sessions are linked in the
+// links table, so their ids are passed in.
+function toSpeaker(entity, sessionIds = []) {
+    return {
+        id: entity.rowKey,
+        name: entity.name,
+        title: entity.title || '',
+        company: entity.company || '',
+        bio: entity.bio || '',
+        headshotFile: entity.headshotFile || '', // Filename in /images/speakers/
+        headshotUrl: entity.headshotUrl || '', // Uploaded with POST /api/headshots; preferred over headshotFile
+        linkedin: entity.linkedin || '',
+        twitter: entity.twitter || '',
+        github: entity.github || '',
+        website: entity.website || '',
+        bluesky: entity.bluesky || '',
+        mastodon: entity.mastodon || '',
+        pronouns: entity.pronouns || '',
+        location: entity.location || '',
+        badges: parseList(entity.badges),
+        aliases: parseList(entity.aliases),
+        sessionIds,
+        etag: entity.etag
+    };
+}
+
+// Audit log change for a speaker, from its API shape before and after (null
+// when it did not exist or no longer does)
+function speakerChange(action, id, before, after) {
+    return { action, entityType: "speaker", entityId: id, before, after };
+}
+
+// Badges and aliases (other spellings of the name, which extraction matches
+// against) are stored as JSON arrays, trimmed and without duplicates
+function parseList(value) {
+    return value ? JSON.parse(value) : [];
+}
+
+function serializeList(items) {
+    const unique = [...new Set((items || []).map(item => item.trim()).filter(Boolean))];
+    return JSON.stringify(unique);
+}
+
+// Build the stored entity from validated speaker data; omitted optional fields are empty
+function buildSpeakerEntity(id, data) {
+    return {
+        partitionKey: SPEAKER_PARTITION,
+        rowKey: id,
+        name: data.name,
+        title: data.title || '',
+        company: data.company || '',
+        bio: data.bio || '',
+        headshotFile: data.headshotFile || '', // e.g., "rick-claus.jpg"
+        headshotUrl: data.headshotUrl || '',
+        linkedin: data.linkedin || '',
+        twitter: data.twitter || '',
+        github: data.github || '',
+        website: data.website || '',
+        bluesky: data.bluesky || '',
+        mastodon: data.mastodon || '',
+        pronouns: data.pronouns || '',
+        location: data.location || '',
+        badges: serializeList(data.badges),
+        aliases: serializeList(data.aliases)
+    };
+}
+
+// Normalize social links to canonical URLs, then validate. Returns the
+// normalized body and every error in schema order.
+function checkSpeaker(body, options) {
+    const { data, errors: linkErrors } = normalizeSocialLinks(body);
+    const fields = Object.keys(SPEAKER_SCHEMA);
+    const errors = [...validate(SPEAKER_SCHEMA, data, options), ...linkErrors]
+        .sort((a, b) => fields.indexOf(a.field) - fields.indexOf(b.field));
+    return { data, errors };
+}
+
+// Build the 412 response, re-reading the speaker so the caller sees the latest version
+async function speakerConflictResponse(eventId, id) {
+    const current = await loadSpeaker(eventId, id);
+    return preconditionFailedResponse("Speaker", current ? toSpeaker(current.entity, current.sessionIds) : null);
+}
+
+// 400 response when sessionIds names sessions that do not exist, or null
+async function unknownSessionsResponse(eventId, sessionIds) {
+    const missing = await findMissingSessions(getScheduleClient(eventId), sessionIds || []);
+    if (missing.length === 0) return null;
+    return validationErrorResponse([{ field: "sessionIds", message: `contains unknown sessions: ${missing.join(", ")}` }]);
+}
+
+// Write a speaker update honouring If-Match, then relink its sessions; returns
+// the new etag, or a 412 response
+async function replaceSpeaker(eventId, entity, sessionIds, ifMatch) {
+    const client = getTableClient(eventId);
+    let result;
+    try {
+        result = await client.updateEntity(entity, "Replace", etagOptions(ifMatch));
+    } catch (error) {
+        if (isPreconditionFailed(error)) {
+            return { conflict: await speakerConflictResponse(eventId, entity.rowKey) };
+        }
+        throw error;
+    }
+    await setSpeakerSessions(getScheduleClient(eventId), entity.rowKey, sessionIds);
+    return { etag: result.etag };
+}
+
+// Short form of a session embedded in a speaker
+function toSessionSummary(entity) {
+    return {
+        id: entity.rowKey,
+        title: entity.title,
+        startTime: entity.startTime,
+        duration: entity.duration || 0,
+        track: entity.track || '',
+        url: entity.url || ''
+    };
 }
 
 // Generate a URL-safe speaker ID from name
@@ -21,381 +227,805 @@ function generateSpeakerId(name) {
     return `${slug}-${random}`;
 }
 
+// Every speaker in an event with their session ids, sorted by name. Legacy
+// sessionIds are moved into links first, except with readOnly (public reads),
+// which counts them as linked as loadSpeaker does.
+async function listSpeakers(eventId, { readOnly = false } = {}) {
+    const client = getTableClient(eventId);
+    const scheduleClient = getScheduleClient(eventId);
+    const entities = [];
+    
+    for await (const entity of client.listEntities()) {
+        entities.push(readOnly ? entity : await adoptLegacySessionIds(scheduleClient, client, entity));
+    }
+    
+    const sessionIds = new Map(entities.map(entity => [entity.rowKey, new Set(readOnly ? legacySessionIds(entity) : [])]));
+    for (const link of await listLinks(scheduleClient)) {
+        sessionIds.get(link.speakerId)?.add(link.sessionId);
+    }
+    const speakers = entities.map(entity => toSpeaker(entity, [...sessionIds.get(entity.rowKey)]));
+    
+    // Sort by name
+    speakers.sort((a, b) => a.name.localeCompare(b.name));
+    return speakers;
+}
+
 // GET /api/speakers - Get all speakers
 async function getSpeakers(request, context) {
     try {
-        const client = getTableClient();
-        const speakers = [];
-        
-        for await (const entity of client.listEntities()) {
-            speakers.push({
-                id: entity.rowKey,
-                name: entity.name,
-                title: entity.title || '',
-                company: entity.company || '',
-                bio: entity.bio || '',
-                headshotFile: entity.headshotFile || '', // Filename in /images/speakers/
-                linkedin: entity.linkedin || '',
-                twitter: entity.twitter || '',
-                sessionIds: entity.sessionIds ? JSON.parse(entity.sessionIds) : []
-            });
-        }
-        
-        // Sort by name
-        speakers.sort((a, b) => a.name.localeCompare(b.name));
+        const speakers = await listSpeakers(request.params.eventId, { readOnly: true });
         
         return {
             status: 200,
             jsonBody: { speakers }
         };
     } catch (error) {
-        context.log("Error fetching speakers:", error);
+        return exceptionResponse(context, "Failed to fetch speakers", error);
+    }
+}
+
+// GET /api/speakers?format=csv|json - Download every speaker in the columns
+// the import accepts
+async function exportSpeakers(request, context) {
+    try {
+        const speakers = await listSpeakers(request.params.eventId, { readOnly: true });
+        const rows = speakers.map(speaker => Object.fromEntries(SPEAKER_COLUMNS.map(column => [column, speaker[column]])));
+        
+        if (request.query.format === 'json') {
+            return {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Content-Disposition': 'attachment; filename="speakers-export.json"'
+                },
+                body: JSON.stringify({ speakers: rows }, null, 2)
+            };
+        }
+        
+        let csv = SPEAKER_COLUMNS.join(',') + '\n';
+        for (const row of rows) {
+            const values = SPEAKER_COLUMNS.map(column => SPEAKER_LIST_FIELDS.includes(column)
+                ? row[column].join(CSV_LIST_SEPARATOR)
+                : row[column]);
+            csv += values.map(escapeCsvField).join(',') + '\n';
+        }
+        
         return {
-            status: 500,
-            jsonBody: { error: "Failed to fetch speakers", details: error.message }
+            status: 200,
+            headers: {
+                'Content-Type': 'text/csv',
+                'Content-Disposition': 'attachment; filename="speakers-export.csv"'
+            },
+            body: csv
         };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to export speakers", error);
     }
 }
 
-// GET /api/speakers/{id} - Get single speaker
+// GET /api/speakers/{id} - Get single speaker, with a summary of each of
+// their sessions
 async function getSpeaker(request, context) {
     try {
         const id = request.params.id;
-        const client = getTableClient();
-        
-        for await (const entity of client.listEntities()) {
-            if (entity.rowKey === id) {
-                return {
-                    status: 200,
-                    jsonBody: {
-                        id: entity.rowKey,
-                        name: entity.name,
-                        title: entity.title || '',
-                        company: entity.company || '',
-                        bio: entity.bio || '',
-                        headshotFile: entity.headshotFile || '',
-                        linkedin: entity.linkedin || '',
-                        twitter: entity.twitter || '',
-                        sessionIds: entity.sessionIds ? JSON.parse(entity.sessionIds) : []
-                    }
-                };
-            }
+        const scheduleClient = getScheduleClient(request.params.eventId);
+        
+        const speaker = await loadSpeaker(request.params.eventId, id);
+        
+        if (!speaker) {
+            return errorResponse(404, "Speaker not found");
         }
         
+        // Links to deleted sessions are left out; the partition repair removes them
+        const sessions = [];
+        for (const sessionId of speaker.sessionIds) {
+            const session = await findScheduleEntity(scheduleClient, sessionId);
+            if (session) sessions.push(toSessionSummary(session));
+        }
+        sessions.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+        
         return {
-            status: 404,
-            jsonBody: { error: "Speaker not found" }
+            status: 200,
+            headers: { ETag: speaker.entity.etag },
+            jsonBody: { ...toSpeaker(speaker.entity, sessions.map(session => session.id)), sessions }
         };
     } catch (error) {
-        context.log("Error fetching speaker:", error);
-        return {
-            status: 500,
-            jsonBody: { error: "Failed to fetch speaker", details: error.message }
-        };
+        return exceptionResponse(context, "Failed to fetch speaker", error);
     }
 }
 
 // POST /api/speakers - Add a new speaker
 async function addSpeaker(request, context) {
     try {
-        const body = await request.json();
-        const client = getTableClient();
+        const { data: body, errors: validationErrors } = checkSpeaker(await readJson(request));
+        if (validationErrors.length > 0) {
+            return validationErrorResponse(validationErrors);
+        }
+        
+        const unknownSessions = await unknownSessionsResponse(request.params.eventId, body.sessionIds);
+        if (unknownSessions) {
+            return unknownSessions;
+        }
+        
+        const client = getTableClient(request.params.eventId);
         
         const speakerId = generateSpeakerId(body.name);
         
-        const entity = {
-            partitionKey: "speaker",
-            rowKey: speakerId,
-            name: body.name,
-            title: body.title || '',
-            company: body.company || '',
-            bio: body.bio || '',
-            headshotFile: body.headshotFile || '', // e.g., "rick-claus.jpg"
-            linkedin: body.linkedin || '',
-            twitter: body.twitter || '',
-            sessionIds: JSON.stringify(body.sessionIds || [])
-        };
+        const entity = buildSpeakerEntity(speakerId, body);
         
-        await client.createEntity(entity);
+        const result = await client.createEntity(entity);
+        await setSpeakerSessions(getScheduleClient(request.params.eventId), speakerId, body.sessionIds || []);
+        const created = toSpeaker(entity, [...new Set(body.sessionIds || [])]);
+        await recordAudit(request, [speakerChange("create", speakerId, null, created)], "api", context);
         
         return {
             status: 201,
             jsonBody: {
                 message: "Speaker created",
+                etag: result.etag,
                 id: speakerId,
                 name: body.name,
                 title: body.title || '',
                 company: body.company || '',
                 bio: body.bio || '',
                 headshotFile: body.headshotFile || '',
+                headshotUrl: body.headshotUrl || '',
                 linkedin: body.linkedin || '',
                 twitter: body.twitter || '',
-                sessionIds: body.sessionIds || []
+                github: body.github || '',
+                website: body.website || '',
+                bluesky: body.bluesky || '',
+                mastodon: body.mastodon || '',
+                pronouns: body.pronouns || '',
+                location: body.location || '',
+                badges: parseList(entity.badges),
+                aliases: parseList(entity.aliases),
+                sessionIds: [...new Set(body.sessionIds || [])]
             }
         };
     } catch (error) {
-        context.log("Error creating speaker:", error);
-        return {
-            status: 500,
-            jsonBody: { error: "Failed to create speaker", details: error.message }
-        };
+        return exceptionResponse(context, "Failed to create speaker", error);
     }
 }
 
-// PUT /api/speakers/{id} - Update a speaker
+// PUT /api/speakers/{id} - Replace a speaker (omitted optional fields are reset)
 async function updateSpeaker(request, context) {
     try {
         const id = request.params.id;
-        const body = await request.json();
-        const client = getTableClient();
-        
-        // Find the existing entity
-        let existingEntity = null;
-        for await (const entity of client.listEntities()) {
-            if (entity.rowKey === id) {
-                existingEntity = entity;
-                break;
-            }
+        const { data: body, errors: validationErrors } = checkSpeaker(await readJson(request));
+        if (validationErrors.length > 0) {
+            return validationErrorResponse(validationErrors);
         }
         
-        if (!existingEntity) {
-            return {
-                status: 404,
-                jsonBody: { error: "Speaker not found" }
-            };
+        const ifMatch = getIfMatch(request);
+        
+        const existing = await loadSpeaker(request.params.eventId, id);
+        
+        if (!existing) {
+            return errorResponse(404, "Speaker not found");
+        }
+        const existingEntity = existing.entity;
+        if (!etagMatches(ifMatch, existingEntity.etag)) {
+            return preconditionFailedResponse("Speaker", toSpeaker(existingEntity, existing.sessionIds));
         }
         
-        const updatedEntity = {
-            partitionKey: existingEntity.partitionKey,
-            rowKey: id,
-            name: body.name || existingEntity.name,
-            title: body.title !== undefined ? body.title : existingEntity.title,
-            company: body.company !== undefined ? body.company : existingEntity.company,
-            bio: body.bio !== undefined ? body.bio : existingEntity.bio,
-            headshotFile: body.headshotFile !== undefined ? body.headshotFile : existingEntity.headshotFile,
-            linkedin: body.linkedin !== undefined ? body.linkedin : existingEntity.linkedin,
-            twitter: body.twitter !== undefined ? body.twitter : existingEntity.twitter,
-            sessionIds: body.sessionIds ? JSON.stringify(body.sessionIds) : existingEntity.sessionIds
-        };
+        const unknownSessions = await unknownSessionsResponse(request.params.eventId, body.sessionIds);
+        if (unknownSessions) {
+            return unknownSessions;
+        }
         
-        await client.updateEntity(updatedEntity, "Replace");
+        const sessionIds = [...new Set(body.sessionIds || [])];
+        const updatedEntity = buildSpeakerEntity(id, body);
+        
+        const { etag, conflict } = await replaceSpeaker(request.params.eventId, updatedEntity, sessionIds, ifMatch);
+        if (conflict) return conflict;
+        const before = toSpeaker(existingEntity, existing.sessionIds);
+        await recordAudit(request, [speakerChange("update", id, before, toSpeaker(updatedEntity, sessionIds))], "api", context);
         
         return {
             status: 200,
-            jsonBody: {
-                message: "Speaker updated",
-                id: id,
-                name: updatedEntity.name,
-                title: updatedEntity.title,
-                company: updatedEntity.company,
-                bio: updatedEntity.bio,
-                headshotFile: updatedEntity.headshotFile,
-                linkedin: updatedEntity.linkedin,
-                twitter: updatedEntity.twitter,
-                sessionIds: JSON.parse(updatedEntity.sessionIds || '[]')
-            }
+            jsonBody: { message: "Speaker updated", ...toSpeaker({ ...updatedEntity, etag }, sessionIds) }
         };
     } catch (error) {
-        context.log("Error updating speaker:", error);
+        return exceptionResponse(context, "Failed to update speaker", error);
+    }
+}
+
+// PATCH /api/speakers/{id} - Update only the fields sent; null clears optional fields
+async function patchSpeaker(request, context) {
+    try {
+        const id = request.params.id;
+        const { data: body, errors: validationErrors } = checkSpeaker(await readJson(request), { partial: true });
+        if (validationErrors.length > 0) {
+            return validationErrorResponse(validationErrors);
+        }
+        
+        const ifMatch = getIfMatch(request);
+        const existing = await loadSpeaker(request.params.eventId, id);
+        
+        if (!existing) {
+            return errorResponse(404, "Speaker not found");
+        }
+        const existingEntity = existing.entity;
+        if (!etagMatches(ifMatch, existingEntity.etag)) {
+            return preconditionFailedResponse("Speaker", toSpeaker(existingEntity, existing.sessionIds));
+        }
+        
+        const unknownSessions = await unknownSessionsResponse(request.params.eventId, body.sessionIds);
+        if (unknownSessions) {
+            return unknownSessions;
+        }
+        
+        const patched = applyPatch(toSpeaker(existingEntity, existing.sessionIds), body, SPEAKER_CLEAR_VALUES);
+        const sessionIds = [...new Set(patched.sessionIds)];
+        const updatedEntity = buildSpeakerEntity(id, patched);
+        
+        const { etag, conflict } = await replaceSpeaker(request.params.eventId, updatedEntity, sessionIds, ifMatch);
+        if (conflict) return conflict;
+        const before = toSpeaker(existingEntity, existing.sessionIds);
+        await recordAudit(request, [speakerChange("update", id, before, toSpeaker(updatedEntity, sessionIds))], "api", context);
+        
         return {
-            status: 500,
-            jsonBody: { error: "Failed to update speaker", details: error.message }
+            status: 200,
+            jsonBody: { message: "Speaker updated", ...toSpeaker({ ...updatedEntity, etag }, sessionIds) }
         };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to update speaker", error);
     }
 }
 
-// DELETE /api/speakers/{id} - Delete a speaker
+// DELETE /api/speakers/{id} - Delete a speaker. They are kept in the trash,
+// with their sessions, until restorableUntil.
 async function deleteSpeaker(request, context) {
     try {
         const id = request.params.id;
-        const client = getTableClient();
-        
-        for await (const entity of client.listEntities()) {
-            if (entity.rowKey === id) {
-                await client.deleteEntity(entity.partitionKey, entity.rowKey);
-                return {
-                    status: 200,
-                    jsonBody: { message: "Speaker deleted", id: id }
-                };
-            }
+        const client = getTableClient(request.params.eventId);
+        const ifMatch = getIfMatch(request);
+        
+        const speaker = await loadSpeaker(request.params.eventId, id);
+        
+        if (!speaker) {
+            return errorResponse(404, "Speaker not found");
+        }
+        const entity = speaker.entity;
+        if (!etagMatches(ifMatch, entity.etag)) {
+            return preconditionFailedResponse("Speaker", toSpeaker(entity, speaker.sessionIds));
         }
         
+        // Into the trash first, so a failed delete never loses the speaker
+        const trashed = await addToTrash(request.params.eventId, "speaker", entity, getActor(request));
+        try {
+            await client.deleteEntity(entity.partitionKey, entity.rowKey, etagOptions(ifMatch));
+        } catch (error) {
+            await removeFromTrash(request.params.eventId, "speaker", id);
+            if (isPreconditionFailed(error)) return speakerConflictResponse(request.params.eventId, id);
+            throw error;
+        }
+        await removeSpeakerLinks(getScheduleClient(request.params.eventId), id);
+        await recordAudit(request, [speakerChange("delete", id, toSpeaker(entity, speaker.sessionIds), null)], "api", context);
+        
         return {
-            status: 404,
-            jsonBody: { error: "Speaker not found" }
+            status: 200,
+            jsonBody: { message: "Speaker deleted", id: id, restorableUntil: trashed.expiresAt }
         };
     } catch (error) {
-        context.log("Error deleting speaker:", error);
+        return exceptionResponse(context, "Failed to delete speaker", error);
+    }
+}
+
+// Read the records of an import body: a JSON array of speakers (or an export's
+// { "speakers": [...] }), or CSV with a header row. Each record has only the
+// columns that were sent, and row is its CSV line or 1-based array position.
+// Returns { records } or { error }.
+function parseSpeakerImport(body, contentType) {
+    const text = body.trim();
+    if ((contentType || '').includes('json') || text.startsWith('[') || text.startsWith('{')) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (e) {
+            return { error: "Body is not valid JSON" };
+        }
+        const items = Array.isArray(parsed) ? parsed : parsed?.speakers;
+        if (!Array.isArray(items)) {
+            return { error: "JSON must be an array of speakers or { \"speakers\": [...] }" };
+        }
+        return { records: items.map((data, index) => ({ row: index + 1, data })) };
+    }
+    
+    const rows = parseCsv(text);
+    if (rows.length < 2) {
+        return { error: "CSV must have header row and at least one data row" };
+    }
+    const byHeader = new Map(SPEAKER_COLUMNS.map(column => [column.toLowerCase(), column]));
+    const columns = parseCsvLine(rows[0]).map(header => byHeader.get(header.trim().toLowerCase()));
+    if (!columns.includes("name") && !columns.includes("id")) {
+        return { error: "Missing required column: name or id" };
+    }
+    
+    const records = rows.slice(1).map((line, index) => {
+        const values = parseCsvLine(line);
+        const data = {};
+        columns.forEach((column, i) => {
+            if (!column) return;
+            const value = (values[i] || '').trim();
+            data[column] = SPEAKER_LIST_FIELDS.includes(column)
+                ? value.split(CSV_LIST_SEPARATOR).map(item => item.trim()).filter(Boolean)
+                : value;
+        });
+        return { row: index + 2, data };
+    });
+    return { records };
+}
+
+// Create or update one imported speaker. The record's id picks the speaker to
+// update; without a known id, its name is matched against existing names.
+// Updates only change the fields sent. Session ids that do not exist in this
+// event are skipped with a warning, so last year's export still imports.
+// Results of writes carry the audit log change.
+async function importSpeaker(eventId, record, speakers) {
+    if (!record.data || typeof record.data !== "object" || Array.isArray(record.data)) {
+        return { status: "failed", error: "must be a JSON object" };
+    }
+    const { id: givenId, ...fields } = record.data;
+    const id = givenId === "" || givenId === null ? undefined : givenId; // Blank CSV cell
+    if (id !== undefined && (typeof id !== "string" || !SPEAKER_ID.test(id))) {
+        return { status: "failed", error: "id must be lowercase letters, digits and hyphens" };
+    }
+    
+    let existing = id ? speakers.find(speaker => speaker.id === id) : undefined;
+    if (!existing && typeof fields.name === "string") {
+        const matches = speakers.filter(speaker => normalizeName(speaker.name) === normalizeName(fields.name));
+        if (matches.length > 1) {
+            return { status: "failed", error: `name matches ${matches.length} speakers; add an id column to choose one` };
+        }
+        existing = matches[0];
+    }
+    
+    const { data, errors } = checkSpeaker(fields, { partial: Boolean(existing) });
+    if (errors.length > 0) {
+        return { status: "failed", ...(existing && { id: existing.id }), error: formatValidationErrors(errors) };
+    }
+    
+    const client = getTableClient(eventId);
+    const scheduleClient = getScheduleClient(eventId);
+    let warning;
+    if (data.sessionIds) {
+        const missing = await findMissingSessions(scheduleClient, data.sessionIds);
+        if (missing.length > 0) {
+            data.sessionIds = data.sessionIds.filter(sessionId => !missing.includes(sessionId));
+            warning = `Skipped unknown sessions: ${missing.join(", ")}`;
+        }
+    }
+    
+    if (!existing) {
+        const speakerId = id || generateSpeakerId(data.name);
+        const entity = buildSpeakerEntity(speakerId, data);
+        const sessionIds = [...new Set(data.sessionIds || [])];
+        await client.createEntity(entity);
+        await setSpeakerSessions(scheduleClient, speakerId, sessionIds);
+        const created = toSpeaker(entity, sessionIds);
+        speakers.push(created);
+        return { status: "created", id: speakerId, ...(warning && { warning }), change: speakerChange("create", speakerId, null, created) };
+    }
+    
+    const patched = applyPatch(existing, data, SPEAKER_CLEAR_VALUES);
+    const entity = buildSpeakerEntity(existing.id, patched);
+    const sessionIds = [...new Set(patched.sessionIds)];
+    const updated = toSpeaker(entity, sessionIds);
+    const unchanged = Object.keys(SPEAKER_CLEAR_VALUES).every(field => field === "sessionIds"
+        ? [...sessionIds].sort().join() === [...existing.sessionIds].sort().join()
+        : JSON.stringify(updated[field]) === JSON.stringify(existing[field]));
+    if (unchanged) {
+        return { status: "unchanged", id: existing.id, ...(warning && { warning }) };
+    }
+    
+    await client.updateEntity(entity, "Replace");
+    await setSpeakerSessions(scheduleClient, existing.id, sessionIds);
+    speakers[speakers.indexOf(existing)] = updated;
+    return { status: "updated", id: existing.id, ...(warning && { warning }), change: speakerChange("update", existing.id, existing, updated) };
+}
+
+// POST /api/speakers?action=import - Create or update speakers from CSV (the
+// export's columns, any subset with name or id) or JSON. Rows are applied one
+// by one; the report has a result per row:
+//   { row, status: "created" | "updated" | "unchanged" | "failed", id?, error?, warning? }
+async function importSpeakers(request, context) {
+    try {
+        const body = await request.text();
+        context.log("Speaker import received, content length:", body.length);
+        
+        const { records, error } = parseSpeakerImport(body, request.headers.get("content-type"));
+        if (error) {
+            return errorResponse(400, error);
+        }
+        if (records.length > MAX_IMPORT_SPEAKERS) {
+            return errorResponse(400, `At most ${MAX_IMPORT_SPEAKERS} speakers can be imported at once`);
+        }
+        
+        const speakers = await listSpeakers(request.params.eventId);
+        const results = [];
+        const changes = [];
+        for (const record of records) {
+            const { change, ...result } = await importSpeaker(request.params.eventId, record, speakers);
+            results.push({ row: record.row, ...result });
+            if (change) changes.push(change);
+        }
+        await recordAudit(request, changes, "import", context);
+        
+        const count = status => results.filter(result => result.status === status).length;
         return {
-            status: 500,
-            jsonBody: { error: "Failed to delete speaker", details: error.message }
+            status: 200,
+            jsonBody: {
+                message: "Import completed",
+                created: count("created"),
+                updated: count("updated"),
+                unchanged: count("unchanged"),
+                failed: count("failed"),
+                results
+            }
         };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to import speakers", error);
+    }
+}
+
+// Speakers as extraction matches them: { id, name, aliases, sessionIds }
+async function listSpeakersForMatching(eventId) {
+    const client = getTableClient(eventId);
+    const scheduleClient = getScheduleClient(eventId);
+    const speakers = new Map();
+    for await (const found of client.listEntities()) {
+        const entity = await adoptLegacySessionIds(scheduleClient, client, found);
+        speakers.set(entity.rowKey, { id: entity.rowKey, name: entity.name, aliases: parseList(entity.aliases), sessionIds: new Set() });
+    }
+    for (const link of await listLinks(scheduleClient)) {
+        speakers.get(link.speakerId)?.sessionIds.add(link.sessionId);
     }
+    return [...speakers.values()];
 }
 
-// POST /api/speakers/extract - Extract speakers from schedule descriptions
+// POST /api/speakers/extract - Find speakers in schedule descriptions and queue
+// proposals for review. Nothing is written to the speakers table; pending
+// proposals are rebuilt from the current descriptions each run, and names
+// that were rejected before are skipped.
 async function extractSpeakers(request, context) {
     try {
-        const credential = new ManagedIdentityCredential();
-        const scheduleClient = new TableClient(
-            `https://${storageAccountName}.table.core.windows.net`,
-            "VideoSchedule",
-            credential
-        );
+        const eventId = request.params.eventId;
+        const scheduleClient = getScheduleClient(eventId);
+        const proposalsClient = await getProposalsClient(getTableClient(eventId));
         
-        const speakerClient = getTableClient();
-        
-        // Get existing speakers
-        const existingSpeakers = new Map();
-        for await (const entity of speakerClient.listEntities()) {
-            existingSpeakers.set(entity.name.toLowerCase(), entity);
+        const speakers = await listSpeakersForMatching(eventId);
+        const previous = new Map();
+        for (const entity of await listProposalEntities(getTableClient(eventId))) {
+            previous.set(entity.rowKey, entity);
         }
         
-        // Extract speakers from schedule
-        const extractedSpeakers = new Map();
-        const speakerSessions = new Map();
-        
+        // Group what each description mentions by proposal, keeping the most
+        // confident way each name was found
+        const found = new Map();
         for await (const session of scheduleClient.listEntities()) {
-            const description = session.description || '';
+            for (const extracted of extractSpeakerNames(session.description)) {
+                const id = proposalId(extracted.name);
+                if (!found.has(id)) {
+                    found.set(id, { ...extracted, sessionIds: [] });
+                }
+                const entry = found.get(id);
+                if (extracted.confidence > entry.confidence) {
+                    Object.assign(entry, { source: extracted.source, confidence: extracted.confidence });
+                }
+                entry.sessionIds.push(session.rowKey);
+            }
+        }
+        
+        const proposals = [];
+        let skipped = 0;
+        for (const [id, extracted] of found) {
+            if (previous.get(id)?.status === "rejected") {
+                skipped++;
+                continue;
+            }
             
-            // Look for "Speaker:" or "Speakers:" patterns
-            const speakerMatches = description.match(/Speakers?:\s*([^\n]+(?:\n(?![A-Z#✅📅⁉️])[^\n]+)*)/gi);
+            const suggestion = suggestAction(extracted, speakers);
+            // An exact match already linked to all these sessions needs no review
+            const speaker = speakers.find(candidate => candidate.id === suggestion.speakerId);
+            if (suggestion.confidence === 1 && speaker && extracted.sessionIds.every(sessionId => speaker.sessionIds.has(sessionId))) {
+                skipped++;
+                continue;
+            }
             
-            if (speakerMatches) {
-                for (const match of speakerMatches) {
-                    const namesSection = match.replace(/Speakers?:\s*/i, '').trim();
-                    
-                    // Split by common delimiters
-                    const names = namesSection
-                        .split(/[,\n]/)
-                        .map(n => n.trim())
-                        .filter(n => n && n.length > 2 && !n.includes('http') && !n.includes('@'));
-                    
-                    for (const name of names) {
-                        // Clean up the name - remove title/role after dash
-                        const cleanName = name
-                            .replace(/^\d+\.\s*/, '')
-                            .replace(/\s*[-–—]\s*.*$/, '')
-                            .replace(/\s*\(.*\)/, '')
-                            .trim();
-                        
-                        if (cleanName && cleanName.length > 2 && cleanName.split(' ').length <= 4) {
-                            const lowerName = cleanName.toLowerCase();
-                            
-                            if (!extractedSpeakers.has(lowerName)) {
-                                extractedSpeakers.set(lowerName, cleanName);
-                                speakerSessions.set(lowerName, []);
-                            }
-                            
-                            speakerSessions.get(lowerName).push(session.rowKey);
-                        }
-                    }
-                }
+            const entity = buildProposalEntity({ ...extracted, ...suggestion });
+            await proposalsClient.upsertEntity(entity, "Replace");
+            proposals.push(toProposal(entity));
+        }
+        
+        // Pending proposals for names no description mentions any more
+        const removed = [];
+        for (const entity of previous.values()) {
+            if (entity.status === "pending" && !found.has(entity.rowKey)) {
+                await proposalsClient.deleteEntity(entity.partitionKey, entity.rowKey);
+                removed.push(entity.rowKey);
             }
         }
         
-        // Create/update speakers
-        const results = { created: 0, updated: 0, speakers: [] };
+        proposals.sort(compareProposals);
+        context.log(`Speaker extraction proposed ${proposals.length} speaker(s), skipped ${skipped}`);
+        await recordAudit(request, [{
+            action: "extract",
+            entityType: "proposal",
+            after: { proposed: proposals.map(proposal => proposal.id), skipped, removed }
+        }], "extract", context);
+        
+        return {
+            status: 200,
+            jsonBody: {
+                message: "Speaker extraction completed - review the proposals to apply them",
+                proposed: proposals.length,
+                skipped,
+                proposals
+            }
+        };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to extract speakers", error);
+    }
+}
+
+// Most confident first, then by name
+function compareProposals(a, b) {
+    return b.confidence - a.confidence || a.name.localeCompare(b.name);
+}
+
+// GET /api/speakers/proposals - The review queue. ?status=rejected lists
+// rejected names instead, ?status=all lists both.
+async function getSpeakerProposals(request, context) {
+    try {
+        const status = request.query.status || "pending";
+        if (!PROPOSAL_STATUSES.includes(status)) {
+            return validationErrorResponse([{ field: "status", message: `must be one of ${PROPOSAL_STATUSES.join(", ")}` }]);
+        }
+        
+        const proposals = (await listProposalEntities(getTableClient(request.params.eventId)))
+            .filter(entity => status === "all" || entity.status === status)
+            .map(toProposal)
+            .sort(compareProposals);
+        
+        return {
+            status: 200,
+            jsonBody: { proposals }
+        };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to fetch speaker proposals", error);
+    }
+}
+
+// Apply one accepted proposal. action, speakerId and name in the decision
+// override what was proposed. Returns the fields for its review result, and
+// the audit log change when a speaker was written.
+async function acceptProposal(eventId, proposal, decision) {
+    const action = decision.action || proposal.action;
+    if (!PROPOSAL_ACTIONS.includes(action)) {
+        return { status: 400, error: `action must be one of ${PROPOSAL_ACTIONS.join(", ")}` };
+    }
+    if (action === "ignore") {
+        return { status: 200, action, rejected: true };
+    }
+    
+    const client = getTableClient(eventId);
+    const scheduleClient = getScheduleClient(eventId);
+    const missing = await findMissingSessions(scheduleClient, proposal.sessionIds);
+    const sessionIds = proposal.sessionIds.filter(id => !missing.includes(id));
+    
+    if (action === "create") {
+        const name = decision.name !== undefined ? decision.name : proposal.name;
+        const errors = validate(SPEAKER_SCHEMA, { name });
+        if (errors.length > 0) {
+            return { status: 400, error: formatValidationErrors(errors) };
+        }
+        
+        const speakerId = generateSpeakerId(name);
+        const entity = buildSpeakerEntity(speakerId, {
+            name,
+            aliases: normalizeName(name) === normalizeName(proposal.name) ? [] : [proposal.name]
+        });
+        await client.createEntity(entity);
+        await addSpeakerSessions(scheduleClient, speakerId, sessionIds);
+        const created = toSpeaker(entity, [...new Set(sessionIds)]);
+        return { status: 201, action, speakerId, change: speakerChange("create", speakerId, null, created) };
+    }
+    
+    const speakerId = decision.speakerId || proposal.speakerId;
+    const existing = speakerId ? await loadSpeaker(eventId, speakerId) : null;
+    if (!existing) {
+        return { status: 404, error: "Speaker not found" };
+    }
+    const speaker = existing.entity;
+    
+    // Remember the spelling found so the next extraction matches it exactly
+    const aliases = parseList(speaker.aliases);
+    const known = [speaker.name, ...aliases].map(normalizeName);
+    if (!known.includes(normalizeName(proposal.name))) {
+        await client.updateEntity({
+            partitionKey: speaker.partitionKey,
+            rowKey: speaker.rowKey,
+            aliases: serializeList([...aliases, proposal.name])
+        }, "Merge");
+    }
+    await addSpeakerSessions(scheduleClient, speakerId, sessionIds);
+    
+    const updated = await loadSpeaker(eventId, speakerId);
+    const before = toSpeaker(speaker, existing.sessionIds);
+    const after = toSpeaker(updated.entity, updated.sessionIds);
+    return { status: 200, action, speakerId, change: speakerChange("update", speakerId, before, after) };
+}
+
+// POST /api/speakers/proposals/review - Accept or reject proposals in bulk:
+//   { "decisions": [{ "id": "p-jane-doe", "decision": "accept" },
+//                   { "id": "p-rick-claus", "decision": "accept", "action": "link", "speakerId": "rick-claus-x1y2" },
+//                   { "id": "p-the-team", "decision": "reject" }] }
+// Each decision is applied on its own and reported in results, in order.
+// Accepted proposals leave the queue; rejected ones are remembered.
+async function reviewSpeakerProposals(request, context) {
+    try {
+        const body = await readJson(request);
+        
+        if (!body || !Array.isArray(body.decisions) || body.decisions.length === 0) {
+            return validationErrorResponse([{ field: "decisions", message: "must be a non-empty array" }]);
+        }
+        if (body.decisions.length > MAX_REVIEW_DECISIONS) {
+            return validationErrorResponse([{ field: "decisions", message: `must have at most ${MAX_REVIEW_DECISIONS} items` }]);
+        }
+        
+        const eventId = request.params.eventId;
+        const proposalsClient = await getProposalsClient(getTableClient(eventId));
+        const pending = new Map();
+        for (const entity of await listProposalEntities(getTableClient(eventId))) {
+            if (entity.status === "pending") pending.set(entity.rowKey, entity);
+        }
         
-        for (const [lowerName, displayName] of extractedSpeakers) {
-            const sessionIds = speakerSessions.get(lowerName) || [];
+        const results = [];
+        const changes = [];
+        for (const [index, decision] of body.decisions.entries()) {
+            const result = { index, id: decision?.id, decision: decision?.decision };
+            results.push(result);
+            
+            if (!decision || !["accept", "reject"].includes(decision.decision)) {
+                Object.assign(result, { status: 400, error: "decision must be accept or reject" });
+                continue;
+            }
+            const entity = pending.get(decision.id);
+            if (!entity) {
+                Object.assign(result, { status: 404, error: "No pending proposal with this id" });
+                continue;
+            }
             
-            if (existingSpeakers.has(lowerName)) {
-                const existing = existingSpeakers.get(lowerName);
-                const existingSessionIds = existing.sessionIds ? JSON.parse(existing.sessionIds) : [];
-                const mergedSessionIds = [...new Set([...existingSessionIds, ...sessionIds])];
-                
-                existing.sessionIds = JSON.stringify(mergedSessionIds);
-                await speakerClient.updateEntity(existing, "Replace");
-                results.updated++;
-                results.speakers.push({ name: displayName, action: 'updated', sessions: mergedSessionIds.length });
+            const outcome = decision.decision === "reject"
+                ? { status: 200, rejected: true }
+                : await acceptProposal(eventId, toProposal(entity), decision);
+            const { rejected, change, ...fields } = outcome;
+            Object.assign(result, fields);
+            if (result.status >= 400) continue;
+            
+            if (change) changes.push(change);
+            if (rejected) {
+                await proposalsClient.updateEntity({ partitionKey: entity.partitionKey, rowKey: entity.rowKey, status: "rejected" }, "Merge");
+                const before = toProposal(entity);
+                changes.push({ action: "reject", entityType: "proposal", entityId: entity.rowKey, before, after: { ...before, status: "rejected" } });
             } else {
-                const speakerId = generateSpeakerId(displayName);
-                const entity = {
-                    partitionKey: "speaker",
-                    rowKey: speakerId,
-                    name: displayName,
-                    title: '',
-                    company: '',
-                    bio: '',
-                    headshotFile: '',
-                    linkedin: '',
-                    twitter: '',
-                    sessionIds: JSON.stringify(sessionIds)
-                };
-                
-                await speakerClient.createEntity(entity);
-                results.created++;
-                results.speakers.push({ name: displayName, action: 'created', sessions: sessionIds.length });
+                await proposalsClient.deleteEntity(entity.partitionKey, entity.rowKey);
             }
+            pending.delete(decision.id);
         }
         
+        await recordAudit(request, changes, "review", context);
+        
+        const applied = decision => results.filter(result => result.status < 400 && result.decision === decision).length;
+        
         return {
             status: 200,
             jsonBody: {
-                message: "Speaker extraction completed",
-                created: results.created,
-                updated: results.updated,
-                speakers: results.speakers
+                message: "Review completed",
+                accepted: applied("accept"),
+                rejected: applied("reject"),
+                failed: results.filter(result => result.status >= 400).length,
+                results
             }
         };
     } catch (error) {
-        context.log("Error extracting speakers:", error);
-        return {
-            status: 500,
-            jsonBody: { error: "Failed to extract speakers", details: error.message }
-        };
+        return exceptionResponse(context, "Failed to review speaker proposals", error);
     }
 }
 
-// Register routes
-app.http("getSpeakers", {
+// Register routes. Reads are public except the review queue; see
+// shared/auth.js for the roles the other routes require.
+registerEventRoute(app, "getSpeakers", {
     methods: ["GET"],
     authLevel: "anonymous",
     route: "speakers",
-    handler: getSpeakers
+    handler: async (request, context) => {
+        // Handlers take query parameters as a plain object
+        const query = Object.fromEntries(new URL(request.url).searchParams);
+        if (query.format === 'csv' || query.format === 'json') {
+            return exportSpeakers({ params: request.params, query }, context);
+        }
+        return getSpeakers(request, context);
+    }
 });
 
-app.http("getSpeaker", {
+registerEventRoute(app, "getSpeaker", {
     methods: ["GET"],
     authLevel: "anonymous",
     route: "speakers/{id}",
     handler: getSpeaker
 });
 
-app.http("addSpeaker", {
+registerEventRoute(app, "addSpeaker", {
     methods: ["POST"],
     authLevel: "anonymous",
     route: "speakers",
-    handler: addSpeaker
+    handler: authorize("editor", async (request, context) => {
+        if (new URL(request.url).searchParams.get('action') === 'import') {
+            return importSpeakers(request, context);
+        }
+        return addSpeaker(request, context);
+    })
 });
 
-app.http("updateSpeaker", {
+registerEventRoute(app, "updateSpeaker", {
     methods: ["PUT"],
     authLevel: "anonymous",
     route: "speakers/{id}",
-    handler: updateSpeaker
+    handler: authorize("editor", updateSpeaker)
 });
 
-app.http("deleteSpeaker", {
+registerEventRoute(app, "patchSpeaker", {
+    methods: ["PATCH"],
+    authLevel: "anonymous",
+    route: "speakers/{id}",
+    handler: authorize("editor", patchSpeaker)
+});
+
+registerEventRoute(app, "deleteSpeaker", {
     methods: ["DELETE"],
     authLevel: "anonymous",
     route: "speakers/{id}",
-    handler: deleteSpeaker
+    handler: authorize("editor", deleteSpeaker)
 });
 
-app.http("extractSpeakers", {
+registerEventRoute(app, "extractSpeakers", {
     methods: ["POST"],
     authLevel: "anonymous",
     route: "speakers/extract",
-    handler: extractSpeakers
+    handler: authorize("editor", extractSpeakers)
+});
+
+registerEventRoute(app, "getSpeakerProposals", {
+    methods: ["GET"],
+    authLevel: "anonymous",
+    route: "speakers/proposals",
+    handler: authorize("viewer", async (request, context) => {
+        // Handlers take query parameters as a plain object
+        const query = Object.fromEntries(new URL(request.url).searchParams);
+        return getSpeakerProposals({ params: request.params, query }, context);
+    })
+});
+
+registerEventRoute(app, "reviewSpeakerProposals", {
+    methods: ["POST"],
+    authLevel: "anonymous",
+    route: "speakers/proposals/review",
+    handler: authorize("editor", reviewSpeakerProposals)
 });
 
 module.exports = {
     getSpeakers,
+    exportSpeakers,
+    importSpeakers,
     getSpeaker,
     addSpeaker,
     updateSpeaker,
+    patchSpeaker,
     deleteSpeaker,
-    extractSpeakers
+    extractSpeakers,
+    getSpeakerProposals,
+    reviewSpeakerProposals
 };
@@ -0,0 +1,157 @@
+const { app } = require("@azure/functions");
+const { validationErrorResponse } = require("../shared/validation");
+const { registerEventRoute } = require("../shared/events");
+const { errorResponse, exceptionResponse, readJson } = require("../shared/errors");
+const { authorize } = require("../shared/auth");
+const { recordAudit } = require("../shared/audit");
+const {
+    TRASH_TYPES,
+    getTrashRetentionDays,
+    removeFromTrash,
+    findTrashEntry,
+    listTrash,
+    restoreFromTrash
+} = require("../shared/trash");
+
+const MAX_RESTORE_ITEMS = 500;
+
+function trashChange(action, entry) {
+    return {
+        action,
+        entityType: entry.type,
+        entityId: entry.id,
+        before: action === "purge" ? entry.item : null,
+        after: action === "restore" ? entry.item : null
+    };
+}
+
+// GET /api/trash - Deleted sessions and speakers that can still be restored,
+// most recently deleted first. ?type=session or ?type=speaker lists one kind.
+async function getTrash(request, context) {
+    try {
+        const type = request.query.type;
+        if (type && !TRASH_TYPES.includes(type)) {
+            return validationErrorResponse([{ field: "type", message: `must be one of ${TRASH_TYPES.join(", ")}` }]);
+        }
+        
+        const items = await listTrash(request.params.eventId, type);
+        
+        return {
+            status: 200,
+            jsonBody: { items, retentionDays: getTrashRetentionDays() }
+        };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to fetch trash", error);
+    }
+}
+
+// POST /api/trash/restore - Put deleted records back:
+//   { "items": [{ "type": "session", "id": "sess_1" }, { "type": "speaker", "id": "rick-claus-ab12" }] }
+// Each is restored on its own and reported in results, in order, with the
+// ids it was linked to again.
+async function restoreTrash(request, context) {
+    try {
+        const body = await readJson(request);
+        
+        if (!body || !Array.isArray(body.items) || body.items.length === 0) {
+            return validationErrorResponse([{ field: "items", message: "must be a non-empty array" }]);
+        }
+        if (body.items.length > MAX_RESTORE_ITEMS) {
+            return validationErrorResponse([{ field: "items", message: `must have at most ${MAX_RESTORE_ITEMS} items` }]);
+        }
+        
+        const results = [];
+        const changes = [];
+        for (const [index, item] of body.items.entries()) {
+            const result = { index, type: item?.type, id: item?.id };
+            results.push(result);
+            
+            if (!TRASH_TYPES.includes(result.type)) {
+                Object.assign(result, { status: 400, error: `type must be one of ${TRASH_TYPES.join(", ")}` });
+                continue;
+            }
+            if (typeof result.id !== "string" || result.id === "") {
+                Object.assign(result, { status: 400, error: "id is required" });
+                continue;
+            }
+            
+            const { entry, links, status, error } = await restoreFromTrash(request.params.eventId, result.type, result.id);
+            if (error) {
+                Object.assign(result, { status, error });
+                continue;
+            }
+            Object.assign(result, { status: 200, item: entry.item, links });
+            changes.push(trashChange("restore", entry));
+        }
+        
+        await recordAudit(request, changes, "trash", context);
+        context.log(`Restored ${changes.length} of ${results.length} records from the trash`);
+        
+        return {
+            status: 200,
+            jsonBody: {
+                message: "Restore completed",
+                restored: changes.length,
+                failed: results.length - changes.length,
+                results
+            }
+        };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to restore from trash", error);
+    }
+}
+
+// DELETE /api/trash/{type}/{id} - Delete a record in the trash for good
+async function purgeTrashItem(request, context) {
+    try {
+        const { type, id } = request.params;
+        const entry = TRASH_TYPES.includes(type) ? await findTrashEntry(request.params.eventId, type, id) : null;
+        
+        if (!entry) {
+            return errorResponse(404, "Not found in the trash");
+        }
+        
+        await removeFromTrash(request.params.eventId, type, id);
+        await recordAudit(request, [trashChange("purge", entry)], "trash", context);
+        
+        return {
+            status: 200,
+            jsonBody: { message: "Deleted permanently", type, id }
+        };
+    } catch (error) {
+        return exceptionResponse(context, "Failed to delete from trash", error);
+    }
+}
+
+// Register routes. Editors can undo their deletes; only admins can make one
+// permanent before the trash expires it.
+registerEventRoute(app, "getTrash", {
+    methods: ["GET"],
+    authLevel: "anonymous",
+    route: "trash",
+    handler: authorize("editor", async (request, context) => {
+        // Handlers take query parameters as a plain object
+        const query = Object.fromEntries(new URL(request.url).searchParams);
+        return getTrash({ params: request.params, query }, context);
+    })
+});
+
+registerEventRoute(app, "restoreTrash", {
+    methods: ["POST"],
+    authLevel: "anonymous",
+    route: "trash/restore",
+    handler: authorize("editor", restoreTrash)
+});
+
+registerEventRoute(app, "purgeTrashItem", {
+    methods: ["DELETE"],
+    authLevel: "anonymous",
+    route: "trash/{type}/{id}",
+    handler: authorize("admin", purgeTrashItem)
+});
+
+module.exports = {
+    getTrash,
+    restoreTrash,
+    purgeTrashItem
+};
@@ -0,0 +1,150 @@
+const crypto = require("crypto");
+const storage = require("./storage");
+const { getClientPrincipal, userKey } = require("./auth");
+
+// An append-only log of the changes made through the API, in one table shared
+// by every event. One row per changed record:
+//   partitionKey - the event id ("default" for the unscoped routes)
+//   rowKey       - inverted time and sequence number, so rows list newest first
+//   changedAt, actor, action, entityType, entityId, source, before, after
+// before and after are JSON of the record as the API returns it, empty when it
+// did not exist. Schema limits keep them under the 64KB a property may hold.
+// Rows are only ever created.
+const AUDIT_ACTIONS = ["create", "update", "delete", "extract", "reject", "repair", "restore", "purge"];
+// Role assignments belong to no event and are logged under "default", the
+// partition of the unscoped routes they are made on
+const AUDIT_ENTITY_TYPES = ["session", "speaker", "proposal", "event", "role"];
+
+// Largest JavaScript date in milliseconds (and sequence number); subtracting
+// from them inverts the order
+const MAX_TIME = 8640000000000000;
+const MAX_SEQUENCE = 999999;
+const TRANSACTION_SIZE = 100;
+
+let lastAuditTime = 0;
+
+function getAuditClient() {
+    return storage.getReadyTableClient(storage.TABLES.audit);
+}
+
+// Who made the request: their login (lowercased, as roles are assigned), or
+// "anonymous" when the request did not come through Static Web Apps with one
+function getActor(request) {
+    const principal = getClientPrincipal(request);
+    return principal ? userKey(principal.userDetails) : "anonymous";
+}
+
+// The time for the next entries, moved on a millisecond if needed so that
+// requests this instance handles in the same millisecond still list in order
+function nextAuditTime() {
+    lastAuditTime = Math.max(Date.now(), lastAuditTime + 1);
+    return lastAuditTime;
+}
+
+function auditRowKey(time, sequence) {
+    const invertedTime = String(MAX_TIME - time).padStart(16, "0");
+    const invertedSequence = String(MAX_SEQUENCE - sequence).padStart(6, "0");
+    return `${invertedTime}-${invertedSequence}-${crypto.randomBytes(3).toString("hex")}`;
+}
+
+// A record as it appears in the log, without the etag that changes on every write
+function auditValue(value) {
+    if (value === null || value === undefined) return '';
+    const { etag, ...data } = value;
+    return JSON.stringify(data);
+}
+
+// Append changes made by one request:
+//   [{ action, entityType, entityId, before, after }]
+// source names the way they were made, e.g. "api", "import" or "batch", and
+// eventId the event they belong to when it is not the one in the URL. A
+// failure to write the log is reported, not thrown: the changes themselves
+// have already been saved.
+async function recordAudit(request, changes, source, context, eventId = request.params.eventId) {
+    if (changes.length === 0) return;
+
+    const now = nextAuditTime();
+    const base = {
+        partitionKey: eventId || "default",
+        changedAt: new Date(now).toISOString(),
+        actor: getActor(request),
+        source
+    };
+    const entities = changes.map((change, index) => ({
+        ...base,
+        rowKey: auditRowKey(now, index),
+        action: change.action,
+        entityType: change.entityType,
+        entityId: change.entityId || '',
+        before: auditValue(change.before),
+        after: auditValue(change.after)
+    }));
+
+    try {
+        const client = await getAuditClient();
+        for (let i = 0; i < entities.length; i += TRANSACTION_SIZE) {
+            await client.submitTransaction(entities.slice(i, i + TRANSACTION_SIZE).map(entity => ["create", entity]));
+        }
+    } catch (error) {
+        context.log(`Failed to write ${entities.length} audit log entries:`, error);
+    }
+}
+
+// Shape a stored audit row for API responses
+function toAuditEntry(entity) {
+    return {
+        id: entity.rowKey,
+        changedAt: entity.changedAt,
+        actor: entity.actor,
+        action: entity.action,
+        entityType: entity.entityType,
+        entityId: entity.entityId,
+        source: entity.source,
+        before: entity.before ? JSON.parse(entity.before) : null,
+        after: entity.after ? JSON.parse(entity.after) : null
+    };
+}
+
+function quote(value) {
+    return `'${storage.escapeODataString(value)}'`;
+}
+
+// Entries for an event, newest first, matching every filter given:
+//   { entityType, entityId, actor, action, source, from, to, cursor, limit }
+// from and to are ISO timestamps; cursor is the id of the last entry of the
+// previous page. Returns { entries, nextCursor } (null on the last page).
+async function queryAudit(eventId, filters) {
+    const clauses = [`PartitionKey eq ${quote(eventId || "default")}`];
+    for (const field of ["entityType", "entityId", "action", "source"]) {
+        if (filters[field]) clauses.push(`${field} eq ${quote(filters[field])}`);
+    }
+    if (filters.actor) clauses.push(`actor eq ${quote(filters.actor.toLowerCase())}`);
+    if (filters.from) clauses.push(`changedAt ge ${quote(filters.from)}`);
+    if (filters.to) clauses.push(`changedAt le ${quote(filters.to)}`);
+    if (filters.cursor) clauses.push(`RowKey gt ${quote(filters.cursor)}`);
+
+    const entries = [];
+    let more = false;
+    try {
+        const client = storage.getTableClient(storage.TABLES.audit);
+        for await (const entity of client.listEntities({ queryOptions: { filter: clauses.join(" and ") } })) {
+            if (entries.length === filters.limit) {
+                more = true;
+                break;
+            }
+            entries.push(toAuditEntry(entity));
+        }
+    } catch (error) {
+        // The table is created with the first entry
+        if (!storage.isNotFound(error)) throw error;
+    }
+    return { entries, nextCursor: more ? entries[entries.length - 1].id : null };
+}
+
+module.exports = {
+    AUDIT_ACTIONS,
+    AUDIT_ENTITY_TYPES,
+    getActor,
+    recordAudit,
+    queryAudit
+};
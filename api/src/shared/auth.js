@@ -0,0 +1,156 @@
+const crypto = require("crypto");
+const storage = require("./storage");
+const { errorResponse } = require("./errors");
+
+// Who may do what. Each role includes everything the ones before it may do:
+//   viewer - read what only organizers see (the speaker review queue)
+//   editor - change schedules and speakers: imports, playlists, extraction,
+//            review, headshots and backups
+//   admin  - manage events, restore backups, repair partitions, assign roles
+// Reading the public schedule, speakers and events needs no role at all.
+const ROLES = ["viewer", "editor", "admin"];
+
+// Role assignments are one row per user, keyed by the login Static Web Apps
+// reports as userDetails (lowercased), in a table created with the first one
+const ROLE_PARTITION = "user";
+
+// Characters Table Storage does not allow in a row key, and whitespace
+const USER_KEY = /^[^/\\#?\s\u0000-\u001f\u007f-\u009f]{1,255}$/;
+
+function getRolesClient() {
+    return storage.getTableClient(storage.TABLES.roles);
+}
+
+function userKey(userDetails) {
+    return String(userDetails).trim().toLowerCase();
+}
+
+// Anyone who can reach the Function App without going through Static Web Apps
+// can send an x-ms-client-principal header of their own making, so the header
+// is only believed when the deployment says where requests come from:
+//   CLIENT_PRINCIPAL_SECRET - requests must also carry this value in the
+//       x-client-principal-secret header, added by whatever sits in front of
+//       the Function App (API Management, Front Door). The header is then
+//       trusted completely, including the custom roles in userRoles.
+//   TRUST_CLIENT_PRINCIPAL=true - the Function App is only reachable through
+//       Static Web Apps (a linked backend with access restricted to it, or
+//       local development). The login is believed, but userRoles is not:
+//       roles come only from the UserRoles table and ADMIN_USERS.
+// With neither, nobody is signed in and every protected route returns 401.
+const SECRET_HEADER = "x-client-principal-secret";
+
+function sha256(value) {
+    return crypto.createHash("sha256").update(String(value)).digest();
+}
+
+// "verified", "trusted" or null, per the settings above
+function getPrincipalTrust(request) {
+    const secret = process.env.CLIENT_PRINCIPAL_SECRET;
+    if (secret) {
+        const sent = request.headers?.get(SECRET_HEADER);
+        // Compared by hash so timingSafeEqual gets buffers of the same length
+        return sent && crypto.timingSafeEqual(sha256(sent), sha256(secret)) ? "verified" : null;
+    }
+    return process.env.TRUST_CLIENT_PRINCIPAL === "true" ? "trusted" : null;
+}
+
+// The signed-in user from the x-ms-client-principal header Static Web Apps
+// adds to every API request (base64-encoded JSON), or null when there is none
+// or it cannot be trusted (see above)
+function getClientPrincipal(request) {
+    const header = request.headers?.get("x-ms-client-principal");
+    if (!header) return null;
+    const trust = getPrincipalTrust(request);
+    if (!trust) return null;
+    try {
+        const principal = JSON.parse(Buffer.from(header, "base64").toString("utf8"));
+        if (!principal || typeof principal.userDetails !== "string" || principal.userDetails.trim() === "") {
+            return null;
+        }
+        return trust === "verified" ? principal : { ...principal, userRoles: [] };
+    } catch (e) {
+        return null;
+    }
+}
+
+// Logins listed in ADMIN_USERS (comma-separated) are always admins, so a new
+// deployment has someone who can assign the other roles
+function getBootstrapAdmins() {
+    return (process.env.ADMIN_USERS || "")
+        .split(",")
+        .map(userKey)
+        .filter(Boolean);
+}
+
+function highestRole(roles) {
+    const ranks = roles.map(role => ROLES.indexOf(role)).filter(rank => rank >= 0);
+    return ranks.length > 0 ? ROLES[Math.max(...ranks)] : null;
+}
+
+// Stored assignment for a login, or null
+async function findRoleEntity(login) {
+    try {
+        return await getRolesClient().getEntity(ROLE_PARTITION, userKey(login));
+    } catch (error) {
+        // Also covers the table not existing before the first assignment
+        if (error.statusCode !== 404) throw error;
+    }
+    return null;
+}
+
+// The user's highest role from ADMIN_USERS, their stored assignment and any
+// custom role Static Web Apps gives them (userRoles), or null for none
+async function resolveRole(principal) {
+    if (!principal) return null;
+    if (getBootstrapAdmins().includes(userKey(principal.userDetails))) {
+        return "admin";
+    }
+    const entity = await findRoleEntity(principal.userDetails);
+    return highestRole([...(principal.userRoles || []), entity?.role]);
+}
+
+function hasRole(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// 401 when nobody is signed in, 403 when the user's role is below required,
+// or null when the request may go ahead
+async function checkRole(request, required) {
+    const principal = getClientPrincipal(request);
+    if (!principal) {
+        return errorResponse(401, "Sign in required");
+    }
+    const role = await resolveRole(principal);
+    if (!role || !hasRole(role, required)) {
+        return errorResponse(403, `This requires the ${required} role`, { requiredRole: required, role });
+    }
+    return null;
+}
+
+// Wrap a route handler so it only runs for users with at least the given
+// role. role may be a function of the request, for routes that dispatch on a
+// query parameter; it returns null for requests anyone may make.
+function authorize(role, handler) {
+    return async (request, context) => {
+        const required = typeof role === "function" ? role(request) : role;
+        if (required) {
+            const denied = await checkRole(request, required);
+            if (denied) return denied;
+        }
+        return handler(request, context);
+    };
+}
+
+module.exports = {
+    ROLES,
+    ROLE_PARTITION,
+    USER_KEY,
+    getRolesClient,
+    userKey,
+    getClientPrincipal,
+    getBootstrapAdmins,
+    findRoleEntity,
+    resolveRole,
+    checkRole,
+    authorize
+};
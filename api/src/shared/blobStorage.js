@@ -0,0 +1,148 @@
+const fs = require("fs");
+const path = require("path");
+const { BlobServiceClient } = require("@azure/storage-blob");
+const { ManagedIdentityCredential } = require("@azure/identity");
+const { getStorageBackend } = require("./storage");
+
+const CONTAINERS = {
+    headshots: "headshots"
+};
+
+// Blobs for the "memory" backend: container name -> Map of blob name -> { data, contentType }
+const memoryContainers = new Map();
+
+const CONTENT_TYPES = {
+    ".jpg": "image/jpeg",
+    ".png": "image/png",
+    ".webp": "image/webp"
+};
+
+// Get a store for the named blob container, using the same STORAGE_BACKEND as
+// the tables:
+//   azure  - Azure Blob Storage, with the Function App's managed identity
+//   memory - in-process, cleared on restart (tests)
+//   file   - files under LOCAL_DATA_DIR/blobs/<container>/
+// The storage account does not allow public blob access, so blobs are served
+// by the API at /api/<container>/<name>, unless BLOB_BASE_URL points at
+// something that serves the containers publicly (e.g. a CDN).
+// Every store has put(name, data, contentType), get(name) -> { data,
+// contentType } or null, and url(name).
+function getBlobStore(containerName) {
+    const backend = getStorageBackend();
+
+    if (backend === "memory") {
+        return new MemoryBlobStore(containerName);
+    }
+    if (backend === "file") {
+        const dataDir = process.env.LOCAL_DATA_DIR || path.join(__dirname, "..", "..", ".data");
+        return new FileBlobStore(containerName, path.join(dataDir, "blobs", containerName));
+    }
+    if (backend !== "azure") {
+        throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use "azure", "memory" or "file".`);
+    }
+
+    const storageAccountName = process.env.STORAGE_ACCOUNT_NAME || "azcorestorage2026";
+    const credential = new ManagedIdentityCredential();
+    const service = new BlobServiceClient(`https://${storageAccountName}.blob.core.windows.net`, credential);
+    return new AzureBlobStore(service.getContainerClient(containerName));
+}
+
+// Remove all blobs from the in-memory backend (used by tests between cases)
+function resetMemoryBlobs() {
+    memoryContainers.clear();
+}
+
+function blobUrl(containerName, name) {
+    const baseUrl = process.env.BLOB_BASE_URL ? process.env.BLOB_BASE_URL.replace(/\/$/, "") : "/api";
+    return `${baseUrl}/${containerName}/${name}`;
+}
+
+class MemoryBlobStore {
+    constructor(containerName) {
+        this.containerName = containerName;
+        if (!memoryContainers.has(containerName)) {
+            memoryContainers.set(containerName, new Map());
+        }
+        this.blobs = memoryContainers.get(containerName);
+    }
+
+    async put(name, data, contentType) {
+        this.blobs.set(name, { data: Buffer.from(data), contentType });
+    }
+
+    async get(name) {
+        const blob = this.blobs.get(name);
+        return blob ? { data: Buffer.from(blob.data), contentType: blob.contentType } : null;
+    }
+
+    url(name) {
+        return blobUrl(this.containerName, name);
+    }
+}
+
+class FileBlobStore {
+    constructor(containerName, dir) {
+        this.containerName = containerName;
+        this.dir = dir;
+    }
+
+    async put(name, data) {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.writeFile(path.join(this.dir, name), data);
+    }
+
+    async get(name) {
+        try {
+            const data = await fs.promises.readFile(path.join(this.dir, name));
+            return { data, contentType: CONTENT_TYPES[path.extname(name)] || "application/octet-stream" };
+        } catch (error) {
+            if (error.code === "ENOENT") return null;
+            throw error;
+        }
+    }
+
+    url(name) {
+        return blobUrl(this.containerName, name);
+    }
+}
+
+class AzureBlobStore {
+    constructor(containerClient) {
+        this.containerClient = containerClient;
+        this.ready = null;
+    }
+
+    async put(name, data, contentType) {
+        if (!this.ready) {
+            // createIfNotExists is a no-op when the container already exists
+            this.ready = this.containerClient.createIfNotExists().catch(error => {
+                this.ready = null;
+                throw error;
+            });
+        }
+        await this.ready;
+        await this.containerClient.getBlockBlobClient(name).uploadData(data, {
+            blobHTTPHeaders: { blobContentType: contentType, blobCacheControl: "public, max-age=31536000, immutable" }
+        });
+    }
+
+    async get(name) {
+        try {
+            const data = await this.containerClient.getBlockBlobClient(name).downloadToBuffer();
+            return { data, contentType: CONTENT_TYPES[path.extname(name)] || "application/octet-stream" };
+        } catch (error) {
+            if (error.statusCode === 404) return null;
+            throw error;
+        }
+    }
+
+    url(name) {
+        return blobUrl(this.containerClient.containerName, name);
+    }
+}
+
+module.exports = {
+    CONTAINERS,
+    getBlobStore,
+    resetMemoryBlobs
+};
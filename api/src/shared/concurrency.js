@@ -0,0 +1,38 @@
+const { errorResponse } = require("./errors");
+
+// Optimistic concurrency helpers. Reads return each entity's etag; writes that
+// send it back in an If-Match header only succeed if nobody changed the entity
+// in between, otherwise storage rejects them with 412 Precondition Failed.
+
+// The If-Match header value, or undefined when the client sent none
+function getIfMatch(request) {
+    const value = request.headers?.get?.("if-match");
+    return value ? value.trim() : undefined;
+}
+
+// True when a write carrying this If-Match value may proceed against the current etag
+function etagMatches(ifMatch, etag) {
+    return !ifMatch || ifMatch === "*" || ifMatch === etag;
+}
+
+// Options for updateEntity/deleteEntity; without If-Match writes are unconditional
+function etagOptions(ifMatch) {
+    return ifMatch ? { etag: ifMatch } : undefined;
+}
+
+function isPreconditionFailed(error) {
+    return error && error.statusCode === 412;
+}
+
+// 412 response carrying the current version so the caller can reload and merge
+function preconditionFailedResponse(entityName, current) {
+    return errorResponse(412, `${entityName} was changed by someone else. Reload it and reapply your changes.`, { current });
+}
+
+module.exports = {
+    getIfMatch,
+    etagMatches,
+    etagOptions,
+    isPreconditionFailed,
+    preconditionFailedResponse
+};
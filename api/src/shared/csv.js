@@ -0,0 +1,100 @@
+// Escape a field for CSV (RFC 4180 compliant + Excel formula protection)
+function escapeCsvField(value) {
+    if (value === null || value === undefined) return '';
+    let str = String(value);
+    
+    // Check if the value starts with characters Excel interprets as formulas
+    const formulaChars = ['-', '+', '=', '@'];
+    const startsWithFormula = formulaChars.some(ch => str.startsWith(ch));
+    
+    // Always quote fields that start with formula characters or contain special chars
+    if (startsWithFormula || str.includes(',') || str.includes('"') || str.includes('\n') || str.includes('\r')) {
+        // For formula chars, prefix with a single quote (Excel will treat as text)
+        if (startsWithFormula) {
+            str = "'" + str;
+        }
+        return '"' + str.replace(/"/g, '""') + '"';
+    }
+    return str;
+}
+
+// Strip leading single quote that was added for Excel formula protection
+function stripExcelQuote(value) {
+    if (value && value.startsWith("'") && ['-', '+', '=', '@'].some(ch => value.charAt(1) === ch)) {
+        return value.substring(1);
+    }
+    return value;
+}
+
+// Parse CSV line handling quoted fields
+function parseCsvLine(line) {
+    const fields = [];
+    let current = '';
+    let inQuotes = false;
+    let i = 0;
+    
+    while (i < line.length) {
+        const char = line[i];
+        if (inQuotes) {
+            if (char === '"') {
+                if (i + 1 < line.length && line[i + 1] === '"') {
+                    current += '"';
+                    i += 2;
+                } else {
+                    inQuotes = false;
+                    i++;
+                }
+            } else {
+                current += char;
+                i++;
+            }
+        } else {
+            if (char === '"') {
+                inQuotes = true;
+                i++;
+            } else if (char === ',') {
+                fields.push(stripExcelQuote(current));
+                current = '';
+                i++;
+            } else {
+                current += char;
+                i++;
+            }
+        }
+    }
+    fields.push(stripExcelQuote(current));
+    return fields;
+}
+
+// Parse CSV content handling multi-line fields
+function parseCsv(content) {
+    const rows = [];
+    let currentRow = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (char === '"') {
+            inQuotes = !inQuotes;
+            currentRow += char;
+        } else if ((char === '\n' || (char === '\r' && content[i + 1] === '\n')) && !inQuotes) {
+            if (currentRow.trim()) rows.push(currentRow);
+            currentRow = '';
+            if (char === '\r') i++;
+        } else if (char === '\r' && !inQuotes) {
+            if (currentRow.trim()) rows.push(currentRow);
+            currentRow = '';
+        } else {
+            currentRow += char;
+        }
+    }
+    if (currentRow.trim()) rows.push(currentRow);
+    return rows;
+}
+
+module.exports = {
+    escapeCsvField,
+    stripExcelQuote,
+    parseCsvLine,
+    parseCsv
+};
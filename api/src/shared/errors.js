@@ -0,0 +1,124 @@
+const crypto = require("crypto");
+
+// Every error response has the same JSON body:
+//   { "error": "Schedule item not found", "code": "not_found", "correlationId": "..." }
+// error is a message for people and code a stable identifier for programs.
+// Validation failures add fields ([{ field, message }]) and some errors add
+// more, e.g. a 412 carries the current version as current. correlationId is
+// the id the server logged the request under, so a report of a failure can
+// be matched to the logs. What went wrong inside (storage errors, stack
+// traces) is only logged, never returned.
+const ERROR_CODES = {
+    400: "bad_request",
+    401: "unauthenticated",
+    403: "forbidden",
+    404: "not_found",
+    409: "conflict",
+    412: "precondition_failed",
+    413: "payload_too_large",
+    415: "unsupported_media_type",
+    500: "internal_error",
+    502: "upstream_error",
+    503: "unavailable"
+};
+
+// Storage errors that are the caller's to act on keep their status, with a
+// message of ours instead of the SDK's
+const STORAGE_ERRORS = {
+    404: { status: 404, message: "The requested data was not found" },
+    409: { status: 409, message: "The data was changed by another request at the same time. Try again." },
+    412: { status: 412, message: "The data was changed by someone else. Reload it and try again." },
+    429: { status: 503, message: "Storage is busy. Try again in a moment." },
+    503: { status: 503, message: "Storage is unavailable. Try again in a moment." }
+};
+
+// Thrown by readJson for a request body that is not JSON
+const INVALID_JSON = "invalid_json";
+
+// Contexts without an invocation id (e.g. in tests) -> the id made up for them
+const correlationIds = new WeakMap();
+
+function errorCode(status) {
+    return ERROR_CODES[status] || (status >= 500 ? "internal_error" : "bad_request");
+}
+
+// The id errors of this invocation are logged and reported under: the
+// Functions invocation id, which Application Insights records with every log
+function getCorrelationId(context) {
+    if (context.invocationId) return context.invocationId;
+    if (!correlationIds.has(context)) correlationIds.set(context, crypto.randomUUID());
+    return correlationIds.get(context);
+}
+
+// An error response. extra adds to the body, and may set a more specific code.
+function errorResponse(status, message, extra = {}) {
+    return {
+        status,
+        jsonBody: { error: message, code: errorCode(status), ...extra }
+    };
+}
+
+// The JSON body of a request. A body that is not JSON throws an error that
+// exceptionResponse answers with a 400, so handlers need no check of their own.
+async function readJson(request) {
+    try {
+        return await request.json();
+    } catch (error) {
+        throw Object.assign(new Error("Request body is not valid JSON"), { code: INVALID_JSON, cause: error });
+    }
+}
+
+// Log an error a handler did not expect, with everything known about it, and
+// return the response for it: the status of a storage error the caller can
+// act on (see STORAGE_ERRORS), otherwise a 500 with message. A body readJson
+// could not parse is the caller's mistake, a 400 that is not logged.
+function exceptionResponse(context, message, error) {
+    if (error?.code === INVALID_JSON) {
+        return errorResponse(400, "Request body must be valid JSON", { code: INVALID_JSON });
+    }
+    const known = STORAGE_ERRORS[error?.statusCode];
+    const status = known ? known.status : 500;
+    const correlationId = getCorrelationId(context);
+
+    context.log(message, {
+        correlationId,
+        status,
+        name: error?.name,
+        code: error?.code,
+        statusCode: error?.statusCode,
+        message: error?.message,
+        stack: error?.stack
+    });
+
+    return errorResponse(status, known ? known.message : message, { correlationId });
+}
+
+// Wrap a route handler so every error response it returns carries a code and
+// the correlation id, and anything it throws becomes a logged 500
+function withErrorHandling(handler) {
+    return async (request, context) => {
+        let response;
+        try {
+            response = await handler(request, context);
+        } catch (error) {
+            return exceptionResponse(context, "Unhandled error", error);
+        }
+        if (response && response.status >= 400 && response.jsonBody && typeof response.jsonBody === "object") {
+            response.jsonBody = {
+                ...response.jsonBody,
+                code: response.jsonBody.code || errorCode(response.status),
+                correlationId: getCorrelationId(context)
+            };
+        }
+        return response;
+    };
+}
+
+module.exports = {
+    ERROR_CODES,
+    getCorrelationId,
+    errorResponse,
+    readJson,
+    exceptionResponse,
+    withErrorHandling
+};
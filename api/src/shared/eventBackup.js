@@ -0,0 +1,300 @@
+const storage = require("./storage");
+const { SESSION_ID, SPEAKER_ID, SCHEDULE_ITEM_SCHEMA, SPEAKER_SCHEMA, validate, formatValidationErrors } = require("./validation");
+const { getEventTableClient } = require("./events");
+const { indexScheduleEntity, removeScheduleIndex } = require("./scheduleIndex");
+const { schedulePartitionKey, saveScheduleEntity } = require("./schedulePartitions");
+const {
+    listLinks,
+    setSpeakerSessions,
+    addSpeakerSessions,
+    removeSessionLinks,
+    removeSpeakerLinks,
+    adoptLegacySessionIds
+} = require("./sessionSpeakers");
+const { addToTrash } = require("./trash");
+
+// A backup is one JSON document holding an event's schedule items, speakers
+// and the links between them:
+//   { format, version, eventId, createdAt, schedule: [...], speakers: [...], links: [{ sessionId, speakerId }] }
+// Items and speakers are their stored fields with id for the row key and list
+// fields as arrays, so a restore writes back exactly what was saved. Bump
+// BACKUP_VERSION when that shape changes, and keep reading older versions.
+const BACKUP_FORMAT = "acu-event-backup";
+const BACKUP_VERSION = 1;
+
+const RESTORE_MODES = ["replace", "merge"];
+
+const SPEAKER_PARTITION = "speaker";
+
+// Stored fields of each kind of record, which of them hold JSON arrays, and
+// the ids the API accepts for it. Speakers' sessions are in links, not a field.
+const RECORD_TYPES = {
+    schedule: {
+        fields: Object.keys(SCHEDULE_ITEM_SCHEMA),
+        listFields: ["tags"],
+        schema: SCHEDULE_ITEM_SCHEMA,
+        id: SESSION_ID,
+        idMessage: "id must be up to 100 letters, digits, underscores and hyphens"
+    },
+    speakers: {
+        fields: Object.keys(SPEAKER_SCHEMA).filter(field => field !== "sessionIds"),
+        listFields: ["badges", "aliases"],
+        schema: SPEAKER_SCHEMA,
+        id: SPEAKER_ID,
+        idMessage: "id must be lowercase letters, digits and hyphens"
+    }
+};
+
+function getScheduleClient(eventId) {
+    return getEventTableClient(storage.TABLES.schedule, eventId);
+}
+
+function getSpeakersClient(eventId) {
+    return getEventTableClient(storage.TABLES.speakers, eventId);
+}
+
+// Stored entity -> archive record
+function toRecord(entity, type) {
+    const { fields, listFields } = RECORD_TYPES[type];
+    const record = { id: entity.rowKey };
+    for (const field of fields) {
+        if (entity[field] === undefined) continue;
+        record[field] = listFields.includes(field) ? JSON.parse(entity[field] || "[]") : entity[field];
+    }
+    return record;
+}
+
+// Archive record -> entity to store
+function toEntity(record, type) {
+    const { fields, listFields } = RECORD_TYPES[type];
+    const entity = {
+        partitionKey: type === "schedule" ? schedulePartitionKey(record.startTime) : SPEAKER_PARTITION,
+        rowKey: record.id
+    };
+    for (const field of fields) {
+        if (record[field] === undefined) continue;
+        entity[field] = listFields.includes(field) ? JSON.stringify(record[field]) : record[field];
+    }
+    return entity;
+}
+
+function linkKey(link) {
+    return JSON.stringify([link.sessionId, link.speakerId]);
+}
+
+// Everything an event holds now: schedule and speaker entities by id, and the
+// links between ones that exist. Speakers saved before links existed have
+// their sessions moved into links first, as when they are read elsewhere.
+async function readEventData(eventId) {
+    const scheduleClient = getScheduleClient(eventId);
+    const speakersClient = getSpeakersClient(eventId);
+
+    const schedule = new Map();
+    for await (const entity of scheduleClient.listEntities()) {
+        schedule.set(entity.rowKey, entity);
+    }
+    const speakers = new Map();
+    for await (const entity of speakersClient.listEntities()) {
+        speakers.set(entity.rowKey, await adoptLegacySessionIds(scheduleClient, speakersClient, entity));
+    }
+    const links = (await listLinks(scheduleClient))
+        .filter(link => schedule.has(link.sessionId) && speakers.has(link.speakerId));
+
+    return { schedule, speakers, links };
+}
+
+// Build the archive for an event, items sorted by start time and speakers by name
+async function createBackup(eventId) {
+    const data = await readEventData(eventId);
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        eventId: eventId || "default",
+        createdAt: new Date().toISOString(),
+        schedule: [...data.schedule.values()]
+            .map(entity => toRecord(entity, "schedule"))
+            .sort((a, b) => new Date(a.startTime) - new Date(b.startTime)),
+        speakers: [...data.speakers.values()]
+            .map(entity => toRecord(entity, "speakers"))
+            .sort((a, b) => a.name.localeCompare(b.name)),
+        links: data.links.sort((a, b) => linkKey(a).localeCompare(linkKey(b)))
+    };
+}
+
+// Check an archive before anything is written. Returns { errors, skipped, archive }:
+//   errors  - problems with the archive as a whole (not a backup, an unknown
+//             version, a missing list); nothing can be restored when there are any
+//   skipped - the records and links that cannot be restored, as { type, id,
+//             message }, e.g. "schedule[2] (sess_x): title is required". Data
+//             saved before a rule existed can fail it; the rest still restores.
+//   archive - the archive without the skipped records and links
+function checkBackup(archive) {
+    const rejected = errors => ({ errors, skipped: [], archive: null });
+    if (!archive || typeof archive !== "object" || Array.isArray(archive)) {
+        return rejected(["Backup must be a JSON object"]);
+    }
+    if (archive.format !== BACKUP_FORMAT) {
+        return rejected([`Not an event backup (format must be "${BACKUP_FORMAT}")`]);
+    }
+    if (!Number.isInteger(archive.version) || archive.version < 1 || archive.version > BACKUP_VERSION) {
+        return rejected([`Unsupported backup version ${archive.version}; this API reads versions 1 to ${BACKUP_VERSION}`]);
+    }
+    const missing = [...Object.keys(RECORD_TYPES), "links"].filter(list => !Array.isArray(archive[list]));
+    if (missing.length > 0) {
+        return rejected(missing.map(list => `${list} must be an array`));
+    }
+
+    const skipped = [];
+    const restorable = { ...archive };
+    const ids = {};
+    for (const type of Object.keys(RECORD_TYPES)) {
+        ids[type] = new Set();
+        restorable[type] = archive[type].filter((record, index) => {
+            const label = `${type}[${index}]${record && typeof record.id === "string" ? ` (${record.id})` : ""}`;
+            const skip = (message, id) => {
+                skipped.push({ type, id, message: `${label}: ${message}` });
+                return false;
+            };
+            if (!record || typeof record !== "object" || Array.isArray(record)) {
+                return skip("must be an object");
+            }
+            if (typeof record.id !== "string" || !RECORD_TYPES[type].id.test(record.id)) {
+                return skip(RECORD_TYPES[type].idMessage);
+            }
+            if (ids[type].has(record.id)) {
+                return skip("id appears more than once");
+            }
+            const fieldErrors = validate(RECORD_TYPES[type].schema, record);
+            if (fieldErrors.length > 0) {
+                return skip(formatValidationErrors(fieldErrors), record.id);
+            }
+            ids[type].add(record.id);
+            return true;
+        });
+    }
+
+    restorable.links = archive.links.filter((link, index) => {
+        if (link && ids.schedule.has(link.sessionId) && ids.speakers.has(link.speakerId)) return true;
+        skipped.push({ type: "links", message: `links[${index}]: must name a sessionId and speakerId restored from the backup` });
+        return false;
+    });
+    return { errors: [], skipped, archive: restorable };
+}
+
+// Work out what restoring an archive changes. replace makes the event match
+// the archive, deleting what is not in it; merge writes the archive's records
+// over the ones with the same ids, adds its links and keeps everything else.
+// Records skipped by checkBackup are left as they are in both modes.
+// Returns { schedule, speakers, links } with the ids (or links) affected.
+function planRestore(current, archive, mode, skipped = []) {
+    const plan = {};
+    for (const type of Object.keys(RECORD_TYPES)) {
+        const wanted = new Map(archive[type].map(record => [record.id, record]));
+        const leftAlone = new Set(skipped.filter(entry => entry.type === type && entry.id).map(entry => entry.id));
+        const step = { created: [], updated: [], unchanged: [], deleted: [] };
+        for (const [id, record] of wanted) {
+            const existing = current[type].get(id);
+            if (!existing) {
+                step.created.push(id);
+            } else if (JSON.stringify(toRecord(existing, type)) === JSON.stringify(toRecord(toEntity(record, type), type))) {
+                step.unchanged.push(id);
+            } else {
+                step.updated.push(id);
+            }
+        }
+        if (mode === "replace") {
+            step.deleted = [...current[type].keys()].filter(id => !wanted.has(id) && !leftAlone.has(id));
+        }
+        plan[type] = step;
+    }
+
+    const currentLinks = new Map(current.links.map(link => [linkKey(link), link]));
+    const wantedLinks = new Map(archive.links.map(link => [linkKey(link), { sessionId: link.sessionId, speakerId: link.speakerId }]));
+    if (mode === "merge") {
+        for (const [key, link] of currentLinks) wantedLinks.set(key, link);
+    }
+    plan.links = {
+        added: [...wantedLinks].filter(([key]) => !currentLinks.has(key)).map(([, link]) => link),
+        removed: [...currentLinks].filter(([key]) => !wantedLinks.has(key)).map(([, link]) => link)
+    };
+    return plan;
+}
+
+// Audit log changes for each record a plan creates, updates or deletes, with
+// the records before and after as they appear in a backup
+function restoreAuditChanges(current, archive, plan) {
+    const changes = [];
+    for (const [type, entityType] of [["schedule", "session"], ["speakers", "speaker"]]) {
+        const records = new Map(archive[type].map(record => [record.id, record]));
+        const existing = id => toRecord(current[type].get(id), type);
+        const entry = (action, id, before, after) => ({ action, entityType, entityId: id, before, after });
+        changes.push(
+            ...plan[type].created.map(id => entry("create", id, null, records.get(id))),
+            ...plan[type].updated.map(id => entry("update", id, existing(id), records.get(id))),
+            ...plan[type].deleted.map(id => entry("delete", id, existing(id), null))
+        );
+    }
+    return changes;
+}
+
+// Apply a plan made by planRestore in the same mode. Records it deletes go to
+// the trash first, as deletes through the API do; deletedBy is the login of
+// the user restoring. Tables cannot be written in one transaction, so this is
+// not atomic: a failure part way leaves some records restored. Restoring the
+// same archive again finishes the job.
+async function applyRestore(eventId, current, archive, plan, mode, deletedBy) {
+    const scheduleClient = getScheduleClient(eventId);
+    const speakersClient = getSpeakersClient(eventId);
+    const records = type => new Map(archive[type].map(record => [record.id, record]));
+
+    const items = records("schedule");
+    for (const id of plan.schedule.created) {
+        const entity = toEntity(items.get(id), "schedule");
+        await scheduleClient.upsertEntity(entity, "Replace");
+        await indexScheduleEntity(scheduleClient, entity);
+    }
+    for (const id of plan.schedule.updated) {
+        await saveScheduleEntity(scheduleClient, current.schedule.get(id), toEntity(items.get(id), "schedule"));
+    }
+    for (const id of plan.schedule.deleted) {
+        await addToTrash(eventId, "session", current.schedule.get(id), deletedBy);
+        await scheduleClient.deleteEntity(current.schedule.get(id).partitionKey, id);
+        await removeScheduleIndex(scheduleClient, id);
+        await removeSessionLinks(scheduleClient, id);
+    }
+
+    const speakers = records("speakers");
+    for (const id of [...plan.speakers.created, ...plan.speakers.updated]) {
+        await speakersClient.upsertEntity(toEntity(speakers.get(id), "speakers"), "Replace");
+    }
+    for (const id of plan.speakers.deleted) {
+        await addToTrash(eventId, "speaker", current.speakers.get(id), deletedBy);
+        await speakersClient.deleteEntity(SPEAKER_PARTITION, id);
+        await removeSpeakerLinks(scheduleClient, id);
+    }
+
+    // Link each speaker to its sessions in the backup; merge keeps their other links
+    const sessionsBySpeaker = new Map(archive.speakers.map(record => [record.id, []]));
+    for (const link of archive.links) {
+        sessionsBySpeaker.get(link.speakerId).push(link.sessionId);
+    }
+    for (const [speakerId, sessionIds] of sessionsBySpeaker) {
+        if (mode === "merge") {
+            await addSpeakerSessions(scheduleClient, speakerId, sessionIds);
+        } else {
+            await setSpeakerSessions(scheduleClient, speakerId, sessionIds);
+        }
+    }
+}
+
+module.exports = {
+    BACKUP_FORMAT,
+    BACKUP_VERSION,
+    RESTORE_MODES,
+    readEventData,
+    createBackup,
+    checkBackup,
+    planRestore,
+    restoreAuditChanges,
+    applyRestore
+};
@@ -0,0 +1,171 @@
+const storage = require("./storage");
+const { getEventTimezone } = require("./timezone");
+const { EVENT_SCHEMA } = require("./validation");
+const { errorResponse, withErrorHandling } = require("./errors");
+const { getClientPrincipal, resolveRole } = require("./auth");
+
+// Each event keeps its schedule and speakers in its own tables, named by
+// suffixing the base table with the event id ("VideoSchedule" ->
+// "VideoScheduleacu2027"). The "default" event uses the unsuffixed tables, so
+// data from before events existed stays where it is and the unscoped routes
+// (/api/schedule, /api/speakers) keep working as the default event.
+const DEFAULT_EVENT_ID = "default";
+const EVENT_PARTITION = "event";
+
+// Used for the default event until it is saved with its own details
+const DEFAULT_EVENT_NAME = "Azure Core Underground 2026";
+
+function getEventsClient() {
+    return storage.getTableClient(storage.TABLES.events);
+}
+
+function normalizeEventId(eventId) {
+    return eventId || DEFAULT_EVENT_ID;
+}
+
+function eventTableName(baseTable, eventId) {
+    const id = normalizeEventId(eventId);
+    return id === DEFAULT_EVENT_ID ? baseTable : `${baseTable}${id}`;
+}
+
+// Table client for one of an event's tables, e.g. TABLES.schedule
+function getEventTableClient(baseTable, eventId) {
+    return storage.getTableClient(eventTableName(baseTable, eventId));
+}
+
+// Create an event's tables (a no-op for tables that already exist)
+async function createEventTables(eventId) {
+    for (const baseTable of [storage.TABLES.schedule, storage.TABLES.speakers]) {
+        await getEventTableClient(baseTable, eventId).createTable();
+    }
+}
+
+// Shape a stored event entity for API responses
+function toEvent(entity) {
+    return {
+        id: entity.rowKey,
+        name: entity.name,
+        startDate: entity.startDate || '',
+        endDate: entity.endDate || '',
+        timezone: entity.timezone || getEventTimezone(),
+        status: entity.status || 'draft',
+        tagline: entity.tagline || '',
+        logoUrl: entity.logoUrl || '',
+        primaryColor: entity.primaryColor || '',
+        etag: entity.etag
+    };
+}
+
+// The default event before anyone has saved it
+function defaultEventEntity() {
+    return {
+        partitionKey: EVENT_PARTITION,
+        rowKey: DEFAULT_EVENT_ID,
+        name: DEFAULT_EVENT_NAME,
+        status: "current"
+    };
+}
+
+// Point read of an event entity; the default event always exists
+async function findEventEntity(eventId) {
+    const id = normalizeEventId(eventId);
+    if (!EVENT_SCHEMA.id.pattern.test(id)) return null;
+    try {
+        return await getEventsClient().getEntity(EVENT_PARTITION, id);
+    } catch (error) {
+        if (error.statusCode !== 404) throw error;
+    }
+    return id === DEFAULT_EVENT_ID ? defaultEventEntity() : null;
+}
+
+async function getEvent(eventId) {
+    const entity = await findEventEntity(eventId);
+    return entity ? toEvent(entity) : null;
+}
+
+// Every event, newest first, including the default event
+async function listEvents() {
+    const entities = new Map([[DEFAULT_EVENT_ID, defaultEventEntity()]]);
+    try {
+        for await (const entity of getEventsClient().listEntities()) {
+            entities.set(entity.rowKey, entity);
+        }
+    } catch (error) {
+        // The Events table is created with the first event
+        if (error.statusCode !== 404) throw error;
+    }
+    return [...entities.values()]
+        .map(toEvent)
+        .sort((a, b) => (b.startDate || '').localeCompare(a.startDate || ''));
+}
+
+// The event the public site shows by default: the latest event marked
+// "current", or the default event when none is
+async function resolveCurrentEvent() {
+    const events = await listEvents();
+    return events.find(event => event.status === "current") || events.find(event => event.id === DEFAULT_EVENT_ID);
+}
+
+// Draft events are for people with a role to prepare. To everyone else they
+// do not exist, so their schedule and speakers stay private until published.
+// The default event is always public, since the site falls back to it when
+// no event is current. event is as toEvent returns it.
+function isHiddenDraft(event) {
+    return event.status === 'draft' && event.id !== DEFAULT_EVENT_ID;
+}
+
+// Whether the caller may see drafts: anyone with a role
+async function canSeeDrafts(request) {
+    return (await resolveRole(getClientPrincipal(request))) !== null;
+}
+
+// Point read of an event entity, or null when it does not exist or is a
+// draft the caller may not see
+async function findVisibleEventEntity(request, eventId) {
+    const entity = await findEventEntity(eventId);
+    if (!entity || (isHiddenDraft(toEvent(entity)) && !(await canSeeDrafts(request)))) return null;
+    return entity;
+}
+
+function eventNotFoundResponse() {
+    return errorResponse(404, "Event not found");
+}
+
+// Register an HTTP route for the default event and again under
+// events/{eventId}/ for a specific one. Handlers read request.params.eventId
+// (undefined on the unscoped route); unknown events, and drafts for callers
+// without a role, get a 404 before the handler runs. Both get the shared
+// error handling.
+function registerEventRoute(app, name, options) {
+    app.http(name, { ...options, handler: withErrorHandling(options.handler) });
+    app.http(`${name}ForEvent`, {
+        ...options,
+        route: `events/{eventId}/${options.route}`,
+        handler: withErrorHandling(async (request, context) => {
+            const event = await findVisibleEventEntity(request, request.params.eventId);
+            if (!event) {
+                return eventNotFoundResponse();
+            }
+            return options.handler(request, context);
+        })
+    });
+}
+
+module.exports = {
+    DEFAULT_EVENT_ID,
+    EVENT_PARTITION,
+    getEventsClient,
+    eventTableName,
+    getEventTableClient,
+    createEventTables,
+    toEvent,
+    findEventEntity,
+    findVisibleEventEntity,
+    isHiddenDraft,
+    canSeeDrafts,
+    getEvent,
+    listEvents,
+    resolveCurrentEvent,
+    eventNotFoundResponse,
+    registerEventRoute
+};
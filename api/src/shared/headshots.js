@@ -0,0 +1,97 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+
+// Speaker headshots are uploaded once and stored as square crops in every size
+// and format below, named "<hash>-<size>.<ext>" after the uploaded bytes, so
+// the same image uploaded twice gets the same URLs.
+const HEADSHOT_SIZES = [96, 200, 400];
+const HEADSHOT_FORMATS = [
+    { format: "jpeg", extension: "jpg", contentType: "image/jpeg", options: { quality: 85, mozjpeg: true } },
+    { format: "webp", extension: "webp", contentType: "image/webp", options: { quality: 80 } }
+];
+
+// The variant saved on the speaker: JPEG works everywhere
+const PRIMARY_SIZE = 400;
+const PRIMARY_FORMAT = "jpeg";
+
+const MAX_HEADSHOT_BYTES = 5 * 1024 * 1024;
+const MIN_HEADSHOT_PIXELS = 200;
+// Guards against decompression bombs: a small file that decodes to a huge image
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// Content-Type header -> the format sharp must detect in the bytes
+const ACCEPTED_TYPES = {
+    "image/jpeg": "jpeg",
+    "image/png": "png",
+    "image/webp": "webp"
+};
+
+// Blob names are generated here, so anything else is not a headshot
+const HEADSHOT_NAME = /^[a-f0-9]{16}-\d+\.(jpg|webp)$/;
+
+// Check an upload before processing it: declared type, size, real format and
+// dimensions. Returns null if it is fine, or { status, error } to respond with.
+async function checkHeadshot(data, contentType) {
+    const declared = ACCEPTED_TYPES[(contentType || "").split(";")[0].trim().toLowerCase()];
+    if (!declared) {
+        return { status: 415, error: `Content-Type must be one of ${Object.keys(ACCEPTED_TYPES).join(", ")}` };
+    }
+    if (data.length === 0) {
+        return { status: 400, error: "The request body is empty" };
+    }
+    if (data.length > MAX_HEADSHOT_BYTES) {
+        return { status: 413, error: `Images must be at most ${MAX_HEADSHOT_BYTES / 1024 / 1024} MB` };
+    }
+
+    let metadata;
+    try {
+        metadata = await sharp(data, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+    } catch (error) {
+        return { status: 400, error: "The file is not a readable image" };
+    }
+    if (metadata.format !== declared) {
+        return { status: 415, error: `The file is ${metadata.format || "not an image"}, not ${declared}` };
+    }
+
+    // EXIF orientations 5-8 are rotated by 90 degrees
+    const [width, height] = metadata.orientation >= 5 ? [metadata.height, metadata.width] : [metadata.width, metadata.height];
+    if (Math.min(width, height) < MIN_HEADSHOT_PIXELS) {
+        return { status: 400, error: `Images must be at least ${MIN_HEADSHOT_PIXELS}x${MIN_HEADSHOT_PIXELS} pixels` };
+    }
+    return null;
+}
+
+// Every variant of an uploaded image as [{ name, size, format, contentType, data }].
+// Images are turned upright from their EXIF orientation, cropped square around
+// the most interesting region (usually the face) and written without
+// metadata, which sharp drops unless asked to keep it.
+async function processHeadshot(data) {
+    const hash = crypto.createHash("sha256").update(data).digest("hex").substring(0, 16);
+    const upright = await sharp(data, { limitInputPixels: MAX_INPUT_PIXELS }).rotate().toBuffer();
+
+    const variants = [];
+    for (const size of HEADSHOT_SIZES) {
+        const square = sharp(upright).resize(size, size, { fit: "cover", position: sharp.strategy.attention });
+        for (const { format, extension, contentType, options } of HEADSHOT_FORMATS) {
+            variants.push({
+                name: `${hash}-${size}.${extension}`,
+                size,
+                format,
+                contentType,
+                data: await square.clone().toFormat(format, options).toBuffer()
+            });
+        }
+    }
+    return variants;
+}
+
+function isPrimaryVariant(variant) {
+    return variant.size === PRIMARY_SIZE && variant.format === PRIMARY_FORMAT;
+}
+
+module.exports = {
+    HEADSHOT_NAME,
+    checkHeadshot,
+    processHeadshot,
+    isPrimaryVariant
+};
@@ -0,0 +1,124 @@
+// iCalendar (RFC 5545) output for the schedule feed and per-session invites
+
+const CALENDAR_NAME = "Azure Core Underground 2026";
+const PRODUCT_ID = "-//Azure Core Underground//Schedule//EN";
+const UID_DOMAIN = "azurecoreunderground.com";
+
+// Escape a TEXT value: backslash, semicolon and comma are escaped, newlines become \n
+function escapeIcsText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with
+// a space. Split on characters, not bytes, so multi-byte UTF-8 stays intact.
+function foldIcsLine(line) {
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const bytes = Buffer.byteLength(char);
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + bytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += bytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+// UTC date-time form, e.g. 20260205T150000Z
+function formatIcsDate(value) {
+    return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Seconds as an RFC 5545 duration, e.g. 5400 -> PT1H30M
+function formatIcsDuration(seconds) {
+    const total = Math.max(0, Math.round(seconds || 0));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const rest = total % 60;
+    if (total === 0) return 'PT0S';
+    return 'PT' + (hours ? `${hours}H` : '') + (minutes ? `${minutes}M` : '') + (rest ? `${rest}S` : '');
+}
+
+// A URI value is not escaped like TEXT, so only a parseable http(s) URL is
+// written, in the parser's normalised form (which has no CR, LF or spaces).
+// Returns null for anything else.
+function formatIcsUri(value) {
+    try {
+        const url = new URL(String(value));
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+    } catch {
+        return null;
+    }
+}
+
+function buildEvent(session, stamp) {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${session.sessionId}@${UID_DOMAIN}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatIcsDate(session.startTime)}`,
+        `DURATION:${formatIcsDuration(session.duration)}`,
+        `SUMMARY:${escapeIcsText(session.title)}`
+    ];
+    // The description carries the URL too, for clients that ignore the URL property
+    const description = [session.description, session.url].filter(Boolean).join('\n\n');
+    if (description) lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+    if (session.url) {
+        const uri = formatIcsUri(session.url);
+        if (uri) lines.push(`URL:${uri}`);
+        lines.push(`LOCATION:${escapeIcsText(session.url)}`);
+    }
+    if (session.categories?.length) {
+        lines.push(`CATEGORIES:${session.categories.map(escapeIcsText).join(',')}`);
+    }
+    if (session.lastModified) lines.push(`LAST-MODIFIED:${formatIcsDate(session.lastModified)}`);
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+// Build a VCALENDAR with one VEVENT per session ({ sessionId, title,
+// description, url, startTime, duration, categories, lastModified }). timezone is the
+// event's IANA zone, advertised as X-WR-TIMEZONE. UIDs are stable per
+// session, so subscribed calendars update rescheduled sessions in place.
+// Sessions with an unreadable startTime are left out.
+function buildCalendar(sessions, { name = CALENDAR_NAME, timezone, now = new Date() } = {}) {
+    const stamp = formatIcsDate(now);
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(name)}`,
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H'
+    ];
+    // Events are in UTC; this only hints which zone clients should display
+    if (timezone) lines.push(`X-WR-TIMEZONE:${timezone}`);
+    for (const session of sessions) {
+        if (isNaN(new Date(session.startTime).getTime())) continue;
+        lines.push(...buildEvent(session, stamp));
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    CALENDAR_NAME,
+    escapeIcsText,
+    foldIcsLine,
+    formatIcsDate,
+    formatIcsDuration,
+    formatIcsUri,
+    buildCalendar
+};
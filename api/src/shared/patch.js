@@ -0,0 +1,15 @@
+// Apply a PATCH body to an existing entity. For each field in clearValues:
+//   absent (undefined) - keep the existing value
+//   null               - clear it, resetting to its value in clearValues
+//   anything else      - replace it
+// Returns a new object; the entity passed in is not modified.
+function applyPatch(entity, body, clearValues) {
+    const patched = { ...entity };
+    for (const [field, clearedValue] of Object.entries(clearValues)) {
+        if (body[field] === undefined) continue;
+        patched[field] = body[field] === null ? clearedValue : body[field];
+    }
+    return patched;
+}
+
+module.exports = { applyPatch };
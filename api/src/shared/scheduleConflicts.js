@@ -0,0 +1,119 @@
+const { getEventTimezone, localDate } = require("./timezone");
+
+// Gaps longer than this between sessions on the same day are reported, since
+// they are usually a typo in a start time. Override with SCHEDULE_MAX_GAP_MINUTES.
+const DEFAULT_MAX_GAP_MINUTES = 120;
+
+function getMaxGapMinutes() {
+    const value = Number(process.env.SCHEDULE_MAX_GAP_MINUTES);
+    return Number.isFinite(value) && value > 0 ? value : DEFAULT_MAX_GAP_MINUTES;
+}
+
+function formatMinutes(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const rest = Math.round(minutes % 60);
+    return hours > 0 ? `${hours}h ${rest}m` : `${rest}m`;
+}
+
+// Sessions on different tracks run in parallel, so they never clash. A session
+// without a track (a keynote, a break) runs across all of them.
+function sharesTrack(a, b) {
+    return !a.track || !b.track || a.track === b.track;
+}
+
+// Each track's timeline: its own sessions plus the ones without a track. With
+// no tracks at all there is a single timeline.
+function trackTimelines(sessions) {
+    const tracks = [...new Set(sessions.map(session => session.track).filter(Boolean))];
+    if (tracks.length === 0) return [sessions];
+    return tracks.map(track => sessions.filter(session => !session.track || session.track === track));
+}
+
+// Find problems in a list of schedule items ({ id, title, startTime, duration,
+// track } with duration in seconds). Returns conflicts of the form
+// { type, sessionIds, message } where type is:
+//   overlap       - two sessions on the same track run at the same time (minutes = how long)
+//   zero-duration - a session has no duration, so overlaps cannot be checked
+//   gap           - more than maxGapMinutes between consecutive sessions on a
+//                   track on a day (track is set when the gap is on one track)
+// Days are calendar days in timeZone, the event's IANA zone, so an evening
+// session is not split from its afternoon by UTC midnight.
+function findScheduleConflicts(items, { maxGapMinutes = getMaxGapMinutes(), timeZone = getEventTimezone() } = {}) {
+    const sessions = items
+        .map(item => ({ ...item, start: new Date(item.startTime).getTime() }))
+        .filter(session => !isNaN(session.start))
+        .map(session => ({ ...session, end: session.start + (session.duration || 0) * 1000, day: localDate(session.start, timeZone) }))
+        .sort((a, b) => a.start - b.start);
+
+    const conflicts = [];
+
+    for (const session of sessions) {
+        if (!session.duration) {
+            conflicts.push({
+                type: "zero-duration",
+                sessionIds: [session.id],
+                message: `"${session.title}" has no duration`
+            });
+        }
+    }
+
+    for (let i = 0; i < sessions.length; i++) {
+        for (let j = i + 1; j < sessions.length && sessions[j].start < sessions[i].end; j++) {
+            if (!sharesTrack(sessions[i], sessions[j])) continue;
+            const minutes = (Math.min(sessions[i].end, sessions[j].end) - sessions[j].start) / 60000;
+            conflicts.push({
+                type: "overlap",
+                sessionIds: [sessions[i].id, sessions[j].id],
+                minutes,
+                message: `"${sessions[i].title}" overlaps "${sessions[j].title}" by ${formatMinutes(minutes)}`
+            });
+        }
+    }
+
+    // A gap between two shared sessions shows up on every track's timeline;
+    // report it once
+    const reportedGaps = new Set();
+    for (const timeline of trackTimelines(sessions)) {
+        // Compare each session with the latest end so far, so a long session that
+        // covers several short ones does not produce false gaps
+        let previous = null;
+        let latestEnd = 0;
+        for (const session of timeline) {
+            if (previous && previous.day === session.day) {
+                const minutes = (session.start - latestEnd) / 60000;
+                const key = `${previous.id}|${session.id}`;
+                if (minutes > maxGapMinutes && !reportedGaps.has(key)) {
+                    reportedGaps.add(key);
+                    const track = previous.track || session.track;
+                    conflicts.push({
+                        type: "gap",
+                        sessionIds: [previous.id, session.id],
+                        minutes,
+                        ...(track ? { track } : {}),
+                        message: `${formatMinutes(minutes)} gap between "${previous.title}" and "${session.title}"${track ? ` on ${track}` : ""}`
+                    });
+                }
+            } else {
+                latestEnd = 0;
+            }
+            if (session.end >= latestEnd) {
+                latestEnd = session.end;
+                previous = session;
+            }
+        }
+    }
+
+    return conflicts;
+}
+
+// Only the conflicts that involve one of the given session ids
+function conflictsInvolving(conflicts, ids) {
+    const wanted = new Set(ids);
+    return conflicts.filter(conflict => conflict.sessionIds.some(id => wanted.has(id)));
+}
+
+module.exports = {
+    getMaxGapMinutes,
+    findScheduleConflicts,
+    conflictsInvolving
+};
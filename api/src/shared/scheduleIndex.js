@@ -0,0 +1,96 @@
+const { getTableClient, getReadyTableClient, isNotFound, escapeODataString } = require("./storage");
+
+// Schedule items are partitioned by date, so a session id alone does not say
+// where the row lives. The index table maps sessionId -> date partition so an
+// item can be fetched with a single point read instead of a table scan.
+// Each schedule table has its own index table ("VideoSchedule" ->
+// "VideoScheduleIndex"), so every function here takes the schedule client.
+const INDEX_PARTITION = "session";
+
+function indexTableName(scheduleClient) {
+    return `${scheduleClient.tableName}Index`;
+}
+
+function getIndexClient(scheduleClient) {
+    return getReadyTableClient(indexTableName(scheduleClient));
+}
+
+// Record (or move) the partition for a schedule entity
+async function indexScheduleEntity(client, entity) {
+    const indexClient = await getIndexClient(client);
+    await indexClient.upsertEntity({
+        partitionKey: INDEX_PARTITION,
+        rowKey: entity.rowKey,
+        datePartition: entity.partitionKey
+    }, "Replace");
+}
+
+async function removeScheduleIndex(client, id) {
+    const indexClient = await getIndexClient(client);
+    try {
+        await indexClient.deleteEntity(INDEX_PARTITION, id);
+    } catch (error) {
+        if (!isNotFound(error)) throw error;
+    }
+}
+
+// Fetch a schedule entity by session id, or null if it does not exist.
+// Rows written before the index existed are found with a RowKey query and
+// added to the index so the next lookup is a point read.
+async function getScheduleEntity(client, id) {
+    const indexClient = await getIndexClient(client);
+
+    try {
+        const indexEntry = await indexClient.getEntity(INDEX_PARTITION, id);
+        return await client.getEntity(indexEntry.datePartition, id);
+    } catch (error) {
+        if (!isNotFound(error)) throw error;
+    }
+
+    const matches = client.listEntities({
+        queryOptions: { filter: `RowKey eq '${escapeODataString(id)}'` }
+    });
+    for await (const entity of matches) {
+        await indexScheduleEntity(client, entity);
+        return entity;
+    }
+
+    await removeScheduleIndex(client, id);
+    return null;
+}
+
+// Fetch a schedule entity through the index only, or null. For public reads:
+// it never scans the table or writes, so rows missing from the index (written
+// before it existed) are not found until a write path or the partition repair
+// indexes them.
+async function findScheduleEntity(client, id) {
+    try {
+        const indexEntry = await getTableClient(indexTableName(client)).getEntity(INDEX_PARTITION, id);
+        return await client.getEntity(indexEntry.datePartition, id);
+    } catch (error) {
+        // Also covers the index table not existing yet
+        if (!isNotFound(error)) throw error;
+    }
+    return null;
+}
+
+// Schedule rows the index does not point at, as entities
+async function findUnindexedScheduleEntities(client) {
+    const indexed = new Map();
+    for await (const row of (await getIndexClient(client)).listEntities()) {
+        indexed.set(row.rowKey, row.datePartition);
+    }
+    const unindexed = [];
+    for await (const entity of client.listEntities()) {
+        if (indexed.get(entity.rowKey) !== entity.partitionKey) unindexed.push(entity);
+    }
+    return unindexed;
+}
+
+module.exports = {
+    getScheduleEntity,
+    findScheduleEntity,
+    findUnindexedScheduleEntities,
+    indexScheduleEntity,
+    removeScheduleIndex
+};
@@ -0,0 +1,76 @@
+const { indexScheduleEntity } = require("./scheduleIndex");
+
+// Schedule items live in the partition for the UTC date of their startTime
+function schedulePartitionKey(startTime) {
+    return new Date(startTime).toISOString().split('T')[0];
+}
+
+// Move an entity to a new day partition. Table Storage transactions cannot span
+// partitions, so the new row is written first and the old one deleted after;
+// if the delete fails (e.g. a stale If-Match) the new row is removed again so
+// the session never ends up in both partitions.
+async function moveScheduleEntity(client, entity, fromPartition, options) {
+    // Replace rather than create: a copy already in the target partition can only
+    // be a leftover from an earlier failed move of this same session
+    const result = await client.upsertEntity(entity, "Replace");
+
+    try {
+        await client.deleteEntity(fromPartition, entity.rowKey, options);
+    } catch (error) {
+        try {
+            await client.deleteEntity(entity.partitionKey, entity.rowKey);
+        } catch (rollbackError) {
+            // Leaves a duplicate behind; repairSchedulePartitions cleans it up
+            error.rollbackError = rollbackError;
+        }
+        throw error;
+    }
+
+    await indexScheduleEntity(client, entity);
+    return result;
+}
+
+// Write an updated schedule entity, moving it if its start date changed day.
+// existingEntity is the stored row it replaces.
+async function saveScheduleEntity(client, existingEntity, entity, options) {
+    if (entity.partitionKey === existingEntity.partitionKey) {
+        return client.updateEntity(entity, "Replace", options);
+    }
+    return moveScheduleEntity(client, entity, existingEntity.partitionKey, options);
+}
+
+// Find rows whose partition does not match their startTime. Returns one entry
+// per misplaced row: { id, from, to, duplicate, entity }. duplicate means the
+// session already has a row in the right partition, so this one is just removed.
+// Rows with an unreadable startTime are left alone.
+async function findMisplacedScheduleEntities(client) {
+    const rows = [];
+    for await (const entity of client.listEntities()) {
+        if (!isNaN(new Date(entity.startTime).getTime())) {
+            rows.push(entity);
+        }
+    }
+
+    const isPlaced = entity => entity.partitionKey === schedulePartitionKey(entity.startTime);
+    const placed = new Set(rows.filter(isPlaced).map(entity => entity.rowKey));
+
+    const misplaced = [];
+    for (const entity of rows.filter(entity => !isPlaced(entity))) {
+        misplaced.push({
+            id: entity.rowKey,
+            from: entity.partitionKey,
+            to: schedulePartitionKey(entity.startTime),
+            duplicate: placed.has(entity.rowKey),
+            entity
+        });
+        placed.add(entity.rowKey);
+    }
+    return misplaced;
+}
+
+module.exports = {
+    schedulePartitionKey,
+    moveScheduleEntity,
+    saveScheduleEntity,
+    findMisplacedScheduleEntities
+};
@@ -0,0 +1,56 @@
+const fs = require("fs");
+const path = require("path");
+
+// Secrets the API uses, by name
+const SECRETS = {
+    youtubeApiKey: "YOUTUBE_API_KEY"
+};
+
+// Read a secret from the backend selected by SECRETS_BACKEND:
+//   env  - environment variables / Function App settings (default). In Azure,
+//          point a setting at Key Vault with a Key Vault reference
+//          (@Microsoft.KeyVault(SecretUri=...)) and it arrives here resolved.
+//   file - a JSON object of name -> value in SECRETS_FILE, or
+//          LOCAL_DATA_DIR/secrets.json (local development; keep it out of git)
+// Returns the value, or null when the secret is not set. Secrets are only
+// ever used on the server: never return them from the API or log them.
+async function getSecret(name) {
+    const backend = getSecretsBackend();
+
+    if (backend === "env") {
+        return process.env[name] || null;
+    }
+    if (backend !== "file") {
+        throw new Error(`Unknown SECRETS_BACKEND "${backend}". Use "env" or "file".`);
+    }
+
+    let secrets;
+    try {
+        secrets = JSON.parse(await fs.promises.readFile(getSecretsFile(), "utf8"));
+    } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+    }
+    return typeof secrets[name] === "string" && secrets[name] ? secrets[name] : null;
+}
+
+// Whether a secret is set, for telling people what is configured without
+// revealing the value
+async function hasSecret(name) {
+    return (await getSecret(name)) !== null;
+}
+
+function getSecretsBackend() {
+    return (process.env.SECRETS_BACKEND || "env").toLowerCase();
+}
+
+function getSecretsFile() {
+    const dataDir = process.env.LOCAL_DATA_DIR || path.join(__dirname, "..", "..", ".data");
+    return process.env.SECRETS_FILE || path.join(dataDir, "secrets.json");
+}
+
+module.exports = {
+    SECRETS,
+    getSecret,
+    hasSecret
+};
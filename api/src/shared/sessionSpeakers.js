@@ -0,0 +1,196 @@
+const { getTableClient, getReadyTableClient, isNotFound, escapeODataString } = require("./storage");
+const { getScheduleEntity } = require("./scheduleIndex");
+const { isPreconditionFailed } = require("./concurrency");
+
+// Links between sessions and their speakers. Each link is stored twice, once
+// under the session and once under the speaker, so both directions are single
+// partition queries:
+//   partitionKey "session_<sessionId>", rowKey <speakerId>
+//   partitionKey "speaker_<speakerId>", rowKey <sessionId>
+// Like the session index, each schedule table has its own links table
+// ("VideoSchedule" -> "VideoScheduleSpeakerLinks"), so every function here
+// takes the schedule client.
+const SESSION_PREFIX = "session_";
+const SPEAKER_PREFIX = "speaker_";
+
+function linksTableName(scheduleClient) {
+    return `${scheduleClient.tableName}SpeakerLinks`;
+}
+
+function getLinksClient(scheduleClient) {
+    return getReadyTableClient(linksTableName(scheduleClient));
+}
+
+// For the reads below, which public routes use: they never create the table,
+// and find no links while it does not exist
+function getLinksReader(scheduleClient) {
+    return getTableClient(linksTableName(scheduleClient));
+}
+
+async function listPartition(client, partitionKey) {
+    const rowKeys = [];
+    const rows = client.listEntities({
+        queryOptions: { filter: `PartitionKey eq '${escapeODataString(partitionKey)}'` }
+    });
+    try {
+        for await (const row of rows) {
+            rowKeys.push(row.rowKey);
+        }
+    } catch (error) {
+        if (!isNotFound(error)) throw error;
+    }
+    return rowKeys;
+}
+
+async function deleteIgnoringMissing(client, partitionKey, rowKey) {
+    try {
+        await client.deleteEntity(partitionKey, rowKey);
+    } catch (error) {
+        if (!isNotFound(error)) throw error;
+    }
+}
+
+async function addLink(client, sessionId, speakerId) {
+    const link = { sessionId, speakerId };
+    await client.upsertEntity({ partitionKey: SESSION_PREFIX + sessionId, rowKey: speakerId, ...link }, "Replace");
+    await client.upsertEntity({ partitionKey: SPEAKER_PREFIX + speakerId, rowKey: sessionId, ...link }, "Replace");
+}
+
+async function removeLink(client, sessionId, speakerId) {
+    await deleteIgnoringMissing(client, SESSION_PREFIX + sessionId, speakerId);
+    await deleteIgnoringMissing(client, SPEAKER_PREFIX + speakerId, sessionId);
+}
+
+// Every link in the schedule as [{ sessionId, speakerId }]
+async function listLinks(scheduleClient) {
+    const links = [];
+    try {
+        for await (const row of getLinksReader(scheduleClient).listEntities()) {
+            if (row.partitionKey.startsWith(SESSION_PREFIX)) {
+                links.push({ sessionId: row.sessionId, speakerId: row.speakerId });
+            }
+        }
+    } catch (error) {
+        if (!isNotFound(error)) throw error;
+    }
+    return links;
+}
+
+async function getSpeakerSessionIds(scheduleClient, speakerId) {
+    return listPartition(getLinksReader(scheduleClient), SPEAKER_PREFIX + speakerId);
+}
+
+async function getSessionSpeakerIds(scheduleClient, sessionId) {
+    return listPartition(getLinksReader(scheduleClient), SESSION_PREFIX + sessionId);
+}
+
+// Link a speaker to exactly these sessions, adding and removing links as needed
+async function setSpeakerSessions(scheduleClient, speakerId, sessionIds) {
+    const client = await getLinksClient(scheduleClient);
+    const current = await listPartition(client, SPEAKER_PREFIX + speakerId);
+    const wanted = new Set(sessionIds);
+    for (const sessionId of current) {
+        if (!wanted.has(sessionId)) await removeLink(client, sessionId, speakerId);
+    }
+    for (const sessionId of wanted) {
+        if (!current.includes(sessionId)) await addLink(client, sessionId, speakerId);
+    }
+}
+
+// Link a speaker to more sessions, keeping the ones already linked
+async function addSpeakerSessions(scheduleClient, speakerId, sessionIds) {
+    const client = await getLinksClient(scheduleClient);
+    for (const sessionId of sessionIds) {
+        await addLink(client, sessionId, speakerId);
+    }
+}
+
+// Drop every link to a deleted session
+async function removeSessionLinks(scheduleClient, sessionId) {
+    const client = await getLinksClient(scheduleClient);
+    for (const speakerId of await listPartition(client, SESSION_PREFIX + sessionId)) {
+        await removeLink(client, sessionId, speakerId);
+    }
+}
+
+// Drop every link to a deleted speaker
+async function removeSpeakerLinks(scheduleClient, speakerId) {
+    const client = await getLinksClient(scheduleClient);
+    for (const sessionId of await listPartition(client, SPEAKER_PREFIX + speakerId)) {
+        await removeLink(client, sessionId, speakerId);
+    }
+}
+
+// Links pointing at a session or speaker that no longer exists, e.g. one
+// deleted before links were cleaned up. The links are listed before the
+// sessions and speakers are looked up, so a link made meanwhile (always
+// between records that exist) is never taken for a stale one.
+async function findStaleLinks(scheduleClient, speakerClient) {
+    const links = await listLinks(scheduleClient);
+    const missingSessions = new Set(await findMissingSessions(scheduleClient, links.map(link => link.sessionId)));
+    const speakerIds = new Set();
+    for await (const entity of speakerClient.listEntities()) {
+        speakerIds.add(entity.rowKey);
+    }
+    return links.filter(link => missingSessions.has(link.sessionId) || !speakerIds.has(link.speakerId));
+}
+
+// Drop links found by findStaleLinks. Only write paths and repairs call this:
+// a read deciding from what it listed earlier could drop a link made since.
+async function removeStaleLinks(scheduleClient, links) {
+    const client = await getLinksClient(scheduleClient);
+    for (const { sessionId, speakerId } of links) {
+        await removeLink(client, sessionId, speakerId);
+    }
+}
+
+// The ids among sessionIds that have no schedule item
+async function findMissingSessions(scheduleClient, sessionIds) {
+    const missing = [];
+    for (const id of new Set(sessionIds)) {
+        if (!(await getScheduleEntity(scheduleClient, id))) missing.push(id);
+    }
+    return missing;
+}
+
+// Speakers saved before links existed keep their sessions in a JSON sessionIds
+// column. Public reads, which must not write, count these as linked.
+function legacySessionIds(entity) {
+    return entity.sessionIds ? JSON.parse(entity.sessionIds) : [];
+}
+
+// Move a speaker's legacy sessionIds into the links table, leaving out
+// sessions that no longer exist, and remove the column. Write paths and the
+// partition repair do this. Returns the speaker entity as now stored.
+async function adoptLegacySessionIds(scheduleClient, speakerClient, entity) {
+    if (entity.sessionIds === undefined) return entity;
+
+    const legacyIds = legacySessionIds(entity);
+    const missing = await findMissingSessions(scheduleClient, legacyIds);
+    await addSpeakerSessions(scheduleClient, entity.rowKey, legacyIds.filter(id => !missing.includes(id)));
+
+    const { sessionIds, etag, timestamp, ...data } = entity;
+    try {
+        const result = await speakerClient.updateEntity(data, "Replace", { etag });
+        return { ...data, etag: result.etag };
+    } catch (error) {
+        // Someone else saved the speaker in the meantime; their version wins
+        if (!isPreconditionFailed(error)) throw error;
+        return speakerClient.getEntity(entity.partitionKey, entity.rowKey);
+    }
+}
+
+module.exports = {
+    listLinks,
+    getSpeakerSessionIds,
+    getSessionSpeakerIds,
+    setSpeakerSessions,
+    addSpeakerSessions,
+    removeSessionLinks,
+    removeSpeakerLinks,
+    findStaleLinks,
+    removeStaleLinks,
+    findMissingSessions,
+    legacySessionIds,
+    adoptLegacySessionIds
+};
@@ -0,0 +1,134 @@
+// Turning the ways people write social links - handles, bare domains, old
+// hostnames, full URLs - into one canonical URL per profile, so speakers
+// added by hand, by import or by extraction look the same.
+
+// For each link field: what a handle looks like, the hosts its URLs may use,
+// and how to build the canonical URL from a handle or from a URL on one of
+// those hosts (fromUrl returns null when the path is not a profile).
+const NETWORKS = {
+    linkedin: {
+        label: "LinkedIn",
+        handle: /^[A-Za-z0-9-]{3,100}$/,
+        hosts: ["linkedin.com", "www.linkedin.com"],
+        fromHandle: handle => `https://www.linkedin.com/in/${handle}`,
+        fromUrl: url => {
+            const match = url.pathname.match(/^\/(in|company|school)\/([^/]+)/);
+            return match ? `https://www.linkedin.com/${match[1]}/${match[2]}` : null;
+        }
+    },
+    twitter: {
+        label: "X/Twitter",
+        handle: /^[A-Za-z0-9_]{1,15}$/,
+        hosts: ["x.com", "www.x.com", "twitter.com", "www.twitter.com", "mobile.twitter.com"],
+        fromHandle: handle => `https://x.com/${handle}`,
+        fromUrl: url => profileFromPath(url, NETWORKS.twitter)
+    },
+    github: {
+        label: "GitHub",
+        handle: /^[A-Za-z0-9-]{1,39}$/,
+        hosts: ["github.com", "www.github.com"],
+        fromHandle: handle => `https://github.com/${handle}`,
+        fromUrl: url => profileFromPath(url, NETWORKS.github)
+    },
+    bluesky: {
+        label: "Bluesky",
+        // Handles are domain names; a bare name is on the default bsky.social host
+        handle: /^(?!bsky\.app$)[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)*$/,
+        hosts: ["bsky.app"],
+        fromHandle: handle => `https://bsky.app/profile/${handle.includes(".") ? handle : `${handle}.bsky.social`}`.toLowerCase(),
+        fromUrl: url => {
+            const match = url.pathname.match(/^\/profile\/([^/]+)/);
+            return match ? `https://bsky.app/profile/${match[1].toLowerCase()}` : null;
+        }
+    },
+    mastodon: {
+        label: "Mastodon",
+        // Any server: "@jane@mastodon.social" (see MASTODON_ADDRESS) or
+        // "https://mastodon.social/@jane"
+        handle: null,
+        hosts: null,
+        fromUrl: url => {
+            const match = url.pathname.match(/^\/@([A-Za-z0-9_]+)\/?$/);
+            return match ? `https://${url.hostname}/@${match[1]}` : null;
+        }
+    }
+};
+
+const MASTODON_ADDRESS = /^@?([A-Za-z0-9_]+)@([A-Za-z0-9.-]+\.[A-Za-z]{2,})$/;
+
+// The first path segment as a handle, e.g. https://github.com/jane/repo -> jane
+function profileFromPath(url, network) {
+    const handle = url.pathname.split("/")[1];
+    return handle && network.handle.test(handle) ? network.fromHandle(handle) : null;
+}
+
+// Parse value as a URL, adding https:// to bare domains like "github.com/jane".
+// Returns null for anything that is not an http(s) URL.
+function parseUrl(value) {
+    const withScheme = /^[a-z][a-z0-9+.-]*:/i.test(value) ? value : `https://${value}`;
+    try {
+        const url = new URL(withScheme);
+        return url.protocol === "https:" || url.protocol === "http:" ? url : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Canonical URL for one link field, or { error } when the value cannot be a
+// profile on that network. Values that are not URLs at all are returned
+// unchanged for the schema to reject.
+function normalizeLink(field, value) {
+    const trimmed = value.trim();
+    if (trimmed === "") return "";
+
+    if (field === "website") {
+        const url = /\s/.test(trimmed) ? null : parseUrl(trimmed);
+        return url ? url.href : trimmed;
+    }
+
+    const network = NETWORKS[field];
+    const address = trimmed.match(MASTODON_ADDRESS);
+    if (field === "mastodon" && address) {
+        return `https://${address[2].toLowerCase()}/@${address[1]}`;
+    }
+
+    const handle = trimmed.replace(/^@/, "");
+    if (network.handle && network.handle.test(handle)) {
+        return network.fromHandle(handle);
+    }
+
+    const url = parseUrl(trimmed);
+    if (!url || /\s/.test(trimmed)) return trimmed;
+    if (network.hosts && !network.hosts.includes(url.hostname.toLowerCase())) {
+        return { error: `must be a ${network.label} handle or profile URL` };
+    }
+    return network.fromUrl(url) || { error: `must be a ${network.label} handle or profile URL` };
+}
+
+// Normalize every link field present in data. Returns the data with canonical
+// URLs and a { field, message } error for each value that is clearly not a
+// profile on its network. null and undefined are left alone (PATCH clears and
+// omissions).
+function normalizeSocialLinks(data) {
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+        return { data, errors: [] };
+    }
+
+    const normalized = { ...data };
+    const errors = [];
+    for (const field of [...Object.keys(NETWORKS), "website"]) {
+        if (typeof data[field] !== "string") continue;
+
+        const result = normalizeLink(field, data[field]);
+        if (typeof result === "string") {
+            normalized[field] = result;
+        } else {
+            errors.push({ field, message: result.error });
+        }
+    }
+    return { data: normalized, errors };
+}
+
+module.exports = {
+    normalizeSocialLinks
+};
@@ -0,0 +1,152 @@
+// Finding speaker names in session descriptions and matching them to existing
+// speakers. Everything here is pure; speakers.js turns the results into
+// proposals in the review queue.
+
+// A name is 2-4 capitalised words or initials ("J. Doe")
+const NAME_WORD = "[A-Z](?:\\.|[\\p{L}'’-]+)";
+const NAME = `${NAME_WORD}(?:\\s+${NAME_WORD}){1,3}`;
+
+// Description patterns that introduce speaker names. confidence is how sure a
+// name found this way is a speaker; "with" is often followed by other things.
+// "Presented by" runs to the end of the sentence, allowing for initials and
+// honorifics.
+const SPEAKER_PATTERNS = [
+    { source: "speaker", confidence: 0.9, pattern: /Speakers?:\s*([^\n]+(?:\n(?![A-Z#✅📅⁉️])[^\n]+)*)/gi },
+    { source: "presented-by", confidence: 0.85, pattern: /\b(?:Presented|Hosted|Delivered) by:?\s*((?:\b(?:Dr|Mrs?|Ms|Prof|[A-Z])\.|[^\n.!?])+)/gi },
+    { source: "with", confidence: 0.6, pattern: new RegExp(`\\bwith\\s+(${NAME}(?:\\s*(?:,|&|\\band\\b)\\s*${NAME})*)`, "gu") }
+];
+
+// Proposals to link to an existing speaker need at least this similarity
+const LINK_THRESHOLD = 0.8;
+
+// Below this confidence a new name is proposed as "ignore" rather than "create"
+const CREATE_THRESHOLD = 0.5;
+
+const HONORIFICS = new Set(["dr", "mr", "mrs", "ms", "prof"]);
+const CREDENTIALS = new Set(["mvp", "phd", "mba", "msc", "jr", "sr", "rd", "mct"]);
+
+// Lowercase words without accents, punctuation, honorifics or credentials:
+// "Dr. José Pérez, MVP" -> "jose perez"
+function normalizeName(name) {
+    return String(name || "")
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, " ")
+        .split(/\s+/)
+        .filter(word => word && !HONORIFICS.has(word) && !CREDENTIALS.has(word))
+        .join(" ");
+}
+
+// Tidy one candidate name: numbering, roles after a dash, parentheses and
+// leading honorifics go. Returns "" for things that are not names.
+function cleanName(raw) {
+    const name = raw
+        .replace(/^\d+\.\s*/, "")
+        .replace(/\s*[-–—|]\s.*$/, "")
+        .replace(/\s*\(.*?\)/g, "")
+        .replace(/^(?:Dr|Mr|Mrs|Ms|Prof)\.?\s+/i, "")
+        .trim()
+        .replace(/(?<!\b[A-Z])\.$/, "");
+    if (name.length <= 2 || /https?:|@|www\./i.test(name)) return "";
+    if (name.split(/\s+/).length > 4) return "";
+    if (normalizeName(name) === "") return "";
+    return name;
+}
+
+// Names found in a description, as [{ name, source, confidence }]. The
+// confidence combines the pattern with how name-like the text is.
+function extractSpeakerNames(description) {
+    const found = new Map();
+    for (const { source, confidence, pattern } of SPEAKER_PATTERNS) {
+        for (const match of String(description || "").matchAll(pattern)) {
+            const candidates = match[1].split(/,|\n|&|\band\b|;/);
+            for (const candidate of candidates) {
+                const name = cleanName(candidate);
+                const key = normalizeName(name);
+                if (!name || found.has(key)) continue;
+
+                // One word or only initials is rarely a whole name
+                const words = key.split(" ");
+                const nameScore = words.length === 1 || words.every(word => word.length === 1) ? 0.4 : words.length === 4 ? 0.8 : 1;
+                found.set(key, { name, source, confidence: Math.round(confidence * nameScore * 100) / 100 });
+            }
+        }
+    }
+    return [...found.values()];
+}
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// How alike two names are, from 0 to 1. Spelling is compared by edit
+// distance; "J Doe" and "Jane Doe" (same surname, matching initial) count as
+// close.
+function nameSimilarity(a, b) {
+    const left = normalizeName(a);
+    const right = normalizeName(b);
+    if (!left || !right) return 0;
+    if (left === right) return 1;
+
+    const spelling = 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+
+    const leftWords = left.split(" ");
+    const rightWords = right.split(" ");
+    const sameSurname = leftWords[leftWords.length - 1] === rightWords[rightWords.length - 1];
+    const sameInitial = leftWords[0][0] === rightWords[0][0];
+    const initials = sameSurname && sameInitial && (leftWords[0].length === 1 || rightWords[0].length === 1) ? 0.85 : 0;
+
+    return Math.round(Math.max(spelling, initials) * 100) / 100;
+}
+
+// The existing speaker most like name, comparing against each speaker's name
+// and aliases. speakers are { id, name, aliases }. Returns { speaker, score }
+// or null when nothing reaches LINK_THRESHOLD.
+function matchSpeaker(name, speakers) {
+    let best = null;
+    for (const speaker of speakers) {
+        for (const candidate of [speaker.name, ...(speaker.aliases || [])]) {
+            const score = nameSimilarity(name, candidate);
+            if (score >= LINK_THRESHOLD && (!best || score > best.score)) {
+                best = { speaker, score };
+            }
+        }
+    }
+    return best;
+}
+
+// The suggested action for a name: link to the matched speaker, create a new
+// one, or ignore text that is probably not a name
+function suggestAction(extracted, speakers) {
+    const match = matchSpeaker(extracted.name, speakers);
+    if (match) {
+        return { action: "link", speakerId: match.speaker.id, speakerName: match.speaker.name, confidence: match.score };
+    }
+    return {
+        action: extracted.confidence >= CREATE_THRESHOLD ? "create" : "ignore",
+        speakerId: "",
+        speakerName: "",
+        confidence: extracted.confidence
+    };
+}
+
+module.exports = {
+    normalizeName,
+    extractSpeakerNames,
+    nameSimilarity,
+    matchSpeaker,
+    suggestAction
+};
@@ -0,0 +1,70 @@
+const storage = require("./storage");
+const { normalizeName } = require("./speakerExtraction");
+
+// The review queue of speakers found by extraction. One row per extracted
+// name, keyed by the normalized name so "Rick Claus" and "Rick Claus, MVP"
+// share a proposal:
+//   partitionKey "proposal", rowKey "p-rick-claus"
+// status is "pending" until reviewed. Accepted proposals are removed; rejected
+// ones are kept so extraction does not propose the same name again. Each
+// speakers table has its own queue ("Speakers" -> "SpeakersProposals").
+const PROPOSAL_PARTITION = "proposal";
+const PROPOSAL_ACTIONS = ["create", "link", "ignore"];
+
+function getProposalsClient(speakerClient) {
+    return storage.getReadyTableClient(`${speakerClient.tableName}Proposals`);
+}
+
+function proposalId(name) {
+    return `p-${normalizeName(name).replace(/\s+/g, "-").substring(0, 100)}`;
+}
+
+// Shape a stored proposal for API responses
+function toProposal(entity) {
+    return {
+        id: entity.rowKey,
+        name: entity.name,
+        action: entity.action,
+        speakerId: entity.speakerId || '',
+        speakerName: entity.speakerName || '',
+        confidence: entity.confidence,
+        source: entity.source || '',
+        sessionIds: entity.sessionIds ? JSON.parse(entity.sessionIds) : [],
+        status: entity.status
+    };
+}
+
+function buildProposalEntity(proposal) {
+    return {
+        partitionKey: PROPOSAL_PARTITION,
+        rowKey: proposalId(proposal.name),
+        name: proposal.name,
+        action: proposal.action,
+        speakerId: proposal.speakerId || '',
+        speakerName: proposal.speakerName || '',
+        confidence: proposal.confidence,
+        source: proposal.source || '',
+        sessionIds: JSON.stringify(proposal.sessionIds || []),
+        status: proposal.status || "pending"
+    };
+}
+
+// Every proposal in the queue, as stored entities
+async function listProposalEntities(speakerClient) {
+    const client = await getProposalsClient(speakerClient);
+    const entities = [];
+    for await (const entity of client.listEntities()) {
+        entities.push(entity);
+    }
+    return entities;
+}
+
+module.exports = {
+    PROPOSAL_PARTITION,
+    PROPOSAL_ACTIONS,
+    getProposalsClient,
+    proposalId,
+    toProposal,
+    buildProposalEntity,
+    listProposalEntities
+};
@@ -0,0 +1,320 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { TableClient } = require("@azure/data-tables");
+const { ManagedIdentityCredential } = require("@azure/identity");
+
+const TABLES = {
+    schedule: "VideoSchedule",
+    scheduleIndex: "VideoScheduleIndex",
+    speakers: "Speakers",
+    events: "Events",
+    roles: "UserRoles",
+    audit: "AuditLog"
+};
+
+// Tables for the "memory" backend live for the lifetime of the process and are
+// shared by every module, so schedule.js and speakers.js see the same data
+const memoryTables = new Map();
+
+// Select the storage backend from STORAGE_BACKEND:
+//   azure  (default) - Azure Table Storage using the Function App's managed identity
+//   memory - in-process tables, cleared on restart (tests, quick local runs)
+//   file   - one JSON file per table under LOCAL_DATA_DIR (default: api/.data)
+function getStorageBackend() {
+    return (process.env.STORAGE_BACKEND || "azure").toLowerCase();
+}
+
+// Get a client for the named table. Local backends implement the subset of the
+// @azure/data-tables TableClient API that the handlers use.
+function getTableClient(tableName) {
+    const backend = getStorageBackend();
+
+    if (backend === "memory") {
+        return new LocalTableClient(tableName, new MemoryStore(tableName));
+    }
+    if (backend === "file") {
+        const dataDir = process.env.LOCAL_DATA_DIR || path.join(__dirname, "..", "..", ".data");
+        return new LocalTableClient(tableName, new FileStore(path.join(dataDir, `${tableName}.json`)));
+    }
+    if (backend !== "azure") {
+        throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use "azure", "memory" or "file".`);
+    }
+
+    const storageAccountName = process.env.STORAGE_ACCOUNT_NAME || "azcorestorage2026";
+    const credential = new ManagedIdentityCredential();
+    const url = `https://${storageAccountName}.table.core.windows.net`;
+    return new TableClient(url, tableName, credential);
+}
+
+// Table name -> promise for its createTable call
+const tablesReady = new Map();
+
+// Get a client for the named table, creating the table the first time it is
+// used in this process. createTable is a no-op when the table already exists;
+// a failed call is forgotten so the next request tries again.
+async function getReadyTableClient(tableName) {
+    const client = getTableClient(tableName);
+    if (!tablesReady.has(tableName)) {
+        tablesReady.set(tableName, client.createTable().catch(error => {
+            tablesReady.delete(tableName);
+            throw error;
+        }));
+    }
+    await tablesReady.get(tableName);
+    return client;
+}
+
+function isNotFound(error) {
+    return error && error.statusCode === 404;
+}
+
+// Quote-escape a value for a string literal in an OData filter
+function escapeODataString(value) {
+    return String(value).replace(/'/g, "''");
+}
+
+// Remove all data from the in-memory backend (used by tests between cases)
+function resetMemoryTables() {
+    memoryTables.clear();
+}
+
+class MemoryStore {
+    constructor(tableName) {
+        this.tableName = tableName;
+    }
+
+    load() {
+        if (!memoryTables.has(this.tableName)) {
+            memoryTables.set(this.tableName, new Map());
+        }
+        return memoryTables.get(this.tableName);
+    }
+
+    save() {
+        // Nothing to do - the Map returned by load() is the table itself
+    }
+}
+
+class FileStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return new Map();
+        }
+        const rows = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+        return new Map(rows.map(row => [entityKey(row.partitionKey, row.rowKey), row]));
+    }
+
+    save(rows) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(this.filePath, JSON.stringify([...rows.values()], null, 2));
+    }
+}
+
+function entityKey(partitionKey, rowKey) {
+    return `${partitionKey}\u0000${rowKey}`;
+}
+
+// Errors carry the same statusCode/code as the RestError thrown by the Azure SDK
+function tableError(statusCode, code, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+}
+
+// Optimistic concurrency: an etag of "*" (or none) matches any version
+function checkEtag(row, options) {
+    const etag = options?.etag;
+    if (etag && etag !== "*" && etag !== row.etag) {
+        throw tableError(412, "UpdateConditionNotSatisfied", "The update condition specified in the request was not satisfied.");
+    }
+}
+
+// Evaluate the simple OData filters used with listEntities, e.g.
+// "PartitionKey eq '2026-02-05' and duration gt 0"
+function matchesFilter(entity, filter) {
+    if (!filter) return true;
+
+    return filter.split(/\s+and\s+/i).every(clause => {
+        const match = clause.trim().match(/^(\w+)\s+(eq|ne|gt|ge|lt|le)\s+(.+)$/i);
+        if (!match) {
+            throw new Error(`Unsupported filter clause: ${clause}`);
+        }
+
+        const [, field, operator, literal] = match;
+        const propertyName = field === "PartitionKey" ? "partitionKey" : field === "RowKey" ? "rowKey" : field;
+        const actual = entity[propertyName];
+        let expected;
+        if (literal.startsWith("'")) {
+            expected = literal.slice(1, -1).replace(/''/g, "'");
+        } else if (literal === "true" || literal === "false") {
+            expected = literal === "true";
+        } else {
+            expected = Number(literal);
+        }
+
+        switch (operator.toLowerCase()) {
+            case "eq": return actual === expected;
+            case "ne": return actual !== expected;
+            case "gt": return actual > expected;
+            case "ge": return actual >= expected;
+            case "lt": return actual < expected;
+            case "le": return actual <= expected;
+        }
+        return false;
+    });
+}
+
+class LocalTableClient {
+    constructor(tableName, store) {
+        this.tableName = tableName;
+        this.store = store;
+    }
+
+    async createTable() {
+        // Local tables are created on first write
+    }
+
+    async *listEntities(options = {}) {
+        const filter = options.queryOptions?.filter;
+        const rows = [...this.store.load().values()]
+            .sort((a, b) => entityKey(a.partitionKey, a.rowKey).localeCompare(entityKey(b.partitionKey, b.rowKey)));
+
+        for (const row of rows) {
+            if (matchesFilter(row, filter)) {
+                yield { ...row };
+            }
+        }
+    }
+
+    async getEntity(partitionKey, rowKey) {
+        const row = this.store.load().get(entityKey(partitionKey, rowKey));
+        if (!row) {
+            throw tableError(404, "ResourceNotFound", "The specified resource does not exist.");
+        }
+        return { ...row };
+    }
+
+    async createEntity(entity) {
+        return this.write(rows => this.applyCreate(rows, entity));
+    }
+
+    async updateEntity(entity, mode = "Merge", options) {
+        return this.write(rows => this.applyUpdate(rows, entity, mode, options));
+    }
+
+    async upsertEntity(entity, mode = "Merge") {
+        return this.write(rows => this.applyUpsert(rows, entity, mode));
+    }
+
+    async deleteEntity(partitionKey, rowKey, options) {
+        return this.write(rows => this.applyDelete(rows, partitionKey, rowKey, options));
+    }
+
+    // Apply actions of the form ["create" | "update" | "upsert" | "delete", entity, ...]
+    // to a single partition, all or nothing, like TableClient.submitTransaction
+    async submitTransaction(actions) {
+        const partitions = new Set(actions.map(([, entity]) => entity.partitionKey));
+        if (partitions.size > 1) {
+            throw tableError(400, "CommandsInBatchActOnDifferentPartitions", "All commands in a batch must operate on the same partition.");
+        }
+        const rowKeys = actions.map(([, entity]) => entity.rowKey);
+        if (new Set(rowKeys).size !== rowKeys.length) {
+            throw tableError(400, "InvalidDuplicateRow", "The batch request contains multiple changes with same row key.");
+        }
+        if (actions.length > 100) {
+            throw tableError(400, "InvalidInput", "A batch can contain at most 100 operations.");
+        }
+
+        const subResponses = this.write(rows => {
+            // Work on a copy so a failing action leaves the table untouched
+            const staged = new Map(rows);
+            const results = actions.map(([type, entity, modeOrOptions, options]) => {
+                switch (type) {
+                    case "create": return this.applyCreate(staged, entity);
+                    case "update": return this.applyUpdate(staged, entity, modeOrOptions || "Merge", options);
+                    case "upsert": return this.applyUpsert(staged, entity, modeOrOptions || "Merge");
+                    // The SDK sends transaction deletes without their etag, so they are unconditional
+                    case "delete": return this.applyDelete(staged, entity.partitionKey, entity.rowKey);
+                }
+                throw tableError(400, "InvalidInput", `Unknown transaction action "${type}".`);
+            });
+            rows.clear();
+            staged.forEach((row, key) => rows.set(key, row));
+            return results.map((result, index) => ({ status: 204, rowKey: rowKeys[index], etag: result.etag }));
+        });
+
+        return {
+            status: 202,
+            subResponses,
+            getResponseForEntity: rowKey => subResponses.find(response => response.rowKey === rowKey)
+        };
+    }
+
+    write(change) {
+        const rows = this.store.load();
+        const result = change(rows);
+        this.store.save(rows);
+        return result;
+    }
+
+    applyCreate(rows, entity) {
+        const key = entityKey(entity.partitionKey, entity.rowKey);
+        if (rows.has(key)) {
+            throw tableError(409, "EntityAlreadyExists", "The specified entity already exists.");
+        }
+        const row = this.toRow(entity);
+        rows.set(key, row);
+        return { etag: row.etag };
+    }
+
+    applyUpdate(rows, entity, mode, options) {
+        const key = entityKey(entity.partitionKey, entity.rowKey);
+        if (!rows.has(key)) {
+            throw tableError(404, "ResourceNotFound", "The specified resource does not exist.");
+        }
+        checkEtag(rows.get(key), options);
+        const row = this.toRow(mode === "Replace" ? entity : { ...rows.get(key), ...entity });
+        rows.set(key, row);
+        return { etag: row.etag };
+    }
+
+    applyUpsert(rows, entity, mode) {
+        const key = entityKey(entity.partitionKey, entity.rowKey);
+        const existing = rows.get(key);
+        const row = this.toRow(mode === "Replace" || !existing ? entity : { ...existing, ...entity });
+        rows.set(key, row);
+        return { etag: row.etag };
+    }
+
+    applyDelete(rows, partitionKey, rowKey, options) {
+        const key = entityKey(partitionKey, rowKey);
+        if (!rows.has(key)) {
+            throw tableError(404, "ResourceNotFound", "The specified resource does not exist.");
+        }
+        checkEtag(rows.get(key), options);
+        rows.delete(key);
+        return {};
+    }
+
+    // Every write stamps a new timestamp and etag, like Azure Table Storage
+    toRow(entity) {
+        const timestamp = new Date().toISOString();
+        return { ...entity, timestamp, etag: `W/"datetime'${timestamp}'-${crypto.randomUUID()}"` };
+    }
+}
+
+module.exports = {
+    TABLES,
+    getTableClient,
+    getReadyTableClient,
+    getStorageBackend,
+    isNotFound,
+    escapeODataString,
+    resetMemoryTables
+};
@@ -0,0 +1,109 @@
+// Runs a set of table writes as Table Storage transactions. A transaction can
+// only touch one partition and at most 100 entities, so steps are grouped by
+// partition and chunked; anything spanning transactions is made consistent by
+// undoing the steps that did apply.
+//
+// Each step is { key, action, undo } where action/undo use the
+// TableClient.submitTransaction form, e.g. ["update", entity, "Replace", { etag }],
+// and key identifies the caller's operation (one operation may need several
+// steps, e.g. moving a row between partitions). submitTransaction sends every
+// delete without its etag, so a delete with a condition, ["delete", entity,
+// { etag }], is not put in a transaction: it is applied on its own with
+// deleteEntity, which does check the etag, after the transactions.
+
+const MAX_TRANSACTION_SIZE = 100;
+
+function isConditionalDelete(action) {
+    return action[0] === "delete" && Boolean(action[2]?.etag);
+}
+
+// Transactions of up to 100 steps of one partition, then each conditional
+// delete as a chunk of its own
+function chunkSteps(steps) {
+    const partitions = new Map();
+    const conditionalDeletes = [];
+    for (const step of steps) {
+        if (isConditionalDelete(step.action)) {
+            conditionalDeletes.push([step]);
+            continue;
+        }
+        const partitionKey = step.action[1].partitionKey;
+        if (!partitions.has(partitionKey)) {
+            partitions.set(partitionKey, []);
+        }
+        partitions.get(partitionKey).push(step);
+    }
+
+    const chunks = [];
+    for (const partitionSteps of partitions.values()) {
+        for (let i = 0; i < partitionSteps.length; i += MAX_TRANSACTION_SIZE) {
+            chunks.push(partitionSteps.slice(i, i + MAX_TRANSACTION_SIZE));
+        }
+    }
+    return [...chunks, ...conditionalDeletes];
+}
+
+// Apply a single action outside a transaction (used to undo steps)
+async function applyAction(client, [type, entity, modeOrOptions, options]) {
+    switch (type) {
+        case "create": return client.createEntity(entity);
+        case "update": return client.updateEntity(entity, modeOrOptions, options);
+        case "upsert": return client.upsertEntity(entity, modeOrOptions);
+        case "delete": return client.deleteEntity(entity.partitionKey, entity.rowKey, modeOrOptions);
+    }
+    throw new Error(`Unknown table action "${type}"`);
+}
+
+// Submit the steps. With atomic: true the first failed transaction stops the run
+// and every applied step is undone; otherwise only the other steps of a failed
+// operation are undone. Returns:
+//   failed     - Map of key -> error for operations that did not apply
+//   etags      - Map of "partitionKey/rowKey" -> new etag for applied writes
+//   rolledBack - true when an atomic run was undone
+//   undoErrors - undo steps that failed (the table may need repair)
+async function runTableTransactions(client, steps, { atomic = false } = {}) {
+    const failed = new Map();
+    const etags = new Map();
+    const applied = [];
+
+    for (const chunk of chunkSteps(steps)) {
+        if (atomic && failed.size > 0) break;
+        // Nothing to delete for an operation whose other steps already failed
+        if (isConditionalDelete(chunk[0].action) && failed.has(chunk[0].key)) continue;
+
+        try {
+            const response = isConditionalDelete(chunk[0].action)
+                ? await applyAction(client, chunk[0].action)
+                : await client.submitTransaction(chunk.map(step => step.action));
+            for (const step of chunk) {
+                const { partitionKey, rowKey } = step.action[1];
+                const etag = response.getResponseForEntity?.(rowKey)?.etag;
+                if (etag) etags.set(`${partitionKey}/${rowKey}`, etag);
+            }
+            applied.push(...chunk);
+        } catch (error) {
+            // A failed transaction (or delete) applies none of its actions
+            for (const step of chunk) {
+                if (!failed.has(step.key)) failed.set(step.key, error);
+            }
+        }
+    }
+
+    const rolledBack = atomic && failed.size > 0;
+    const toUndo = rolledBack ? applied : applied.filter(step => failed.has(step.key));
+    const undoErrors = [];
+    for (const step of toUndo.reverse()) {
+        try {
+            await applyAction(client, step.undo);
+        } catch (error) {
+            undoErrors.push({ key: step.key, error });
+        }
+    }
+
+    return { failed, etags, rolledBack, undoErrors };
+}
+
+module.exports = {
+    MAX_TRANSACTION_SIZE,
+    runTableTransactions
+};
@@ -0,0 +1,100 @@
+// Event timezone handling. Times are stored in UTC; the event timezone (an IANA
+// zone such as "America/New_York") decides how wall-clock times entered by
+// organisers are read, and is what the public site shows by default.
+
+const DEFAULT_EVENT_TIMEZONE = "America/New_York";
+
+// A fixed UTC offset such as "-05:00" or "+0530"
+const OFFSET_PATTERN = /^[+-]\d{2}:?\d{2}$/;
+
+function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== "string" || timeZone === "") return false;
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// The configured event timezone (EVENT_TIMEZONE), falling back to the default
+// when it is missing or not a zone this runtime knows
+function getEventTimezone() {
+    const configured = process.env.EVENT_TIMEZONE;
+    return isValidTimeZone(configured) ? configured : DEFAULT_EVENT_TIMEZONE;
+}
+
+// Offset of timeZone from UTC at the given instant, in milliseconds
+function getTimezoneOffset(timeZone, timestamp) {
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric", month: "2-digit", day: "2-digit",
+        hour: "2-digit", minute: "2-digit", second: "2-digit"
+    });
+    for (const { type, value } of formatter.formatToParts(new Date(timestamp))) {
+        parts[type] = Number(value);
+    }
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+// Calendar date ("2026-02-05") at the given instant in timeZone
+function localDate(timestamp, timeZone) {
+    return new Date(timestamp + getTimezoneOffset(timeZone, timestamp)).toISOString().slice(0, 10);
+}
+
+// Read a wall-clock time ("2026-02-05T10:00", with seconds, or a bare date for
+// midnight) in timeZone and return the UTC Date. Uses the zone's rules for that
+// date, so DST is handled: times repeated when clocks go back resolve to the
+// first occurrence, and times skipped when clocks go forward move forward by
+// the gap (02:30 -> 03:30). Returns an invalid Date for unreadable input.
+function zonedTimeToUtc(localDateTime, timeZone) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(localDateTime || "");
+    if (!match) return new Date(NaN);
+
+    const [year, month, day, hour, minute, second] = match.slice(1).map(value => Number(value || 0));
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+    const firstOffset = getTimezoneOffset(timeZone, wallClock);
+    const firstGuess = wallClock - firstOffset;
+    const secondOffset = getTimezoneOffset(timeZone, firstGuess);
+    if (secondOffset === firstOffset) return new Date(firstGuess);
+
+    const secondGuess = wallClock - secondOffset;
+    if (getTimezoneOffset(timeZone, secondGuess) === secondOffset) return new Date(secondGuess);
+
+    // The wall-clock time does not exist in this zone (DST gap)
+    return new Date(firstGuess);
+}
+
+// Read a start time that may or may not carry its own zone. Values with "Z" or
+// an offset are taken as-is; bare wall-clock times are read in timeZone, which
+// may be an IANA zone or a fixed offset like "-05:00".
+function parseEventDateTime(value, timeZone) {
+    const text = String(value || "");
+    if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+        return new Date(text);
+    }
+    if (OFFSET_PATTERN.test(timeZone)) {
+        return new Date(text + timeZone);
+    }
+    return zonedTimeToUtc(text, timeZone);
+}
+
+// True for an IANA zone or a fixed offset accepted by parseEventDateTime
+function isValidTimeZoneOrOffset(value) {
+    return OFFSET_PATTERN.test(value || "") || isValidTimeZone(value);
+}
+
+module.exports = {
+    DEFAULT_EVENT_TIMEZONE,
+    isValidTimeZone,
+    isValidTimeZoneOrOffset,
+    getEventTimezone,
+    getTimezoneOffset,
+    localDate,
+    zonedTimeToUtc,
+    parseEventDateTime
+};
@@ -0,0 +1,209 @@
+const storage = require("./storage");
+const { getEventTableClient } = require("./events");
+const { getScheduleEntity, indexScheduleEntity } = require("./scheduleIndex");
+const {
+    getSpeakerSessionIds,
+    getSessionSpeakerIds,
+    addSpeakerSessions,
+    findMissingSessions
+} = require("./sessionSpeakers");
+
+// Deleted sessions and speakers, kept for a while so a delete can be undone.
+// One row per deleted record:
+//   partitionKey "session" | "speaker", rowKey its id
+//   name, deletedAt, deletedBy, expiresAt
+//   data  - JSON of the stored entity, written back unchanged by a restore
+//   links - JSON ids it was linked to (a session's speakers, a speaker's sessions)
+// Deleting a record with the same id again replaces its row. Rows past
+// expiresAt cannot be restored and are removed when the trash is listed.
+// Like the links, each schedule table has its own trash
+// ("VideoSchedule" -> "VideoScheduleTrash").
+const TRASH_TYPES = ["session", "speaker"];
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SPEAKER_PARTITION = "speaker";
+
+// Stored fields holding JSON arrays, parsed for API responses
+const LIST_FIELDS = {
+    session: ["tags"],
+    speaker: ["badges", "aliases"]
+};
+
+function getScheduleClient(eventId) {
+    return getEventTableClient(storage.TABLES.schedule, eventId);
+}
+
+function getSpeakersClient(eventId) {
+    return getEventTableClient(storage.TABLES.speakers, eventId);
+}
+
+function getTrashClient(eventId) {
+    return storage.getReadyTableClient(`${getScheduleClient(eventId).tableName}Trash`);
+}
+
+// Days a deleted record can be restored: TRASH_RETENTION_DAYS, or 30
+function getTrashRetentionDays() {
+    const days = Number(process.env.TRASH_RETENTION_DAYS);
+    return Number.isInteger(days) && days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+function isExpired(row) {
+    return row.expiresAt <= new Date().toISOString();
+}
+
+// Shape a trash row for API responses. item is the record as it was stored,
+// with its id and list fields as arrays.
+function toTrashEntry(row) {
+    const { partitionKey, rowKey, ...fields } = JSON.parse(row.data);
+    for (const field of LIST_FIELDS[row.partitionKey]) {
+        if (fields[field] !== undefined) fields[field] = JSON.parse(fields[field] || "[]");
+    }
+    return {
+        type: row.partitionKey,
+        id: row.rowKey,
+        name: row.name,
+        deletedAt: row.deletedAt,
+        deletedBy: row.deletedBy,
+        expiresAt: row.expiresAt,
+        links: JSON.parse(row.links || "[]"),
+        item: { id: row.rowKey, ...fields }
+    };
+}
+
+// Keep a copy of a session or speaker that is about to be deleted, with what
+// it is linked to. deletedBy is the login of the user deleting it. Returns
+// the trash entry.
+async function addToTrash(eventId, type, entity, deletedBy) {
+    const scheduleClient = getScheduleClient(eventId);
+    const links = type === "session"
+        ? await getSessionSpeakerIds(scheduleClient, entity.rowKey)
+        : await getSpeakerSessionIds(scheduleClient, entity.rowKey);
+    const { etag, timestamp, ...data } = entity;
+    const deletedAt = new Date();
+    const row = {
+        partitionKey: type,
+        rowKey: entity.rowKey,
+        name: (type === "session" ? entity.title : entity.name) || '',
+        deletedAt: deletedAt.toISOString(),
+        deletedBy,
+        expiresAt: new Date(deletedAt.getTime() + getTrashRetentionDays() * DAY_MS).toISOString(),
+        data: JSON.stringify(data),
+        links: JSON.stringify(links)
+    };
+
+    const client = await getTrashClient(eventId);
+    await client.upsertEntity(row, "Replace");
+    return toTrashEntry(row);
+}
+
+// Remove a record from the trash for good. Returns false when it was not there.
+async function removeFromTrash(eventId, type, id) {
+    const client = await getTrashClient(eventId);
+    try {
+        await client.deleteEntity(type, id);
+        return true;
+    } catch (error) {
+        if (!storage.isNotFound(error)) throw error;
+    }
+    return false;
+}
+
+// Trash row for a record, or null when it is not there or has expired
+async function findTrashRow(client, type, id) {
+    try {
+        const row = await client.getEntity(type, id);
+        return isExpired(row) ? null : row;
+    } catch (error) {
+        if (!storage.isNotFound(error)) throw error;
+    }
+    return null;
+}
+
+// Trash entry for a record, or null when it is not there or has expired
+async function findTrashEntry(eventId, type, id) {
+    const row = await findTrashRow(await getTrashClient(eventId), type, id);
+    return row ? toTrashEntry(row) : null;
+}
+
+// Records that can still be restored, most recently deleted first; type
+// limits them to sessions or speakers. Expired rows are removed.
+async function listTrash(eventId, type) {
+    const client = await getTrashClient(eventId);
+    const options = type ? { queryOptions: { filter: `PartitionKey eq '${type}'` } } : undefined;
+    const entries = [];
+    const expired = [];
+    for await (const row of client.listEntities(options)) {
+        if (isExpired(row)) {
+            expired.push(row);
+        } else {
+            entries.push(toTrashEntry(row));
+        }
+    }
+    for (const row of expired) {
+        await removeFromTrash(eventId, row.partitionKey, row.rowKey);
+    }
+    return entries.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+async function speakerExists(speakersClient, id) {
+    try {
+        await speakersClient.getEntity(SPEAKER_PARTITION, id);
+        return true;
+    } catch (error) {
+        if (!storage.isNotFound(error)) throw error;
+    }
+    return false;
+}
+
+// Put a record back as it was stored, linked again to those of its sessions
+// or speakers that still exist, and take it out of the trash. Returns
+// { entry, links } with the ids linked again, or { status, error } when it is
+// not in the trash or its id has been used since it was deleted.
+async function restoreFromTrash(eventId, type, id) {
+    const client = await getTrashClient(eventId);
+    const row = await findTrashRow(client, type, id);
+    if (!row) {
+        return { status: 404, error: "Not found in the trash" };
+    }
+
+    const entity = JSON.parse(row.data);
+    const trashedLinks = JSON.parse(row.links || "[]");
+    const scheduleClient = getScheduleClient(eventId);
+    const speakersClient = getSpeakersClient(eventId);
+    const links = [];
+
+    if (type === "session") {
+        if (await getScheduleEntity(scheduleClient, id)) {
+            return { status: 409, error: "A schedule item with this id already exists" };
+        }
+        await scheduleClient.createEntity(entity);
+        await indexScheduleEntity(scheduleClient, entity);
+        for (const speakerId of trashedLinks) {
+            if (!(await speakerExists(speakersClient, speakerId))) continue;
+            await addSpeakerSessions(scheduleClient, speakerId, [id]);
+            links.push(speakerId);
+        }
+    } else {
+        if (await speakerExists(speakersClient, id)) {
+            return { status: 409, error: "A speaker with this id already exists" };
+        }
+        await speakersClient.createEntity(entity);
+        const missing = await findMissingSessions(scheduleClient, trashedLinks);
+        links.push(...trashedLinks.filter(sessionId => !missing.includes(sessionId)));
+        await addSpeakerSessions(scheduleClient, id, links);
+    }
+
+    await removeFromTrash(eventId, type, id);
+    return { entry: toTrashEntry(row), links };
+}
+
+module.exports = {
+    TRASH_TYPES,
+    getTrashRetentionDays,
+    addToTrash,
+    removeFromTrash,
+    findTrashEntry,
+    listTrash,
+    restoreFromTrash
+};
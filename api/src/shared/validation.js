@@ -0,0 +1,188 @@
+// Declared shapes for the entities the API writes. Each field rule supports:
+//   type      - "string", "url", "datetime", "date", "timezone", "integer" or "stringArray"
+//   required  - must be present and non-empty
+//   maxLength - maximum string length (or array length for stringArray)
+//   itemMaxLength - maximum length of each string in a stringArray
+//   min       - minimum value for integers
+//   pattern   - RegExp the string must match, with patternMessage as the error
+
+const { isValidTimeZone } = require("./timezone");
+const { errorResponse } = require("./errors");
+
+const YOUTUBE_VIDEO_ID = /^[A-Za-z0-9_-]{11}$/;
+
+// ISO 8601 date-time with an explicit offset, e.g. 2026-02-05T15:00:00.000Z
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/;
+
+// Calendar date, e.g. 2026-02-05
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const SESSION_TYPES = ["keynote", "talk", "panel", "break", "sponsor"];
+const SESSION_TYPE = new RegExp(`^(${SESSION_TYPES.join("|")})$`);
+
+// Ids a caller may choose (batch and CSV imports, backups) must be safe table
+// keys and safe in the pages' markup, like generated ones: sessions
+// sess_<timestamp>_<random>, speakers <name>-<random>
+const SESSION_ID = /^[A-Za-z0-9_-]{1,100}$/;
+const SPEAKER_ID = /^[a-z0-9][a-z0-9-]{0,99}$/;
+
+// Event ids become part of table names, so only lowercase letters and digits
+const EVENT_ID = /^[a-z][a-z0-9]{2,31}$/;
+
+const SCHEDULE_ITEM_SCHEMA = {
+    videoId: { type: "string", required: true, pattern: YOUTUBE_VIDEO_ID, patternMessage: "must be an 11-character YouTube video ID" },
+    title: { type: "string", required: true, maxLength: 200 },
+    description: { type: "string", maxLength: 5000 },
+    url: { type: "url", maxLength: 2048 },
+    startTime: { type: "datetime", required: true },
+    duration: { type: "integer", min: 0 },
+    // The stream or room; sessions without one run across every track (keynotes, breaks)
+    track: { type: "string", maxLength: 100 },
+    sessionType: { type: "string", pattern: SESSION_TYPE, patternMessage: "must be keynote, talk, panel, break or sponsor" },
+    tags: { type: "stringArray", maxLength: 20, itemMaxLength: 50 }
+};
+
+const SPEAKER_SCHEMA = {
+    name: { type: "string", required: true, maxLength: 100 },
+    title: { type: "string", maxLength: 150 },
+    company: { type: "string", maxLength: 150 },
+    bio: { type: "string", maxLength: 5000 },
+    // A bare filename under /images/speakers/ - no path separators
+    headshotFile: { type: "string", maxLength: 200, pattern: /^[^/\\]+$/, patternMessage: "must be a filename without a path" },
+    // As returned by POST /api/headshots: a blob URL, or /api/headshots/... on local backends
+    headshotUrl: { type: "string", maxLength: 2048, pattern: /^(https?:\/\/|\/(?!\/))\S+$/, patternMessage: "must be an http(s) URL or a path starting with /" },
+    linkedin: { type: "url", maxLength: 2048 },
+    twitter: { type: "url", maxLength: 2048 },
+    github: { type: "url", maxLength: 2048 },
+    website: { type: "url", maxLength: 2048 },
+    bluesky: { type: "url", maxLength: 2048 },
+    mastodon: { type: "url", maxLength: 2048 },
+    pronouns: { type: "string", maxLength: 40 },
+    location: { type: "string", maxLength: 100 },
+    // Short labels shown on the speaker card, e.g. "Microsoft MVP"
+    badges: { type: "stringArray", maxLength: 10, itemMaxLength: 50 },
+    // Other spellings of the name that speaker extraction should match
+    aliases: { type: "stringArray", maxLength: 20, itemMaxLength: 100 },
+    sessionIds: { type: "stringArray", maxLength: 200, itemMaxLength: 100 }
+};
+
+const EVENT_SCHEMA = {
+    id: { type: "string", required: true, pattern: EVENT_ID, patternMessage: "must be 3-32 lowercase letters and digits, starting with a letter" },
+    name: { type: "string", required: true, maxLength: 150 },
+    startDate: { type: "date" },
+    endDate: { type: "date" },
+    timezone: { type: "timezone" },
+    status: { type: "string", pattern: /^(draft|current|archived)$/, patternMessage: "must be draft, current or archived" },
+    tagline: { type: "string", maxLength: 300 },
+    logoUrl: { type: "url", maxLength: 2048 },
+    primaryColor: { type: "string", pattern: /^#[0-9a-fA-F]{6}$/, patternMessage: "must be a hex color like #0078d4" }
+};
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === "";
+}
+
+function isHttpUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === "https:" || url.protocol === "http:";
+    } catch (e) {
+        return false;
+    }
+}
+
+// Also rejects dates that do not exist, like 2026-02-30
+function isCalendarDate(value) {
+    const date = new Date(`${value}T00:00:00Z`);
+    return ISO_DATE.test(value) && !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// A date-time whose date and time exist. new Date rolls 2026-02-30 over to
+// March 2 and T24:00 over to the next day rather than rejecting them.
+function isCalendarDateTime(value) {
+    return ISO_DATE_TIME.test(value)
+        && isCalendarDate(value.slice(0, 10))
+        && Number(value.slice(11, 13)) < 24
+        && !isNaN(new Date(value).getTime());
+}
+
+function checkField(rule, value) {
+    switch (rule.type) {
+        case "string":
+        case "url":
+        case "datetime":
+        case "date":
+        case "timezone":
+            if (typeof value !== "string") return "must be a string";
+            if (rule.maxLength && value.length > rule.maxLength) return `must be at most ${rule.maxLength} characters`;
+            if (rule.pattern && !rule.pattern.test(value)) return rule.patternMessage || "has an invalid format";
+            if (rule.type === "url" && !isHttpUrl(value)) return "must be an http(s) URL";
+            if (rule.type === "datetime" && !isCalendarDateTime(value)) {
+                return "must be an ISO 8601 date-time with a timezone, e.g. 2026-02-05T15:00:00Z";
+            }
+            if (rule.type === "date" && !isCalendarDate(value)) return "must be a date like 2026-02-05";
+            if (rule.type === "timezone" && !isValidTimeZone(value)) return "must be an IANA timezone like America/New_York";
+            return null;
+        case "integer":
+            if (typeof value !== "number" || !Number.isInteger(value)) return "must be a whole number";
+            if (rule.min !== undefined && value < rule.min) return `must be ${rule.min} or greater`;
+            return null;
+        case "stringArray":
+            if (!Array.isArray(value) || value.some(item => typeof item !== "string")) return "must be an array of strings";
+            if (rule.maxLength && value.length > rule.maxLength) return `must have at most ${rule.maxLength} items`;
+            if (rule.itemMaxLength && value.some(item => item.length > rule.itemMaxLength)) {
+                return `must have items of at most ${rule.itemMaxLength} characters`;
+            }
+            return null;
+    }
+    return null;
+}
+
+// Validate data against a schema and return a list of { field, message }.
+// With partial: true (PATCH), fields that are absent are not checked, but a
+// required field sent as null or "" is still an error since it cannot be cleared.
+function validate(schema, data, { partial = false } = {}) {
+    const errors = [];
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+        return [{ field: "body", message: "must be a JSON object" }];
+    }
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const value = data[field];
+        if (partial && value === undefined) {
+            continue;
+        }
+        if (isEmpty(value)) {
+            if (rule.required) {
+                errors.push({ field, message: partial ? "is required and cannot be cleared" : "is required" });
+            }
+            continue;
+        }
+
+        const message = checkField(rule, value);
+        if (message) {
+            errors.push({ field, message });
+        }
+    }
+    return errors;
+}
+
+function validationErrorResponse(errors) {
+    return errorResponse(400, "Validation failed", { code: "validation_failed", fields: errors });
+}
+
+// One-line summary used for per-row import errors
+function formatValidationErrors(errors) {
+    return errors.map(e => `${e.field} ${e.message}`).join("; ");
+}
+
+module.exports = {
+    SESSION_ID,
+    SPEAKER_ID,
+    SCHEDULE_ITEM_SCHEMA,
+    SPEAKER_SCHEMA,
+    EVENT_SCHEMA,
+    validate,
+    validationErrorResponse,
+    formatValidationErrors
+};
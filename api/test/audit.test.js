@@ -0,0 +1,186 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { TABLES, resetStorage, createRequest, createContext, signedIn, seed, listRows } = require("./helpers");
+const audit = require("../src/functions/audit");
+const schedule = require("../src/functions/schedule");
+const speakers = require("../src/functions/speakers");
+const events = require("../src/functions/events");
+
+const EDITOR = signedIn("Editor@Contoso.com");
+
+function item(overrides = {}) {
+    return {
+        videoId: "dQw4w9WgXcQ",
+        title: "Keynote",
+        startTime: "2026-02-05T15:00:00.000Z",
+        duration: 1800,
+        ...overrides
+    };
+}
+
+async function auditLog(query = {}, params = {}) {
+    const response = await audit.getAuditLog(createRequest({ query, params }), createContext());
+    assert.equal(response.status, 200);
+    return response.jsonBody;
+}
+
+describe("audit log", () => {
+    let context;
+
+    beforeEach(() => {
+        resetStorage();
+        context = createContext();
+    });
+
+    it("records who changed a session, with the values before and after", async () => {
+        const created = await schedule.addScheduleItem(createRequest({ method: "POST", headers: EDITOR, body: item() }), context);
+        const id = created.jsonBody.id;
+        await schedule.patchScheduleItem(createRequest({
+            method: "PATCH",
+            headers: EDITOR,
+            params: { id },
+            body: { startTime: "2026-02-06T10:00:00.000Z" }
+        }), context);
+        await schedule.deleteScheduleItem(createRequest({ method: "DELETE", headers: EDITOR, params: { id } }), context);
+
+        const { entries, nextCursor } = await auditLog();
+        assert.deepEqual(entries.map(entry => entry.action), ["delete", "update", "create"]);
+        assert.ok(entries.every(entry => entry.actor === "editor@contoso.com" && entry.entityType === "session" && entry.entityId === id));
+        assert.equal(nextCursor, null);
+
+        const [deleted, moved, added] = entries;
+        assert.equal(added.before, null);
+        assert.equal(added.after.title, "Keynote");
+        assert.equal(added.after.etag, undefined);
+        assert.equal(moved.before.startTime, "2026-02-05T15:00:00.000Z");
+        assert.equal(moved.after.startTime, "2026-02-06T10:00:00.000Z");
+        assert.equal(deleted.before.startTime, "2026-02-06T10:00:00.000Z");
+        assert.equal(deleted.after, null);
+        assert.equal(added.source, "api");
+    });
+
+    it("records each row an import or batch writes, and nothing for dry runs", async () => {
+        await seed(TABLES.schedule, [{ partitionKey: "2026-02-05", rowKey: "sess_1", ...item(), tags: "[]" }]);
+        const csv = [
+            "sessionId,videoId,title,startTime,duration",
+            "sess_1,dQw4w9WgXcQ,Keynote (updated),2026-02-05T15:00:00.000Z,1800",
+            "sess_2,dQw4w9WgXcQ,Closing,2026-02-05T17:00:00.000Z,1800"
+        ].join("\n");
+
+        await schedule.importScheduleFromCsv(createRequest({ method: "POST", body: csv, query: { dryRun: "true" } }), context);
+        assert.deepEqual((await auditLog()).entries, []);
+
+        await schedule.importScheduleFromCsv(createRequest({ method: "POST", headers: EDITOR, body: csv }), context);
+        await schedule.scheduleBatch(createRequest({
+            method: "POST",
+            headers: EDITOR,
+            body: { operations: [{ op: "delete", id: "sess_2" }] }
+        }), context);
+
+        const { entries } = await auditLog();
+        assert.deepEqual(
+            entries.map(entry => [entry.source, entry.action, entry.entityId]).sort(),
+            [["batch", "delete", "sess_2"], ["import", "create", "sess_2"], ["import", "update", "sess_1"]]
+        );
+        const update = entries.find(entry => entry.action === "update");
+        assert.equal(update.before.title, "Keynote");
+        assert.equal(update.after.title, "Keynote (updated)");
+    });
+
+    it("records speaker changes, imports, extraction and review", async () => {
+        await seed(TABLES.schedule, [{
+            partitionKey: "2026-02-05",
+            rowKey: "sess_1",
+            ...item({ description: "Presented by Jane Doe and The Cloud Team" }),
+            tags: "[]"
+        }]);
+
+        const created = await speakers.addSpeaker(createRequest({ method: "POST", headers: EDITOR, body: { name: "Rick Claus" } }), context);
+        await speakers.importSpeakers(createRequest({
+            method: "POST",
+            headers: EDITOR,
+            body: JSON.stringify([{ id: created.jsonBody.id, company: "Contoso" }])
+        }), context);
+        await speakers.extractSpeakers(createRequest({ method: "POST", headers: EDITOR }), context);
+        const queue = (await speakers.getSpeakerProposals(createRequest(), context)).jsonBody.proposals;
+        await speakers.reviewSpeakerProposals(createRequest({
+            method: "POST",
+            headers: EDITOR,
+            body: { decisions: queue.map(proposal => ({ id: proposal.id, decision: proposal.name === "Jane Doe" ? "accept" : "reject" })) }
+        }), context);
+        await speakers.deleteSpeaker(createRequest({ method: "DELETE", headers: EDITOR, params: { id: created.jsonBody.id } }), context);
+
+        const { entries } = await auditLog();
+        assert.deepEqual(entries.map(entry => [entry.source, entry.action, entry.entityType]).reverse(), [
+            ["api", "create", "speaker"],
+            ["import", "update", "speaker"],
+            ["extract", "extract", "proposal"],
+            ["review", "create", "speaker"],
+            ["review", "reject", "proposal"],
+            ["api", "delete", "speaker"]
+        ]);
+        const imported = entries.find(entry => entry.source === "import");
+        assert.equal(imported.before.company, "");
+        assert.equal(imported.after.company, "Contoso");
+        const accepted = entries.find(entry => entry.source === "review" && entry.action === "create");
+        assert.equal(accepted.after.name, "Jane Doe");
+        assert.deepEqual(accepted.after.sessionIds, ["sess_1"]);
+    });
+
+    it("keeps each event's log apart", async () => {
+        await events.addEvent(createRequest({ method: "POST", headers: EDITOR, body: { id: "acu2027", name: "ACU 2027" } }), context);
+        await schedule.addScheduleItem(createRequest({ method: "POST", headers: EDITOR, params: { eventId: "acu2027" }, body: item() }), context);
+
+        assert.deepEqual((await auditLog()).entries, []);
+        const { entries } = await auditLog({}, { eventId: "acu2027" });
+        assert.deepEqual(entries.map(entry => [entry.entityType, entry.action, entry.entityId === "acu2027"]), [
+            ["session", "create", false],
+            ["event", "create", true]
+        ]);
+    });
+
+    it("filters and pages entries", async () => {
+        for (const title of ["One", "Two", "Three"]) {
+            await schedule.addScheduleItem(createRequest({ method: "POST", headers: EDITOR, body: item({ title }) }), context);
+        }
+        await speakers.addSpeaker(createRequest({ method: "POST", headers: signedIn("other@contoso.com"), body: { name: "Rick Claus" } }), context);
+
+        const sessions = await auditLog({ entityType: "session" });
+        assert.deepEqual(sessions.entries.map(entry => entry.after.title), ["Three", "Two", "One"]);
+
+        const byActor = await auditLog({ actor: "Other@Contoso.com" });
+        assert.deepEqual(byActor.entries.map(entry => entry.entityType), ["speaker"]);
+
+        const firstPage = await auditLog({ entityType: "session", limit: "2" });
+        assert.equal(firstPage.entries.length, 2);
+        assert.ok(firstPage.nextCursor);
+        const secondPage = await auditLog({ entityType: "session", limit: "2", cursor: firstPage.nextCursor });
+        assert.deepEqual(secondPage.entries.map(entry => entry.after.title), ["One"]);
+        assert.equal(secondPage.nextCursor, null);
+
+        const today = new Date().toISOString().slice(0, 10);
+        assert.equal((await auditLog({ from: today, to: today })).entries.length, 4);
+        assert.equal((await auditLog({ to: "2000-01-01" })).entries.length, 0);
+    });
+
+    it("rejects invalid filters", async () => {
+        const response = await audit.getAuditLog(createRequest({
+            query: { entityType: "widget", from: "yesterday", limit: "1000", cursor: "x" }
+        }), context);
+
+        assert.equal(response.status, 400);
+        assert.deepEqual(response.jsonBody.fields.map(error => error.field), ["entityType", "from", "limit", "cursor"]);
+    });
+
+    it("is append-only: nothing in the API updates or deletes entries", async () => {
+        await speakers.addSpeaker(createRequest({ method: "POST", headers: EDITOR, body: { name: "Rick Claus" } }), context);
+        const before = await listRows(TABLES.audit);
+
+        await speakers.addSpeaker(createRequest({ method: "POST", headers: EDITOR, body: { name: "Jane Doe" } }), context);
+        const after = await listRows(TABLES.audit);
+
+        assert.equal(after.length, 2);
+        assert.deepEqual(after.filter(row => row.rowKey === before[0].rowKey), before);
+    });
+});
@@ -0,0 +1,117 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { TABLES, resetStorage, createRequest, createContext, signedIn, seed } = require("./helpers");
+const { getClientPrincipal, resolveRole, authorize } = require("../src/shared/auth");
+
+function roleRow(user, role) {
+    return { partitionKey: "user", rowKey: user, role };
+}
+
+describe("getClientPrincipal", () => {
+    it("decodes the header Static Web Apps sends", () => {
+        const principal = getClientPrincipal(createRequest({ headers: signedIn("jane@contoso.com") }));
+        assert.equal(principal.userDetails, "jane@contoso.com");
+        assert.equal(principal.identityProvider, "aad");
+    });
+
+    it("ignores a principal header that did not come through Static Web Apps", async () => {
+        const forged = Buffer.from(JSON.stringify({ userDetails: "mallory@example.com", userRoles: ["admin"] })).toString("base64");
+        const handler = authorize("editor", async () => ({ status: 200 }));
+
+        for (const headers of [
+            { "x-ms-client-principal": forged },
+            { "x-ms-client-principal": forged, "x-client-principal-secret": "guess" }
+        ]) {
+            const request = createRequest({ headers });
+            assert.equal(getClientPrincipal(request), null);
+            assert.equal((await handler(request, createContext())).status, 401);
+        }
+    });
+
+    it("fails closed when the deployment does not say the header can be trusted", () => {
+        const secret = process.env.CLIENT_PRINCIPAL_SECRET;
+        const headers = signedIn("jane@contoso.com", ["authenticated", "admin"]);
+        try {
+            delete process.env.CLIENT_PRINCIPAL_SECRET;
+            assert.equal(getClientPrincipal(createRequest({ headers })), null);
+
+            // Reachable only through Static Web Apps: the login, but not its custom roles
+            process.env.TRUST_CLIENT_PRINCIPAL = "true";
+            const principal = getClientPrincipal(createRequest({ headers }));
+            assert.equal(principal.userDetails, "jane@contoso.com");
+            assert.deepEqual(principal.userRoles, []);
+        } finally {
+            process.env.CLIENT_PRINCIPAL_SECRET = secret;
+            delete process.env.TRUST_CLIENT_PRINCIPAL;
+        }
+    });
+
+    it("returns null without a usable header", () => {
+        assert.equal(getClientPrincipal(createRequest()), null);
+        assert.equal(getClientPrincipal(createRequest({ headers: { "x-ms-client-principal": "not base64 json" } })), null);
+        const anonymous = Buffer.from(JSON.stringify({ userRoles: ["anonymous"] })).toString("base64");
+        assert.equal(getClientPrincipal(createRequest({ headers: { "x-ms-client-principal": anonymous } })), null);
+    });
+});
+
+describe("authorize", () => {
+    let context;
+    const handler = authorize("editor", async () => ({ status: 200, jsonBody: { ok: true } }));
+
+    beforeEach(() => {
+        resetStorage();
+        context = createContext();
+        delete process.env.ADMIN_USERS;
+    });
+
+    afterEach(() => {
+        delete process.env.ADMIN_USERS;
+    });
+
+    it("returns 401 when nobody is signed in", async () => {
+        const response = await handler(createRequest(), context);
+        assert.equal(response.status, 401);
+    });
+
+    it("returns 403 naming the role when the user's role is too low", async () => {
+        await seed(TABLES.roles, [roleRow("viewer@contoso.com", "viewer")]);
+
+        const noRole = await handler(createRequest({ headers: signedIn("someone@contoso.com") }), context);
+        assert.equal(noRole.status, 403);
+        assert.deepEqual(noRole.jsonBody, { error: "This requires the editor role", code: "forbidden", requiredRole: "editor", role: null });
+
+        const viewer = await handler(createRequest({ headers: signedIn("viewer@contoso.com") }), context);
+        assert.equal(viewer.status, 403);
+        assert.equal(viewer.jsonBody.role, "viewer");
+    });
+
+    it("runs the handler for the role or a higher one", async () => {
+        await seed(TABLES.roles, [roleRow("editor@contoso.com", "editor"), roleRow("admin@contoso.com", "admin")]);
+
+        // Logins are matched without regard to case
+        assert.equal((await handler(createRequest({ headers: signedIn("Editor@Contoso.com") }), context)).status, 200);
+        assert.equal((await handler(createRequest({ headers: signedIn("admin@contoso.com") }), context)).status, 200);
+    });
+
+    it("takes roles from Static Web Apps and ADMIN_USERS", async () => {
+        process.env.ADMIN_USERS = "owner@contoso.com, second@contoso.com";
+        const request = user => createRequest({ headers: signedIn(user) });
+
+        assert.equal(await resolveRole(getClientPrincipal(request("SECOND@contoso.com"))), "admin");
+        assert.equal((await handler(request("owner@contoso.com"), context)).status, 200);
+
+        const invited = createRequest({ headers: signedIn("guest@contoso.com", ["anonymous", "authenticated", "editor"]) });
+        assert.equal((await handler(invited, context)).status, 200);
+    });
+
+    it("lets anyone through when the role function returns null", async () => {
+        const dispatching = authorize(
+            request => (request.query.action === "import" ? "editor" : null),
+            async () => ({ status: 200 })
+        );
+
+        assert.equal((await dispatching(createRequest(), context)).status, 200);
+        assert.equal((await dispatching(createRequest({ query: { action: "import" } }), context)).status, 401);
+    });
+});
@@ -0,0 +1,248 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { TABLES, resetStorage, createRequest, createContext, seed, listRows } = require("./helpers");
+const backup = require("../src/functions/backup");
+const schedule = require("../src/functions/schedule");
+const speakers = require("../src/functions/speakers");
+const audit = require("../src/functions/audit");
+
+const LINKS_TABLE = `${TABLES.schedule}SpeakerLinks`;
+
+function session(rowKey, startTime, overrides = {}) {
+    return {
+        partitionKey: startTime.slice(0, 10),
+        rowKey,
+        videoId: "dQw4w9WgXcQ",
+        title: `Session ${rowKey}`,
+        description: "",
+        url: "https://www.youtube.com/watch?v=dQw4w9WgXcQ",
+        startTime,
+        duration: 1800,
+        tags: JSON.stringify(["azure"]),
+        ...overrides
+    };
+}
+
+function speaker(rowKey, name, overrides = {}) {
+    return { partitionKey: "speaker", rowKey, name, company: "Contoso", aliases: "[]", ...overrides };
+}
+
+async function download(context) {
+    const response = await backup.getBackup(createRequest(), context);
+    return JSON.parse(response.body);
+}
+
+function restore(archive, query = {}) {
+    return createRequest({ method: "POST", body: JSON.stringify(archive), query });
+}
+
+async function scheduleIds() {
+    return (await listRows(TABLES.schedule)).map(row => row.rowKey).sort();
+}
+
+describe("backup handlers", () => {
+    let context;
+
+    beforeEach(async () => {
+        resetStorage();
+        context = createContext();
+        await seed(TABLES.schedule, [
+            session("sess_1", "2026-02-05T15:00:00.000Z"),
+            session("sess_2", "2026-02-06T15:00:00.000Z")
+        ]);
+        // Ada's sessions are still in the legacy sessionIds column
+        await seed(TABLES.speakers, [
+            speaker("ada-1", "Ada Lovelace", { sessionIds: JSON.stringify(["sess_2"]) }),
+            speaker("rick-1", "Rick Claus", { badges: JSON.stringify(["MVP"]) })
+        ]);
+        await speakers.patchSpeaker(createRequest({ params: { id: "rick-1" }, body: { sessionIds: ["sess_1"] } }), context);
+    });
+
+    describe("getBackup", () => {
+        it("exports items, speakers and links as a versioned archive", async () => {
+            const response = await backup.getBackup(createRequest(), context);
+            const archive = JSON.parse(response.body);
+
+            assert.equal(response.status, 200);
+            assert.match(response.headers["Content-Disposition"], /^attachment; filename="backup-default-.+\.json"$/);
+            assert.equal(archive.format, "acu-event-backup");
+            assert.equal(archive.version, 1);
+            assert.equal(archive.eventId, "default");
+            assert.deepEqual(archive.schedule.map(item => [item.id, item.tags]), [["sess_1", ["azure"]], ["sess_2", ["azure"]]]);
+            assert.deepEqual(archive.speakers[1], {
+                id: "rick-1",
+                name: "Rick Claus",
+                title: "",
+                company: "Contoso",
+                bio: "",
+                headshotFile: "",
+                headshotUrl: "",
+                linkedin: "",
+                twitter: "",
+                github: "",
+                website: "",
+                bluesky: "",
+                mastodon: "",
+                pronouns: "",
+                location: "",
+                badges: ["MVP"],
+                aliases: []
+            });
+            assert.deepEqual(archive.links, [
+                { sessionId: "sess_1", speakerId: "rick-1" },
+                { sessionId: "sess_2", speakerId: "ada-1" }
+            ]);
+        });
+
+        it("returns 404 for an unknown event", async () => {
+            const response = await backup.getBackup(createRequest({ params: { eventId: "nosuch" } }), context);
+
+            assert.equal(response.status, 404);
+        });
+    });
+
+    describe("restoreBackup", () => {
+        // Undo a bad day: a deleted session, an edited and moved one, a new speaker
+        async function makeChanges() {
+            await schedule.deleteScheduleItem(createRequest({ params: { id: "sess_2" } }), context);
+            await schedule.patchScheduleItem(createRequest({
+                params: { id: "sess_1" },
+                body: { title: "Renamed", startTime: "2026-02-07T09:00:00Z" }
+            }), context);
+            await speakers.addSpeaker(createRequest({ body: { name: "Sam Lee", sessionIds: ["sess_1"] } }), context);
+        }
+
+        it("previews a replace without writing anything", async () => {
+            const archive = await download(context);
+            await makeChanges();
+            const before = await listRows(TABLES.schedule);
+
+            const response = await backup.restoreBackup(restore(archive, { dryRun: "true" }), context);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.jsonBody.dryRun, true);
+            assert.deepEqual(response.jsonBody.schedule, { created: 1, updated: 1, unchanged: 0, deleted: 0 });
+            assert.deepEqual(response.jsonBody.speakers, { created: 0, updated: 0, unchanged: 2, deleted: 1 });
+            assert.deepEqual(response.jsonBody.links, { added: 1, removed: 1 });
+            assert.deepEqual(response.jsonBody.changes.schedule, { created: ["sess_2"], updated: ["sess_1"], deleted: [] });
+            assert.deepEqual(await listRows(TABLES.schedule), before);
+        });
+
+        it("replaces the event's data with the archive", async () => {
+            const archive = await download(context);
+            await makeChanges();
+
+            const response = await backup.restoreBackup(restore(archive), context);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.jsonBody.message, "Restore completed");
+            assert.deepEqual((await download(context)).schedule, archive.schedule);
+            assert.deepEqual((await download(context)).speakers, archive.speakers);
+            assert.deepEqual((await download(context)).links, archive.links);
+
+            // The moved session is back in its original day and found through the index
+            const item = await schedule.getScheduleItem(createRequest({ params: { id: "sess_1" } }), context);
+            assert.equal(item.jsonBody.title, "Session sess_1");
+            assert.deepEqual((await listRows(TABLES.schedule)).map(row => row.partitionKey).sort(), ["2026-02-05", "2026-02-06"]);
+        });
+
+        it("records the restore and each record it changed in the audit log", async () => {
+            const archive = await download(context);
+            await makeChanges();
+
+            await backup.restoreBackup(restore(archive), context);
+
+            const { entries } = (await audit.getAuditLog(createRequest({ query: { source: "backup" } }), context)).jsonBody;
+            // Newest first, so the entries of one request list in reverse
+            const samId = entries.find(entry => entry.entityType === "speaker").entityId;
+            assert.deepEqual(entries.map(entry => [entry.action, entry.entityType, entry.entityId]), [
+                ["delete", "speaker", samId],
+                ["update", "session", "sess_1"],
+                ["create", "session", "sess_2"],
+                ["restore", "event", "default"]
+            ]);
+            assert.equal(entries[0].before.name, "Sam Lee");
+            assert.equal(entries[1].before.title, "Renamed");
+            assert.equal(entries[1].after.title, "Session sess_1");
+        });
+
+        it("merges, keeping records that are not in the archive", async () => {
+            const archive = await download(context);
+            await makeChanges();
+
+            const response = await backup.restoreBackup(restore(archive, { mode: "merge" }), context);
+
+            assert.equal(response.status, 200);
+            assert.deepEqual(response.jsonBody.speakers, { created: 0, updated: 0, unchanged: 2, deleted: 0 });
+            assert.deepEqual(await scheduleIds(), ["sess_1", "sess_2"]);
+            const names = (await download(context)).speakers.map(s => s.name);
+            assert.deepEqual(names, ["Ada Lovelace", "Rick Claus", "Sam Lee"]);
+            assert.equal((await listRows(LINKS_TABLE)).length, 6);
+        });
+
+        it("rejects archives it cannot read, before writing anything", async () => {
+            const archive = await download(context);
+
+            const newer = await backup.restoreBackup(restore({ ...archive, version: 2 }), context);
+            const noLinks = await backup.restoreBackup(restore({ ...archive, links: undefined }), context);
+            const mode = await backup.restoreBackup(restore(archive, { mode: "overwrite" }), context);
+
+            assert.equal(newer.status, 400);
+            assert.match(newer.jsonBody.errors[0], /Unsupported backup version 2/);
+            assert.deepEqual(noLinks.jsonBody.errors, ["links must be an array"]);
+            assert.equal(mode.status, 400);
+            assert.deepEqual(await scheduleIds(), ["sess_1", "sess_2"]);
+        });
+
+        it("skips records it cannot restore and restores the rest", async () => {
+            const archive = await download(context);
+            archive.schedule[0].title = "";
+            archive.schedule[1].title = "Restored";
+            archive.speakers.push({ id: "a/b", name: "Slash" });
+            archive.links.push({ sessionId: "sess_9", speakerId: "rick-1" });
+
+            const response = await backup.restoreBackup(restore(archive), context);
+
+            assert.equal(response.status, 200);
+            assert.deepEqual(response.jsonBody.skipped, [
+                "schedule[0] (sess_1): title is required",
+                "speakers[2] (a/b): id must be lowercase letters, digits and hyphens",
+                "links[0]: must name a sessionId and speakerId restored from the backup",
+                "links[2]: must name a sessionId and speakerId restored from the backup"
+            ]);
+            assert.deepEqual(response.jsonBody.changes.schedule, { created: [], updated: ["sess_2"], deleted: [] });
+            // The skipped session is left as it was, not deleted by the replace
+            const rows = await listRows(TABLES.schedule);
+            assert.deepEqual(rows.map(row => [row.rowKey, row.title]).sort(), [["sess_1", "Session sess_1"], ["sess_2", "Restored"]]);
+        });
+
+        it("skips records whose ids the API would not accept, such as ones with quotes", async () => {
+            const archive = await download(context);
+            archive.schedule.push({ ...archive.schedule[0], id: "x');alert(1)//" });
+            archive.speakers.push({ id: "o'brien", name: "Pat O'Brien" });
+
+            const response = await backup.restoreBackup(restore(archive, { mode: "merge" }), context);
+
+            assert.equal(response.status, 200);
+            assert.deepEqual(response.jsonBody.skipped, [
+                "schedule[2] (x');alert(1)//): id must be up to 100 letters, digits, underscores and hyphens",
+                "speakers[2] (o'brien): id must be lowercase letters, digits and hyphens"
+            ]);
+            assert.deepEqual(await scheduleIds(), ["sess_1", "sess_2"]);
+        });
+
+        it("puts the records a replace deletes in the trash", async () => {
+            const archive = await download(context);
+            await makeChanges();
+            const samId = (await download(context)).speakers.find(s => s.name === "Sam Lee").id;
+
+            await backup.restoreBackup(restore(archive), context);
+
+            // sess_2 is there from the delete in makeChanges; Sam only from the restore
+            const trashed = (await listRows(`${TABLES.schedule}Trash`)).filter(row => row.partitionKey === "speaker");
+            assert.deepEqual(trashed.map(row => [row.rowKey, row.name, row.deletedBy]), [[samId, "Sam Lee", "anonymous"]]);
+            assert.deepEqual(JSON.parse(trashed[0].links), ["sess_1"]);
+        });
+    });
+});
@@ -0,0 +1,76 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { escapeCsvField, stripExcelQuote, parseCsvLine, parseCsv } = require("../src/shared/csv");
+
+describe("escapeCsvField", () => {
+    it("leaves plain values unquoted", () => {
+        assert.equal(escapeCsvField("Azure Networking"), "Azure Networking");
+        assert.equal(escapeCsvField(3600), "3600");
+    });
+
+    it("returns an empty string for null and undefined", () => {
+        assert.equal(escapeCsvField(null), "");
+        assert.equal(escapeCsvField(undefined), "");
+    });
+
+    it("quotes commas, quotes and line breaks", () => {
+        assert.equal(escapeCsvField("a,b"), '"a,b"');
+        assert.equal(escapeCsvField('say "hi"'), '"say ""hi"""');
+        assert.equal(escapeCsvField("line1\nline2"), '"line1\nline2"');
+        assert.equal(escapeCsvField("line1\r\nline2"), '"line1\r\nline2"');
+    });
+
+    it("prefixes formula characters with a single quote", () => {
+        for (const value of ["=SUM(A1)", "+1", "-1", "@cmd"]) {
+            assert.equal(escapeCsvField(value), `"'${value}"`);
+        }
+    });
+});
+
+describe("stripExcelQuote", () => {
+    it("removes the quote added before formula characters", () => {
+        assert.equal(stripExcelQuote("'=SUM(A1)"), "=SUM(A1)");
+        assert.equal(stripExcelQuote("'-1"), "-1");
+    });
+
+    it("keeps other leading quotes", () => {
+        assert.equal(stripExcelQuote("'tis the season"), "'tis the season");
+        assert.equal(stripExcelQuote(""), "");
+    });
+});
+
+describe("parseCsvLine", () => {
+    it("splits simple fields", () => {
+        assert.deepEqual(parseCsvLine("a,b,,c"), ["a", "b", "", "c"]);
+    });
+
+    it("handles quoted commas and escaped quotes", () => {
+        assert.deepEqual(parseCsvLine('"a,b","say ""hi""",c'), ["a,b", 'say "hi"', "c"]);
+    });
+
+    it("strips formula protection from quoted fields", () => {
+        assert.deepEqual(parseCsvLine(`"'=1+1",x`), ["=1+1", "x"]);
+    });
+});
+
+describe("parseCsv", () => {
+    it("splits rows on LF, CRLF and CR and skips blank lines", () => {
+        assert.deepEqual(parseCsv("a,b\r\n1,2\n\n3,4\r5,6\n"), ["a,b", "1,2", "3,4", "5,6"]);
+    });
+
+    it("keeps line breaks inside quoted fields", () => {
+        assert.deepEqual(parseCsv('h1,h2\n"multi\nline",x\n'), ["h1,h2", '"multi\nline",x']);
+    });
+});
+
+describe("CSV round-trip", () => {
+    it("restores the original values after escaping and parsing", () => {
+        const values = ["plain", "comma, inside", 'quote "inside"', "=HYPERLINK(\"x\")", "-5", "multi\nline\r\ntext", ""];
+        const csv = "header\n" + values.map(escapeCsvField).join(",") + "\n";
+
+        const rows = parseCsv(csv);
+        assert.equal(rows.length, 2);
+        assert.deepEqual(parseCsvLine(rows[1]), values);
+    });
+});
@@ -0,0 +1,106 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { resetStorage, createRequest, createContext } = require("./helpers");
+const storage = require("../src/shared/storage");
+const { errorResponse, exceptionResponse, withErrorHandling } = require("../src/shared/errors");
+const schedule = require("../src/functions/schedule");
+const speakers = require("../src/functions/speakers");
+
+// An error shaped like the ones @azure/data-tables throws
+function storageError(statusCode, message = "Server failed to authenticate the request. RequestId:4b1c") {
+    return Object.assign(new Error(message), { name: "RestError", statusCode, code: "AuthenticationFailed" });
+}
+
+describe("errors", () => {
+    let context;
+
+    beforeEach(() => {
+        resetStorage();
+        context = { ...createContext(), invocationId: "inv-123" };
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it("builds error bodies with a message and a code for the status", () => {
+        assert.deepEqual(errorResponse(404, "Schedule item not found"), {
+            status: 404,
+            jsonBody: { error: "Schedule item not found", code: "not_found" }
+        });
+        assert.deepEqual(errorResponse(400, "Validation failed", { code: "validation_failed", fields: [] }).jsonBody, {
+            error: "Validation failed",
+            code: "validation_failed",
+            fields: []
+        });
+    });
+
+    it("hides unexpected errors behind a correlation id and logs their details", () => {
+        const response = exceptionResponse(context, "Failed to fetch schedule", storageError(403));
+
+        assert.deepEqual(response, {
+            status: 500,
+            jsonBody: { error: "Failed to fetch schedule", code: "internal_error", correlationId: "inv-123" }
+        });
+        assert.equal(context.logs.length, 1);
+        assert.match(context.logs[0], /^Failed to fetch schedule/);
+    });
+
+    it("keeps the status of storage errors the caller can act on", () => {
+        const cases = [[404, 404, "not_found"], [409, 409, "conflict"], [412, 412, "precondition_failed"], [429, 503, "unavailable"]];
+        for (const [statusCode, status, code] of cases) {
+            const { jsonBody, ...response } = exceptionResponse(context, "Failed to update schedule item", storageError(statusCode));
+            assert.equal(response.status, status);
+            assert.equal(jsonBody.code, code);
+            assert.doesNotMatch(jsonBody.error, /RequestId/);
+        }
+    });
+
+    it("adds the code and correlation id to error responses of wrapped handlers", async () => {
+        const notFound = withErrorHandling(async () => ({ status: 404, jsonBody: { error: "Speaker not found" } }));
+        const ok = withErrorHandling(async () => ({ status: 200, jsonBody: { id: "x" } }));
+        const throws = withErrorHandling(async () => { throw new Error("socket hang up"); });
+
+        assert.deepEqual((await notFound(createRequest(), context)).jsonBody, {
+            error: "Speaker not found",
+            code: "not_found",
+            correlationId: "inv-123"
+        });
+        assert.deepEqual((await ok(createRequest(), context)).jsonBody, { id: "x" });
+        const thrown = await throws(createRequest(), context);
+        assert.equal(thrown.status, 500);
+        assert.equal(thrown.jsonBody.code, "internal_error");
+        assert.doesNotMatch(JSON.stringify(thrown.jsonBody), /socket hang up/);
+    });
+
+    it("makes up one correlation id per invocation when Functions gives none", () => {
+        const plain = createContext();
+        const first = exceptionResponse(plain, "Failed", new Error("x")).jsonBody.correlationId;
+        const second = exceptionResponse(plain, "Failed", new Error("y")).jsonBody.correlationId;
+
+        assert.match(first, /^[0-9a-f-]{36}$/);
+        assert.equal(second, first);
+        assert.notEqual(exceptionResponse(createContext(), "Failed", new Error("z")).jsonBody.correlationId, first);
+    });
+
+    it("answers a body that is not JSON with a 400", async () => {
+        for (const handler of [schedule.addScheduleItem, speakers.addSpeaker]) {
+            const response = await handler(createRequest({ method: "POST", body: '{"title": "Keynote",' }), context);
+
+            assert.equal(response.status, 400);
+            assert.deepEqual(response.jsonBody, { error: "Request body must be valid JSON", code: "invalid_json" });
+        }
+        assert.deepEqual(context.logs, []);
+    });
+
+    it("does not show anonymous callers of the public schedule what storage said", async () => {
+        const failing = () => { throw storageError(403); };
+        mock.method(storage, "getTableClient", tableName => ({ tableName, getEntity: failing, listEntities: failing }));
+
+        const response = await schedule.getSchedule(createRequest(), context);
+
+        assert.equal(response.status, 500);
+        assert.deepEqual(response.jsonBody, { error: "Failed to fetch schedule", code: "internal_error", correlationId: "inv-123" });
+    });
+});
@@ -0,0 +1,214 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { TABLES, resetStorage, createRequest, createContext, signedIn, seed, listRows } = require("./helpers");
+const { registerEventRoute } = require("../src/shared/events");
+const events = require("../src/functions/events");
+const schedule = require("../src/functions/schedule");
+const speakers = require("../src/functions/speakers");
+
+function event(overrides = {}) {
+    return {
+        partitionKey: "event",
+        rowKey: "acu2027",
+        name: "Azure Core Underground 2027",
+        startDate: "2027-02-04",
+        endDate: "2027-02-05",
+        timezone: "Europe/London",
+        status: "current",
+        ...overrides
+    };
+}
+
+describe("events handlers", () => {
+    let context;
+
+    beforeEach(() => {
+        resetStorage();
+        context = createContext();
+    });
+
+    describe("getEvents / getCurrentEvent", () => {
+        it("always includes the default event, which is current until another is", async () => {
+            const before = await events.getCurrentEvent(createRequest(), context);
+            assert.equal(before.jsonBody.id, "default");
+            assert.equal(before.jsonBody.timezone, "America/New_York");
+
+            await seed(TABLES.events, [event(), event({ rowKey: "acu2025", startDate: "2025-02-06", status: "archived" })]);
+
+            const list = await events.getEvents(createRequest(), context);
+            const current = await events.getCurrentEvent(createRequest(), context);
+
+            assert.deepEqual(list.jsonBody.events.map(e => e.id), ["acu2027", "acu2025", "default"]);
+            assert.equal(current.jsonBody.id, "acu2027");
+        });
+
+        it("returns 404 for an unknown event", async () => {
+            const response = await events.getEvent(createRequest({ params: { eventId: "nope123" } }), context);
+            assert.equal(response.status, 404);
+        });
+
+        it("shows draft events only to callers with a role", async () => {
+            await seed(TABLES.events, [event({ status: "draft" })]);
+            await seed(TABLES.roles, [{ partitionKey: "user", rowKey: "viewer@contoso.com", role: "viewer" }]);
+            const viewer = signedIn("viewer@contoso.com");
+
+            const anonymous = await events.getEvents(createRequest(), context);
+            const noRole = await events.getEvents(createRequest({ headers: signedIn("someone@contoso.com") }), context);
+            const withRole = await events.getEvents(createRequest({ headers: viewer }), context);
+
+            assert.deepEqual(anonymous.jsonBody.events.map(e => e.id), ["default"]);
+            assert.deepEqual(noRole.jsonBody.events.map(e => e.id), ["default"]);
+            assert.deepEqual(withRole.jsonBody.events.map(e => e.id), ["acu2027", "default"]);
+            assert.equal((await events.getEvent(createRequest({ params: { eventId: "acu2027" } }), context)).status, 404);
+            assert.equal((await events.getEvent(createRequest({ params: { eventId: "acu2027" }, headers: viewer }), context)).status, 200);
+        });
+
+        it("answers event-scoped routes of a draft with 404 for callers without a role", async () => {
+            await seed(TABLES.events, [event({ status: "draft" })]);
+            await seed(TABLES.roles, [{ partitionKey: "user", rowKey: "viewer@contoso.com", role: "viewer" }]);
+            const routes = {};
+            registerEventRoute({ http: (name, options) => { routes[name] = options; } }, "getThing", {
+                methods: ["GET"],
+                route: "thing",
+                handler: async () => ({ status: 200 })
+            });
+            const request = headers => createRequest({ params: { eventId: "acu2027" }, headers });
+
+            assert.equal((await routes.getThingForEvent.handler(request(), context)).status, 404);
+            assert.equal((await routes.getThingForEvent.handler(request(signedIn("viewer@contoso.com")), context)).status, 200);
+            // The default event is public even as a draft, as the site falls back to it
+            await seed(TABLES.events, [event({ rowKey: "default", status: "draft" })]);
+            assert.equal((await routes.getThing.handler(createRequest(), context)).status, 200);
+            assert.equal((await routes.getThingForEvent.handler(createRequest({ params: { eventId: "default" } }), context)).status, 200);
+        });
+    });
+
+    describe("addEvent", () => {
+        it("creates an event", async () => {
+            const response = await events.addEvent(createRequest({
+                body: { id: "acu2027", name: "ACU 2027", startDate: "2027-02-04", endDate: "2027-02-05", timezone: "Europe/London" }
+            }), context);
+
+            assert.equal(response.status, 201);
+            assert.equal(response.jsonBody.status, "draft");
+            assert.ok(response.jsonBody.etag);
+            const [row] = await listRows(TABLES.events);
+            assert.equal(row.rowKey, "acu2027");
+        });
+
+        it("rejects ids that cannot be table names and end dates before start dates", async () => {
+            const badId = await events.addEvent(createRequest({ body: { id: "ACU-2027", name: "x" } }), context);
+            const badDates = await events.addEvent(createRequest({
+                body: { id: "acu2027", name: "x", startDate: "2027-02-05", endDate: "2027-02-04" }
+            }), context);
+
+            assert.equal(badId.status, 400);
+            assert.deepEqual(badId.jsonBody.fields.map(f => f.field), ["id"]);
+            assert.equal(badDates.status, 400);
+            assert.deepEqual(badDates.jsonBody.fields.map(f => f.field), ["endDate"]);
+        });
+
+        it("rejects the reserved ids current and default", async () => {
+            for (const id of ["current", "default"]) {
+                const response = await events.addEvent(createRequest({ body: { id, name: "x" } }), context);
+
+                assert.equal(response.status, 400);
+                assert.deepEqual(response.jsonBody.fields, [{ field: "id", message: `"${id}" is reserved` }]);
+            }
+            assert.deepEqual(await listRows(TABLES.events), []);
+        });
+
+        it("returns 409 for an existing id", async () => {
+            await seed(TABLES.events, [event()]);
+
+            const response = await events.addEvent(createRequest({ body: { id: "acu2027", name: "Again" } }), context);
+
+            assert.equal(response.status, 409);
+        });
+    });
+
+    describe("updateEvent / patchEvent", () => {
+        it("saves the default event the first time it is edited", async () => {
+            const response = await events.patchEvent(createRequest({
+                params: { eventId: "default" },
+                body: { status: "archived", tagline: "Where it started" }
+            }), context);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.jsonBody.name, "Azure Core Underground 2026");
+            const [row] = await listRows(TABLES.events);
+            assert.equal(row.status, "archived");
+        });
+
+        it("replaces an event and honours If-Match", async () => {
+            await seed(TABLES.events, [event()]);
+            const [row] = await listRows(TABLES.events);
+
+            const stale = await events.updateEvent(createRequest({
+                params: { eventId: "acu2027" },
+                headers: { "If-Match": 'W/"stale"' },
+                body: { name: "Renamed" }
+            }), context);
+            const fresh = await events.updateEvent(createRequest({
+                params: { eventId: "acu2027" },
+                headers: { "If-Match": row.etag },
+                body: { name: "Renamed" }
+            }), context);
+
+            assert.equal(stale.status, 412);
+            assert.equal(fresh.status, 200);
+            const [updated] = await listRows(TABLES.events);
+            assert.equal(updated.name, "Renamed");
+            // PUT is a full replacement
+            assert.equal(updated.timezone, "");
+            assert.equal(updated.status, "draft");
+        });
+    });
+
+    describe("event-scoped schedule and speakers", () => {
+        it("keeps each event's sessions in its own table", async () => {
+            await seed(TABLES.events, [event()]);
+
+            const response = await schedule.addScheduleItem(createRequest({
+                params: { eventId: "acu2027" },
+                body: { videoId: "abcdefghijk", title: "2027 keynote", startTime: "2027-02-04T10:00:00Z" }
+            }), context);
+            const eventSchedule = await schedule.getSchedule(createRequest({ params: { eventId: "acu2027" } }), context);
+            const defaultSchedule = await schedule.getSchedule(createRequest(), context);
+
+            assert.equal(response.status, 201);
+            assert.equal((await listRows(`${TABLES.schedule}acu2027`)).length, 1);
+            assert.equal((await listRows(TABLES.schedule)).length, 0);
+            assert.deepEqual(eventSchedule.jsonBody.schedule.map(s => s.title), ["2027 keynote"]);
+            assert.equal(eventSchedule.jsonBody.eventId, "acu2027");
+            assert.equal(eventSchedule.jsonBody.timezone, "Europe/London");
+            assert.deepEqual(defaultSchedule.jsonBody.schedule, []);
+        });
+
+        it("scopes speakers and extraction to the event", async () => {
+            await seed(TABLES.events, [event()]);
+            await seed(`${TABLES.schedule}acu2027`, [{
+                partitionKey: "2027-02-04",
+                rowKey: "sess_1",
+                videoId: "abcdefghijk",
+                title: "Keynote",
+                description: "Speaker: Jane Doe",
+                startTime: "2027-02-04T10:00:00.000Z",
+                duration: 0
+            }]);
+
+            const response = await speakers.extractSpeakers(createRequest({ params: { eventId: "acu2027" } }), context);
+            await speakers.reviewSpeakerProposals(createRequest({
+                method: "POST",
+                params: { eventId: "acu2027" },
+                body: { decisions: [{ id: "p-jane-doe", decision: "accept" }] }
+            }), context);
+
+            assert.equal(response.jsonBody.proposed, 1);
+            assert.equal((await listRows(`${TABLES.speakers}acu2027Proposals`)).length, 0);
+            assert.deepEqual((await listRows(`${TABLES.speakers}acu2027`)).map(r => r.name), ["Jane Doe"]);
+            assert.equal((await listRows(TABLES.speakers)).length, 0);
+        });
+    });
+});
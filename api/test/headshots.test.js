@@ -0,0 +1,112 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+
+const { resetStorage, createRequest, createContext } = require("./helpers");
+const headshots = require("../src/functions/headshots");
+const speakers = require("../src/functions/speakers");
+
+function image(width, height, format = "jpeg") {
+    return sharp({ create: { width, height, channels: 3, background: "#3366cc" } })
+        .withMetadata({ orientation: 6, exif: { IFD0: { Copyright: "Someone" } } })
+        .toFormat(format)
+        .toBuffer();
+}
+
+function upload(body, contentType = "image/jpeg") {
+    return createRequest({ method: "POST", body, headers: { "Content-Type": contentType } });
+}
+
+describe("headshots handlers", () => {
+    let context;
+
+    beforeEach(() => {
+        resetStorage();
+        context = createContext();
+    });
+
+    describe("uploadHeadshot", () => {
+        it("stores square JPEG and WebP variants without metadata", async () => {
+            const response = await headshots.uploadHeadshot(upload(await image(900, 600)), context);
+
+            assert.equal(response.status, 201);
+            assert.match(response.jsonBody.headshotUrl, /^\/api\/headshots\/[a-f0-9]{16}-400\.jpg$/);
+            assert.deepEqual(
+                response.jsonBody.variants.map(v => `${v.size} ${v.format}`),
+                ["96 jpeg", "96 webp", "200 jpeg", "200 webp", "400 jpeg", "400 webp"]
+            );
+
+            const name = response.jsonBody.variants[3].url.split("/").pop();
+            const served = await headshots.getHeadshot(createRequest({ params: { name } }), context);
+            const metadata = await sharp(served.body).metadata();
+
+            assert.equal(served.headers["Content-Type"], "image/webp");
+            assert.deepEqual([metadata.format, metadata.width, metadata.height], ["webp", 200, 200]);
+            assert.equal(metadata.exif, undefined);
+            assert.equal(metadata.orientation, undefined);
+        });
+
+        it("names variants after the image, so re-uploads get the same URLs", async () => {
+            const data = await image(400, 400, "png");
+
+            const first = await headshots.uploadHeadshot(upload(data, "image/png"), context);
+            const second = await headshots.uploadHeadshot(upload(data, "image/png"), context);
+
+            assert.equal(first.jsonBody.headshotUrl, second.jsonBody.headshotUrl);
+        });
+
+        it("rejects other types, mislabelled files, small images and unreadable data", async () => {
+            const jpeg = await image(400, 400);
+
+            const gif = await headshots.uploadHeadshot(upload(jpeg, "image/gif"), context);
+            const mislabelled = await headshots.uploadHeadshot(upload(jpeg, "image/png"), context);
+            const small = await headshots.uploadHeadshot(upload(await image(150, 300)), context);
+            const garbage = await headshots.uploadHeadshot(upload(Buffer.from("not an image")), context);
+            const empty = await headshots.uploadHeadshot(upload(Buffer.alloc(0)), context);
+
+            assert.equal(gif.status, 415);
+            assert.equal(mislabelled.status, 415);
+            assert.equal(mislabelled.jsonBody.error, "The file is jpeg, not png");
+            assert.equal(small.status, 400);
+            assert.equal(garbage.status, 400);
+            assert.equal(empty.status, 400);
+        });
+
+        it("rejects files over 5 MB before decoding them", async () => {
+            const response = await headshots.uploadHeadshot(upload(Buffer.alloc(5 * 1024 * 1024 + 1)), context);
+
+            assert.equal(response.status, 413);
+        });
+    });
+
+    describe("getHeadshot", () => {
+        it("returns 404 for unknown names and names that are not headshots", async () => {
+            const unknown = await headshots.getHeadshot(createRequest({ params: { name: "0123456789abcdef-400.jpg" } }), context);
+            const invalid = await headshots.getHeadshot(createRequest({ params: { name: "../Speakers.json" } }), context);
+
+            assert.equal(unknown.status, 404);
+            assert.equal(invalid.status, 404);
+        });
+    });
+
+    describe("speaker headshotUrl", () => {
+        it("saves an uploaded URL and rejects protocol-relative or script URLs", async () => {
+            const uploaded = await headshots.uploadHeadshot(upload(await image(400, 400)), context);
+
+            const saved = await speakers.addSpeaker(createRequest({
+                body: { name: "Jane Doe", headshotUrl: uploaded.jsonBody.headshotUrl }
+            }), context);
+            const protocolRelative = await speakers.addSpeaker(createRequest({
+                body: { name: "Jane Doe", headshotUrl: "//evil.example/x.jpg" }
+            }), context);
+            const script = await speakers.addSpeaker(createRequest({
+                body: { name: "Jane Doe", headshotUrl: "javascript:alert(1)" }
+            }), context);
+
+            assert.equal(saved.status, 201);
+            assert.equal(saved.jsonBody.headshotUrl, uploaded.jsonBody.headshotUrl);
+            assert.equal(protocolRelative.status, 400);
+            assert.equal(script.status, 400);
+        });
+    });
+});
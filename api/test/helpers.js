@@ -0,0 +1,91 @@
+// Shared test helpers. Handlers run against the in-memory storage backend and
+// receive plain request objects shaped like the ones wrapRequest() builds.
+process.env.STORAGE_BACKEND = "memory";
+process.env.CLIENT_PRINCIPAL_SECRET = "test-secret";
+
+const storage = require("../src/shared/storage");
+const blobStorage = require("../src/shared/blobStorage");
+
+function createRequest({ body, params = {}, query = {}, method = "GET", headers = {} } = {}) {
+    return {
+        method,
+        params,
+        headers: new Headers(headers),
+        query,
+        json: async () => (typeof body === "string" ? JSON.parse(body) : body),
+        text: async () => (typeof body === "string" ? body : JSON.stringify(body)),
+        arrayBuffer: async () => (Buffer.isBuffer(body) ? body : Buffer.from(body === undefined ? "" : String(body)))
+    };
+}
+
+// Headers a signed-in user's requests arrive with, for createRequest({ headers }):
+// the principal Static Web Apps adds and the secret proving it did
+function signedIn(userDetails, userRoles = ["anonymous", "authenticated"]) {
+    const principal = { identityProvider: "aad", userId: `id-${userDetails}`, userDetails, userRoles };
+    return {
+        "x-ms-client-principal": Buffer.from(JSON.stringify(principal)).toString("base64"),
+        "x-client-principal-secret": process.env.CLIENT_PRINCIPAL_SECRET
+    };
+}
+
+function createContext() {
+    const logs = [];
+    return {
+        logs,
+        log: (...args) => logs.push(args.join(" "))
+    };
+}
+
+// Seed rows straight into a table, bypassing the handlers
+async function seed(tableName, entities) {
+    const client = storage.getTableClient(tableName);
+    for (const entity of entities) {
+        await client.createEntity(entity);
+    }
+}
+
+async function listRows(tableName) {
+    const rows = [];
+    for await (const entity of storage.getTableClient(tableName).listEntities()) {
+        rows.push(entity);
+    }
+    return rows;
+}
+
+// Replace global fetch with a handler; returns the recorded URLs and a restore function
+function stubFetch(handler) {
+    const original = global.fetch;
+    const calls = [];
+    global.fetch = async (url, options) => {
+        calls.push(url);
+        return handler(url, options);
+    };
+    return {
+        calls,
+        restore: () => { global.fetch = original; }
+    };
+}
+
+function jsonResponse(data, status = 200) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        text: async () => JSON.stringify(data),
+        json: async () => data
+    };
+}
+
+module.exports = {
+    TABLES: storage.TABLES,
+    resetStorage: () => {
+        storage.resetMemoryTables();
+        blobStorage.resetMemoryBlobs();
+    },
+    createRequest,
+    createContext,
+    signedIn,
+    seed,
+    listRows,
+    stubFetch,
+    jsonResponse
+};
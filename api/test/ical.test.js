@@ -0,0 +1,75 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { escapeIcsText, foldIcsLine, formatIcsDate, formatIcsDuration, formatIcsUri, buildCalendar } = require("../src/shared/ical");
+
+describe("escapeIcsText", () => {
+    it("escapes backslashes, semicolons, commas and newlines", () => {
+        assert.equal(escapeIcsText("a\\b; c, d\r\ne\nf"), "a\\\\b\\; c\\, d\\ne\\nf");
+    });
+
+    it("returns an empty string for null and undefined", () => {
+        assert.equal(escapeIcsText(null), "");
+        assert.equal(escapeIcsText(undefined), "");
+    });
+});
+
+describe("foldIcsLine", () => {
+    it("leaves short lines alone", () => {
+        assert.equal(foldIcsLine("SUMMARY:Hello"), "SUMMARY:Hello");
+    });
+
+    it("folds long lines at 75 octets without splitting characters", () => {
+        const line = "DESCRIPTION:" + "é".repeat(100);
+        const folded = foldIcsLine(line).split("\r\n");
+
+        assert.ok(folded.length > 1);
+        for (const part of folded) {
+            assert.ok(Buffer.byteLength(part) <= 75);
+        }
+        assert.equal(folded.map((part, i) => i === 0 ? part : part.slice(1)).join(""), line);
+    });
+});
+
+describe("formatIcsDate / formatIcsDuration", () => {
+    it("formats UTC date-times", () => {
+        assert.equal(formatIcsDate("2026-02-05T10:00:00-05:00"), "20260205T150000Z");
+    });
+
+    it("formats durations", () => {
+        assert.equal(formatIcsDuration(5400), "PT1H30M");
+        assert.equal(formatIcsDuration(45), "PT45S");
+        assert.equal(formatIcsDuration(0), "PT0S");
+        assert.equal(formatIcsDuration(undefined), "PT0S");
+    });
+});
+
+describe("buildCalendar", () => {
+    it("builds a CRLF-terminated calendar and skips unreadable start times", () => {
+        const ics = buildCalendar([
+            { sessionId: "sess_1", title: "Keynote", startTime: "2026-02-05T15:00:00Z", duration: 3600, url: "https://example.com/1", categories: ["keynote", "AI, ML"] },
+            { sessionId: "sess_2", title: "Broken", startTime: "not a date" }
+        ], { now: new Date("2026-01-01T00:00:00Z") });
+
+        assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+        const lines = ics.trimEnd().split("\r\n");
+        assert.equal(lines.filter(line => line === "BEGIN:VEVENT").length, 1);
+        assert.ok(lines.includes("DTSTAMP:20260101T000000Z"));
+        assert.ok(lines.includes("DURATION:PT1H"));
+        assert.ok(lines.includes("URL:https://example.com/1"));
+        assert.ok(lines.includes("CATEGORIES:keynote,AI\\, ML"));
+    });
+
+    it("never lets a session URL start a new property", () => {
+        const ics = buildCalendar([
+            { sessionId: "sess_1", title: "Talk", startTime: "2026-02-05T15:00:00Z", url: "https://example.com/a\r\nATTENDEE:mailto:x@example.com" },
+            { sessionId: "sess_2", title: "Other", startTime: "2026-02-05T16:00:00Z", url: "javascript:alert(1)" }
+        ], { now: new Date("2026-01-01T00:00:00Z") });
+
+        const lines = ics.trimEnd().split("\r\n");
+        assert.ok(!lines.some(line => line.startsWith("ATTENDEE")));
+        assert.deepEqual(lines.filter(line => line.startsWith("URL:")), ["URL:https://example.com/aATTENDEE:mailto:x@example.com"]);
+        assert.equal(formatIcsUri("not a url"), null);
+        assert.equal(formatIcsUri("https://example.com/a b"), "https://example.com/a%20b");
+    });
+});
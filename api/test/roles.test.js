@@ -0,0 +1,107 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { TABLES, resetStorage, createRequest, createContext, signedIn, listRows } = require("./helpers");
+const roles = require("../src/functions/roles");
+const audit = require("../src/functions/audit");
+
+const ADMIN = "admin@contoso.com";
+
+function asAdmin(options = {}) {
+    return createRequest({ headers: signedIn(ADMIN), ...options });
+}
+
+describe("roles handlers", () => {
+    let context;
+
+    beforeEach(() => {
+        resetStorage();
+        context = createContext();
+        process.env.ADMIN_USERS = ADMIN;
+    });
+
+    afterEach(() => {
+        delete process.env.ADMIN_USERS;
+    });
+
+    it("reports the signed-in user's role", async () => {
+        const me = await roles.getMyRole(asAdmin(), context);
+        assert.equal(me.status, 200);
+        assert.equal(me.jsonBody.user, ADMIN);
+        assert.equal(me.jsonBody.role, "admin");
+
+        const nobody = await roles.getMyRole(createRequest({ headers: signedIn("new@contoso.com") }), context);
+        assert.equal(nobody.jsonBody.role, null);
+
+        assert.equal((await roles.getMyRole(createRequest(), context)).status, 401);
+    });
+
+    it("assigns, lists and removes roles", async () => {
+        const assigned = await roles.assignRole(asAdmin({
+            method: "PUT",
+            params: { user: "Jane@Contoso.com" },
+            body: { role: "editor" }
+        }), context);
+        assert.equal(assigned.status, 201);
+        assert.deepEqual(
+            (await listRows(TABLES.roles)).map(row => [row.rowKey, row.role, row.assignedBy]),
+            [["jane@contoso.com", "editor", ADMIN]]
+        );
+
+        const me = await roles.getMyRole(createRequest({ headers: signedIn("jane@contoso.com") }), context);
+        assert.equal(me.jsonBody.role, "editor");
+
+        const changed = await roles.assignRole(asAdmin({
+            method: "PUT",
+            params: { user: "jane@contoso.com" },
+            body: { role: "viewer" }
+        }), context);
+        assert.equal(changed.status, 200);
+
+        const list = await roles.getRoles(asAdmin(), context);
+        assert.deepEqual(list.jsonBody.assignments.map(a => [a.user, a.role]), [["jane@contoso.com", "viewer"]]);
+        assert.deepEqual(list.jsonBody.bootstrapAdmins, [ADMIN]);
+
+        const removed = await roles.removeRole(asAdmin({ method: "DELETE", params: { user: "jane@contoso.com" } }), context);
+        assert.equal(removed.status, 200);
+        assert.deepEqual(await listRows(TABLES.roles), []);
+
+        const again = await roles.removeRole(asAdmin({ method: "DELETE", params: { user: "jane@contoso.com" } }), context);
+        assert.equal(again.status, 404);
+    });
+
+    it("records each role change in the audit log", async () => {
+        const assign = role => roles.assignRole(asAdmin({ method: "PUT", params: { user: "jane@contoso.com" }, body: { role } }), context);
+        await assign("editor");
+        await assign("admin");
+        await roles.removeRole(asAdmin({ method: "DELETE", params: { user: "jane@contoso.com" } }), context);
+
+        const { entries } = (await audit.getAuditLog(createRequest({ query: { entityType: "role" } }), context)).jsonBody;
+        assert.deepEqual(entries.map(entry => [entry.action, entry.entityId, entry.actor, entry.before?.role, entry.after?.role]), [
+            ["delete", "jane@contoso.com", ADMIN, "admin", undefined],
+            ["update", "jane@contoso.com", ADMIN, "editor", "admin"],
+            ["create", "jane@contoso.com", ADMIN, undefined, "editor"]
+        ]);
+    });
+
+    it("lists nothing before the first assignment", async () => {
+        const list = await roles.getRoles(asAdmin(), context);
+        assert.equal(list.status, 200);
+        assert.deepEqual(list.jsonBody.assignments, []);
+    });
+
+    it("rejects unknown roles, bad logins and changes to your own role", async () => {
+        const unknownRole = await roles.assignRole(asAdmin({ params: { user: "jane@contoso.com" }, body: { role: "owner" } }), context);
+        assert.equal(unknownRole.status, 400);
+        assert.match(unknownRole.jsonBody.error, /viewer, editor, admin/);
+
+        const badLogin = await roles.assignRole(asAdmin({ params: { user: "jane%23contoso" }, body: { role: "viewer" } }), context);
+        assert.equal(badLogin.status, 400);
+
+        const own = await roles.assignRole(asAdmin({ params: { user: ADMIN }, body: { role: "viewer" } }), context);
+        assert.equal(own.status, 400);
+        assert.equal(own.jsonBody.error, "You cannot change your own role");
+
+        assert.deepEqual(await listRows(TABLES.roles), []);
+    });
+});
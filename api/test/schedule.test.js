@@ -0,0 +1,989 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { TABLES, resetStorage, createRequest, createContext, seed, listRows, stubFetch, jsonResponse } = require("./helpers");
+const schedule = require("../src/functions/schedule");
+const storage = require("../src/shared/storage");
+const { moveScheduleEntity } = require("../src/shared/schedulePartitions");
+
+function session(overrides = {}) {
+    return {
+        partitionKey: "2026-02-05",
+        rowKey: "sess_1",
+        videoId: "dQw4w9WgXcQ",
+        title: "Opening Keynote",
+        description: "Welcome",
+        url: "https://www.youtube.com/watch?v=dQw4w9WgXcQ",
+        startTime: "2026-02-05T15:00:00.000Z",
+        duration: 1800,
+        ...overrides
+    };
+}
+
+describe("schedule handlers", () => {
+    let context;
+
+    beforeEach(() => {
+        resetStorage();
+        context = createContext();
+    });
+
+    describe("getSchedule", () => {
+        it("returns sessions sorted by start time", async () => {
+            await seed(TABLES.schedule, [
+                session({ rowKey: "sess_late", startTime: "2026-02-05T18:00:00.000Z" }),
+                session({ rowKey: "sess_early", startTime: "2026-02-05T14:00:00.000Z" })
+            ]);
+
+            const response = await schedule.getSchedule(createRequest(), context);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.jsonBody.timezone, "America/New_York");
+            assert.deepEqual(response.jsonBody.schedule.map(s => s.id), ["sess_early", "sess_late"]);
+            assert.equal(response.jsonBody.schedule[0].sessionId, "sess_early");
+        });
+
+        it("filters by track, session type and tag and lists every track", async () => {
+            await seed(TABLES.schedule, [
+                session({ rowKey: "sess_keynote", sessionType: "keynote" }),
+                session({ rowKey: "sess_a", track: "Track A", sessionType: "talk", tags: JSON.stringify(["AKS"]), startTime: "2026-02-05T16:00:00.000Z" }),
+                session({ rowKey: "sess_b", track: "Track B", sessionType: "panel", startTime: "2026-02-05T16:00:00.000Z" })
+            ]);
+
+            const all = await schedule.getSchedule(createRequest(), context);
+            const trackA = await schedule.getSchedule(createRequest({ query: { track: "track a" } }), context);
+            const talksAndPanels = await schedule.getSchedule(createRequest({ query: { type: "talk,panel" } }), context);
+            const tagged = await schedule.getSchedule(createRequest({ query: { tag: "aks" } }), context);
+
+            assert.deepEqual(all.jsonBody.tracks, ["Track A", "Track B"]);
+            assert.deepEqual(all.jsonBody.schedule[1].tags, ["AKS"]);
+            // Sessions without a track are on every track
+            assert.deepEqual(trackA.jsonBody.schedule.map(s => s.id), ["sess_keynote", "sess_a"]);
+            assert.deepEqual(trackA.jsonBody.tracks, ["Track A", "Track B"]);
+            assert.deepEqual(talksAndPanels.jsonBody.schedule.map(s => s.id).sort(), ["sess_a", "sess_b"]);
+            assert.deepEqual(tagged.jsonBody.schedule.map(s => s.id), ["sess_a"]);
+        });
+
+        it("reports the configured event timezone", async () => {
+            process.env.EVENT_TIMEZONE = "Europe/Amsterdam";
+            try {
+                const response = await schedule.getSchedule(createRequest(), context);
+                assert.equal(response.jsonBody.timezone, "Europe/Amsterdam");
+            } finally {
+                delete process.env.EVENT_TIMEZONE;
+            }
+        });
+    });
+
+    describe("addScheduleItem", () => {
+        it("creates an item partitioned by start date with a default URL", async () => {
+            const response = await schedule.addScheduleItem(createRequest({
+                body: { videoId: "abcdefghijk", title: "New", startTime: "2026-02-06T16:00:00.000Z", duration: 60 }
+            }), context);
+
+            assert.equal(response.status, 201);
+            assert.match(response.jsonBody.id, /^sess_[a-z0-9]+_[a-z0-9]+$/);
+
+            const [row] = await listRows(TABLES.schedule);
+            assert.equal(row.rowKey, response.jsonBody.id);
+            assert.equal(row.partitionKey, "2026-02-06");
+            assert.equal(row.url, "https://www.youtube.com/watch?v=abcdefghijk");
+            assert.equal(row.description, "");
+        });
+    });
+
+    describe("addScheduleItem validation", () => {
+        it("returns 400 with field errors for an invalid item", async () => {
+            const response = await schedule.addScheduleItem(createRequest({
+                body: { videoId: "short", startTime: "tomorrow", duration: -5, url: "javascript:alert(1)" }
+            }), context);
+
+            assert.equal(response.status, 400);
+            assert.equal(response.jsonBody.error, "Validation failed");
+            assert.deepEqual(response.jsonBody.fields.map(f => f.field), ["videoId", "title", "url", "startTime", "duration"]);
+            assert.equal((await listRows(TABLES.schedule)).length, 0);
+        });
+    });
+
+    describe("updateScheduleItem", () => {
+        it("replaces the whole item and resets omitted optional fields", async () => {
+            await seed(TABLES.schedule, [session({ url: "https://example.com/custom" })]);
+
+            const response = await schedule.updateScheduleItem(createRequest({
+                params: { id: "sess_1" },
+                body: { videoId: "abcdefghijk", title: "Replaced", startTime: "2026-02-05T16:00:00.000Z" }
+            }), context);
+
+            assert.equal(response.status, 200);
+            const [row] = await listRows(TABLES.schedule);
+            assert.equal(row.title, "Replaced");
+            assert.equal(row.description, "");
+            assert.equal(row.duration, 0);
+            assert.equal(row.url, "https://www.youtube.com/watch?v=abcdefghijk");
+        });
+
+        it("requires every required field", async () => {
+            await seed(TABLES.schedule, [session()]);
+
+            const response = await schedule.updateScheduleItem(createRequest({
+                params: { id: "sess_1" },
+                body: { title: "Renamed" }
+            }), context);
+
+            assert.equal(response.status, 400);
+            assert.deepEqual(response.jsonBody.fields.map(f => f.field), ["videoId", "startTime"]);
+        });
+
+        it("returns 404 for an unknown id", async () => {
+            const response = await schedule.updateScheduleItem(createRequest({
+                params: { id: "missing" },
+                body: { videoId: "abcdefghijk", title: "x", startTime: "2026-02-05T16:00:00.000Z" }
+            }), context);
+
+            assert.equal(response.status, 404);
+        });
+    });
+
+    describe("patchScheduleItem", () => {
+        it("updates the fields provided and keeps the rest", async () => {
+            await seed(TABLES.schedule, [session()]);
+
+            const response = await schedule.patchScheduleItem(createRequest({
+                params: { id: "sess_1" },
+                body: { title: "Renamed", description: "" }
+            }), context);
+
+            assert.equal(response.status, 200);
+            const [row] = await listRows(TABLES.schedule);
+            assert.equal(row.title, "Renamed");
+            assert.equal(row.description, "");
+            assert.equal(row.videoId, "dQw4w9WgXcQ");
+            assert.equal(row.duration, 1800);
+        });
+
+        it("sets the track, session type and tags", async () => {
+            await seed(TABLES.schedule, [session()]);
+
+            const response = await schedule.patchScheduleItem(createRequest({
+                params: { id: "sess_1" },
+                body: { track: " Track A ", sessionType: "keynote", tags: ["azure", " azure", "", "aks"] }
+            }), context);
+            const invalid = await schedule.patchScheduleItem(createRequest({
+                params: { id: "sess_1" },
+                body: { sessionType: "workshop", tags: "azure" }
+            }), context);
+
+            assert.equal(response.status, 200);
+            const [row] = await listRows(TABLES.schedule);
+            assert.equal(row.track, "Track A");
+            assert.equal(row.sessionType, "keynote");
+            assert.deepEqual(JSON.parse(row.tags), ["azure", "aks"]);
+            assert.equal(invalid.status, 400);
+            assert.deepEqual(invalid.jsonBody.fields.map(f => f.field), ["sessionType", "tags"]);
+        });
+
+        it("clears optional fields sent as null", async () => {
+            await seed(TABLES.schedule, [session({ url: "https://example.com/custom" })]);
+
+            const response = await schedule.patchScheduleItem(createRequest({
+                params: { id: "sess_1" },
+                body: { url: null, description: null, duration: null }
+            }), context);
+
+            assert.equal(response.status, 200);
+            const [row] = await listRows(TABLES.schedule);
+            assert.equal(row.url, "https://www.youtube.com/watch?v=dQw4w9WgXcQ");
+            assert.equal(row.description, "");
+            assert.equal(row.duration, 0);
+        });
+
+        it("moves a default URL along with a new video ID", async () => {
+            await seed(TABLES.schedule, [session()]);
+
+            await schedule.patchScheduleItem(createRequest({
+                params: { id: "sess_1" },
+                body: { videoId: "abcdefghijk" }
+            }), context);
+
+            const [row] = await listRows(TABLES.schedule);
+            assert.equal(row.url, "https://www.youtube.com/watch?v=abcdefghijk");
+        });
+
+        it("refuses to clear required fields", async () => {
+            await seed(TABLES.schedule, [session()]);
+
+            const response = await schedule.patchScheduleItem(createRequest({
+                params: { id: "sess_1" },
+                body: { title: null, duration: 1.5 }
+            }), context);
+
+            assert.equal(response.status, 400);
+            assert.deepEqual(response.jsonBody.fields, [
+                { field: "title", message: "is required and cannot be cleared" },
+                { field: "duration", message: "must be a whole number" }
+            ]);
+        });
+
+        it("returns 404 for an unknown id", async () => {
+            const response = await schedule.patchScheduleItem(createRequest({
+                params: { id: "missing" },
+                body: { title: "x" }
+            }), context);
+
+            assert.equal(response.status, 404);
+        });
+    });
+
+    describe("session index", () => {
+        it("finds rows written before the index existed and indexes them", async () => {
+            await seed(TABLES.schedule, [session()]);
+            assert.equal((await listRows(TABLES.scheduleIndex)).length, 0);
+
+            const response = await schedule.patchScheduleItem(createRequest({
+                params: { id: "sess_1" },
+                body: { title: "Found" }
+            }), context);
+
+            assert.equal(response.status, 200);
+            const [indexRow] = await listRows(TABLES.scheduleIndex);
+            assert.equal(indexRow.rowKey, "sess_1");
+            assert.equal(indexRow.datePartition, "2026-02-05");
+        });
+
+        it("recovers from an index entry pointing at the wrong partition", async () => {
+            await seed(TABLES.schedule, [session()]);
+            await seed(TABLES.scheduleIndex, [{ partitionKey: "session", rowKey: "sess_1", datePartition: "2020-01-01" }]);
+
+            const response = await schedule.deleteScheduleItem(createRequest({ params: { id: "sess_1" } }), context);
+
+            assert.equal(response.status, 200);
+            assert.equal((await listRows(TABLES.schedule)).length, 0);
+            assert.equal((await listRows(TABLES.scheduleIndex)).length, 0);
+        });
+
+        it("is kept up to date by creates and deletes", async () => {
+            const created = await schedule.addScheduleItem(createRequest({
+                body: { videoId: "abcdefghijk", title: "New", startTime: "2026-02-06T16:00:00.000Z" }
+            }), context);
+            const [indexRow] = await listRows(TABLES.scheduleIndex);
+            assert.equal(indexRow.rowKey, created.jsonBody.id);
+            assert.equal(indexRow.datePartition, "2026-02-06");
+
+            await schedule.deleteScheduleItem(createRequest({ params: { id: created.jsonBody.id } }), context);
+            assert.equal((await listRows(TABLES.scheduleIndex)).length, 0);
+        });
+    });
+
+    describe("optimistic concurrency", () => {
+        async function currentEtag() {
+            const response = await schedule.getSchedule(createRequest(), context);
+            return response.jsonBody.schedule[0].etag;
+        }
+
+        it("returns an etag with each item", async () => {
+            await seed(TABLES.schedule, [session()]);
+            assert.match(await currentEtag(), /^W\//);
+        });
+
+        it("applies a PATCH whose If-Match is current and returns the new etag", async () => {
+            await seed(TABLES.schedule, [session()]);
+            const etag = await currentEtag();
+
+            const response = await schedule.patchScheduleItem(createRequest({
+                params: { id: "sess_1" },
+                headers: { "If-Match": etag },
+                body: { title: "Renamed" }
+            }), context);
+
+            assert.equal(response.status, 200);
+            assert.notEqual(response.jsonBody.etag, etag);
+            assert.equal(response.jsonBody.etag, await currentEtag());
+        });
+
+        it("rejects a stale PUT with 412 and the current item", async () => {
+            await seed(TABLES.schedule, [session()]);
+            const staleEtag = await currentEtag();
+            await schedule.patchScheduleItem(createRequest({
+                params: { id: "sess_1" },
+                body: { title: "Changed elsewhere" }
+            }), context);
+
+            const response = await schedule.updateScheduleItem(createRequest({
+                params: { id: "sess_1" },
+                headers: { "If-Match": staleEtag },
+                body: { videoId: "abcdefghijk", title: "Mine", startTime: "2026-02-05T16:00:00.000Z" }
+            }), context);
+
+            assert.equal(response.status, 412);
+            assert.equal(response.jsonBody.current.title, "Changed elsewhere");
+            assert.equal(response.jsonBody.current.etag, await currentEtag());
+            const [row] = await listRows(TABLES.schedule);
+            assert.equal(row.title, "Changed elsewhere");
+        });
+
+        it("rejects a stale DELETE", async () => {
+            await seed(TABLES.schedule, [session()]);
+
+            const response = await schedule.deleteScheduleItem(createRequest({
+                params: { id: "sess_1" },
+                headers: { "If-Match": "W/\"stale\"" }
+            }), context);
+
+            assert.equal(response.status, 412);
+            assert.equal((await listRows(TABLES.schedule)).length, 1);
+        });
+
+        it("treats If-Match: * as matching any version", async () => {
+            await seed(TABLES.schedule, [session()]);
+
+            const response = await schedule.deleteScheduleItem(createRequest({
+                params: { id: "sess_1" },
+                headers: { "If-Match": "*" }
+            }), context);
+
+            assert.equal(response.status, 200);
+        });
+    });
+
+    describe("moving sessions between days", () => {
+        it("PUT moves the row to the partition of its new start date", async () => {
+            await seed(TABLES.schedule, [session()]);
+
+            const response = await schedule.updateScheduleItem(createRequest({
+                params: { id: "sess_1" },
+                body: { videoId: "dQw4w9WgXcQ", title: "Moved", startTime: "2026-02-06T15:00:00.000Z" }
+            }), context);
+
+            assert.equal(response.status, 200);
+            const rows = await listRows(TABLES.schedule);
+            assert.deepEqual(rows.map(r => [r.partitionKey, r.rowKey, r.title]), [["2026-02-06", "sess_1", "Moved"]]);
+            const [indexRow] = await listRows(TABLES.scheduleIndex);
+            assert.equal(indexRow.datePartition, "2026-02-06");
+        });
+
+        it("PATCH of startTime alone moves the row and keeps the other fields", async () => {
+            await seed(TABLES.schedule, [session()]);
+
+            const response = await schedule.patchScheduleItem(createRequest({
+                params: { id: "sess_1" },
+                body: { startTime: "2026-02-04T23:30:00-05:00" }
+            }), context);
+
+            assert.equal(response.status, 200);
+            const [row] = await listRows(TABLES.schedule);
+            assert.equal(row.partitionKey, "2026-02-05");
+            assert.equal(row.startTime, "2026-02-04T23:30:00-05:00");
+
+            await schedule.patchScheduleItem(createRequest({
+                params: { id: "sess_1" },
+                body: { startTime: "2026-02-07T10:00:00.000Z" }
+            }), context);
+            const [moved] = await listRows(TABLES.schedule);
+            assert.equal(moved.partitionKey, "2026-02-07");
+            assert.equal(moved.title, "Opening Keynote");
+            assert.equal(moved.duration, 1800);
+        });
+
+        it("returns the new etag after a move, which a follow-up edit can use", async () => {
+            await seed(TABLES.schedule, [session()]);
+
+            const moved = await schedule.patchScheduleItem(createRequest({
+                params: { id: "sess_1" },
+                body: { startTime: "2026-02-06T15:00:00.000Z" }
+            }), context);
+            const response = await schedule.patchScheduleItem(createRequest({
+                params: { id: "sess_1" },
+                headers: { "If-Match": moved.jsonBody.etag },
+                body: { title: "Again" }
+            }), context);
+
+            assert.equal(response.status, 200);
+        });
+
+        it("rolls back the new row when the old one cannot be removed", async () => {
+            await seed(TABLES.schedule, [session()]);
+            const client = storage.getTableClient(TABLES.schedule);
+
+            await assert.rejects(
+                moveScheduleEntity(client, { ...session(), partitionKey: "2026-02-06" }, "2026-02-05", { etag: "W/\"stale\"" }),
+                error => error.statusCode === 412
+            );
+
+            const rows = await listRows(TABLES.schedule);
+            assert.deepEqual(rows.map(r => r.partitionKey), ["2026-02-05"]);
+        });
+    });
+
+    describe("repairSchedulePartitions", () => {
+        beforeEach(async () => {
+            await seed(TABLES.schedule, [
+                session({ rowKey: "sess_ok" }),
+                session({ rowKey: "sess_stray", partitionKey: "2026-02-04" }),
+                session({ rowKey: "sess_dup", startTime: "2026-02-06T15:00:00.000Z" }),
+                session({ rowKey: "sess_dup", partitionKey: "2026-02-06", startTime: "2026-02-06T15:00:00.000Z" })
+            ]);
+        });
+
+        it("reports misplaced rows without changing anything on a dry run", async () => {
+            const response = await schedule.repairSchedulePartitions(createRequest({ query: { dryRun: "true" } }), context);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.jsonBody.dryRun, true);
+            assert.deepEqual(response.jsonBody.moved, [{ id: "sess_stray", from: "2026-02-04", to: "2026-02-05" }]);
+            assert.deepEqual(response.jsonBody.duplicatesRemoved, [{ id: "sess_dup", from: "2026-02-05", to: "2026-02-06" }]);
+            assert.equal((await listRows(TABLES.schedule)).length, 4);
+        });
+
+        it("moves misplaced rows and removes duplicates", async () => {
+            const response = await schedule.repairSchedulePartitions(createRequest(), context);
+
+            assert.equal(response.status, 200);
+            assert.deepEqual(response.jsonBody.errors, []);
+            const rows = await listRows(TABLES.schedule);
+            assert.deepEqual(rows.map(r => [r.partitionKey, r.rowKey]), [
+                ["2026-02-05", "sess_ok"],
+                ["2026-02-05", "sess_stray"],
+                ["2026-02-06", "sess_dup"]
+            ]);
+            const index = Object.fromEntries((await listRows(TABLES.scheduleIndex)).map(r => [r.rowKey, r.datePartition]));
+            assert.deepEqual(index, { sess_ok: "2026-02-05", sess_stray: "2026-02-05", sess_dup: "2026-02-06" });
+            assert.deepEqual(response.jsonBody.indexed, ["sess_ok"]);
+        });
+    });
+
+    describe("scheduleBatch", () => {
+        function batch(body) {
+            return schedule.scheduleBatch(createRequest({ method: "POST", body }), context);
+        }
+
+        it("applies mixed operations and reports a result for each", async () => {
+            await seed(TABLES.schedule, [session(), session({ rowKey: "sess_2", title: "Second" })]);
+
+            const response = await batch({
+                operations: [
+                    { op: "create", item: { videoId: "abcdefghijk", title: "New", startTime: "2026-02-06T10:00:00.000Z" } },
+                    { op: "patch", id: "sess_1", item: { startTime: "2026-02-06T15:00:00.000Z" } },
+                    { op: "delete", id: "sess_2" },
+                    { op: "delete", id: "missing" }
+                ]
+            });
+
+            assert.equal(response.status, 200);
+            assert.equal(response.jsonBody.succeeded, 3);
+            assert.equal(response.jsonBody.failed, 1);
+            assert.deepEqual(response.jsonBody.results.map(r => r.status), [201, 200, 200, 404]);
+            assert.match(response.jsonBody.results[0].id, /^sess_/);
+            assert.ok(response.jsonBody.results[1].etag);
+
+            const rows = await listRows(TABLES.schedule);
+            assert.deepEqual(rows.map(r => [r.partitionKey, r.title]).sort(), [["2026-02-06", "New"], ["2026-02-06", "Opening Keynote"]]);
+            const index = Object.fromEntries((await listRows(TABLES.scheduleIndex)).map(r => [r.rowKey, r.datePartition]));
+            assert.equal(index.sess_1, "2026-02-06");
+            assert.equal(index.sess_2, undefined);
+        });
+
+        it("rejects operations with a stale etag, bad input or a repeated id", async () => {
+            await seed(TABLES.schedule, [session()]);
+
+            const response = await batch({
+                operations: [
+                    { op: "update", id: "sess_1", etag: "W/\"stale\"", item: { videoId: "dQw4w9WgXcQ", title: "x", startTime: "2026-02-05T15:00:00Z" } },
+                    { op: "patch", id: "sess_1", item: { title: "Again" } },
+                    { op: "create", item: { title: "No video" } },
+                    { op: "rename", id: "sess_1" }
+                ]
+            });
+
+            const [stale, repeated, invalid, unknown] = response.jsonBody.results;
+            assert.equal(stale.status, 412);
+            assert.equal(stale.current.title, "Opening Keynote");
+            assert.equal(repeated.status, 400);
+            assert.match(repeated.error, /more than once/);
+            assert.equal(invalid.status, 400);
+            assert.deepEqual(invalid.fields.map(f => f.field), ["videoId", "startTime"]);
+            assert.equal(unknown.status, 400);
+        });
+
+        it("rejects ids that are not safe table keys for new sessions", async () => {
+            const item = { videoId: "abcdefghijk", title: "New", startTime: "2026-02-06T10:00:00.000Z" };
+            const response = await batch({
+                operations: [
+                    { op: "create", id: "x');alert(1)//", item },
+                    { op: "upsert", id: "a/b", item },
+                    { op: "create", id: "talk_2026-keynote", item }
+                ]
+            });
+
+            assert.deepEqual(response.jsonBody.results.map(r => r.status), [400, 400, 201]);
+            assert.match(response.jsonBody.results[0].error, /letters, digits/);
+            assert.deepEqual((await listRows(TABLES.schedule)).map(r => r.rowKey), ["talk_2026-keynote"]);
+        });
+
+        it("applies nothing in atomic mode when any operation fails", async () => {
+            await seed(TABLES.schedule, [session()]);
+
+            const response = await batch({
+                atomic: true,
+                operations: [
+                    { op: "delete", id: "sess_1" },
+                    { op: "patch", id: "missing", item: { title: "x" } }
+                ]
+            });
+
+            assert.equal(response.status, 409);
+            assert.equal(response.jsonBody.failed, 1);
+            assert.deepEqual(response.jsonBody.results.map(r => r.status), [424, 404]);
+            assert.equal((await listRows(TABLES.schedule)).length, 1);
+        });
+
+        it("validates the request body", async () => {
+            const response = await batch({ operations: [], atomic: "yes" });
+
+            assert.equal(response.status, 400);
+            assert.deepEqual(response.jsonBody.fields.map(f => f.field), ["operations", "atomic"]);
+        });
+    });
+
+    describe("conflict detection", () => {
+        it("returns overlap warnings when a new session collides with another", async () => {
+            await seed(TABLES.schedule, [session()]);
+
+            const response = await schedule.addScheduleItem(createRequest({
+                body: { videoId: "abcdefghijk", title: "Clash", startTime: "2026-02-05T15:15:00.000Z", duration: 600 }
+            }), context);
+
+            assert.equal(response.status, 201);
+            assert.deepEqual(response.jsonBody.warnings.map(w => [w.type, w.sessionIds]), [["overlap", ["sess_1", response.jsonBody.id]]]);
+        });
+
+        it("warns on updates until the overlap is fixed", async () => {
+            await seed(TABLES.schedule, [session(), session({ rowKey: "sess_2", startTime: "2026-02-05T15:10:00.000Z" })]);
+
+            const clashing = await schedule.patchScheduleItem(createRequest({ params: { id: "sess_2" }, body: { title: "Second" } }), context);
+            assert.deepEqual(clashing.jsonBody.warnings.map(w => w.type), ["overlap"]);
+
+            // Session 1 runs 30 minutes, so starting at 15:30 is back to back
+            const fixed = await schedule.patchScheduleItem(createRequest({
+                params: { id: "sess_2" },
+                body: { startTime: "2026-02-05T15:30:00.000Z" }
+            }), context);
+            assert.deepEqual(fixed.jsonBody.warnings, []);
+        });
+
+        it("checks a dry-run import against the schedule it would produce", async () => {
+            await seed(TABLES.schedule, [session()]);
+            const csv = "videoId,title,startTime,duration\nabcdefghijk,Clash,2026-02-05T15:10:00.000Z,600";
+
+            const response = await schedule.importScheduleFromCsv(createRequest({ body: csv, query: { dryRun: "true" } }), context);
+
+            assert.equal(response.jsonBody.warnings.length, 1);
+            assert.equal(response.jsonBody.warnings[0].type, "overlap");
+            assert.equal((await listRows(TABLES.schedule)).length, 1);
+        });
+
+        it("reports every conflict from GET /api/schedule/conflicts", async () => {
+            await seed(TABLES.schedule, [
+                session(),
+                session({ rowKey: "sess_2", title: "Overlapping", startTime: "2026-02-05T15:20:00.000Z" }),
+                session({ rowKey: "sess_3", title: "Evening", startTime: "2026-02-05T22:00:00.000Z", duration: 0 })
+            ]);
+
+            const response = await schedule.getScheduleConflicts(createRequest({ query: { maxGapMinutes: "180" } }), context);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.jsonBody.maxGapMinutes, 180);
+            assert.deepEqual(response.jsonBody.counts, { overlap: 1, zeroDuration: 1, gap: 1 });
+            assert.deepEqual(response.jsonBody.conflicts.find(c => c.type === "gap").sessionIds, ["sess_2", "sess_3"]);
+        });
+
+        it("rejects an invalid gap threshold", async () => {
+            const response = await schedule.getScheduleConflicts(createRequest({ query: { maxGapMinutes: "-5" } }), context);
+            assert.equal(response.status, 400);
+        });
+    });
+
+    describe("deleteScheduleItem", () => {
+        it("deletes an existing item", async () => {
+            await seed(TABLES.schedule, [session()]);
+
+            const response = await schedule.deleteScheduleItem(createRequest({ params: { id: "sess_1" } }), context);
+
+            assert.equal(response.status, 200);
+            assert.equal((await listRows(TABLES.schedule)).length, 0);
+        });
+
+        it("returns 404 for an unknown id", async () => {
+            const response = await schedule.deleteScheduleItem(createRequest({ params: { id: "missing" } }), context);
+            assert.equal(response.status, 404);
+        });
+    });
+
+    describe("exportScheduleAsCsv", () => {
+        it("exports a header row and escaped values", async () => {
+            await seed(TABLES.schedule, [session({
+                title: "=cmd()",
+                description: "a, b",
+                track: "Track A",
+                sessionType: "talk",
+                tags: JSON.stringify(["azure", "networking"])
+            })]);
+
+            const response = await schedule.exportScheduleAsCsv(createRequest(), context);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.headers["Content-Type"], "text/csv");
+            const lines = response.body.trim().split("\n");
+            assert.equal(lines[0], "sessionId,videoId,title,description,url,startTime,duration,track,sessionType,tags");
+            assert.equal(lines[1], `sess_1,dQw4w9WgXcQ,"'=cmd()","a, b",https://www.youtube.com/watch?v=dQw4w9WgXcQ,2026-02-05T15:00:00.000Z,1800,Track A,talk,azure;networking`);
+        });
+    });
+
+    describe("exportScheduleAsIcs", () => {
+        it("exports one event per session with a stable UID", async () => {
+            await seed(TABLES.schedule, [
+                session({ title: "Keynote, day 1", description: "Line 1\nLine 2" }),
+                session({ rowKey: "sess_2", url: "", startTime: "2026-02-05T16:00:00.000Z", duration: 0 })
+            ]);
+
+            const response = await schedule.exportScheduleAsIcs(createRequest(), context);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.headers["Content-Type"], "text/calendar; charset=utf-8");
+            const lines = response.body.split("\r\n");
+            assert.equal(lines[0], "BEGIN:VCALENDAR");
+            assert.equal(lines.filter(line => line === "BEGIN:VEVENT").length, 2);
+            assert.ok(lines.includes("UID:sess_1@azurecoreunderground.com"));
+            assert.ok(lines.includes("DTSTART:20260205T150000Z"));
+            assert.ok(lines.includes("DURATION:PT30M"));
+            assert.ok(lines.includes("SUMMARY:Keynote\\, day 1"));
+            // A session without a custom url links to its YouTube video
+            assert.ok(lines.includes("URL:https://www.youtube.com/watch?v=dQw4w9WgXcQ"));
+        });
+    });
+
+    describe("getScheduleItem", () => {
+        beforeEach(async () => {
+            await seed(TABLES.scheduleIndex, [{ partitionKey: "session", rowKey: "sess_1", datePartition: "2026-02-05" }]);
+        });
+
+        it("returns the item with its ETag", async () => {
+            await seed(TABLES.schedule, [session()]);
+
+            const response = await schedule.getScheduleItem(createRequest({ params: { id: "sess_1" } }), context);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.jsonBody.title, "Opening Keynote");
+            assert.equal(response.headers.ETag, response.jsonBody.etag);
+        });
+
+        it("downloads a single session as an .ics invite", async () => {
+            await seed(TABLES.schedule, [session()]);
+
+            const response = await schedule.getScheduleItem(createRequest({ params: { id: "sess_1" }, query: { format: "ics" } }), context);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.headers["Content-Disposition"], 'attachment; filename="opening-keynote.ics"');
+            assert.equal(response.body.split("\r\n").filter(line => line === "BEGIN:VEVENT").length, 1);
+        });
+
+        it("returns 404 for an unknown session", async () => {
+            const response = await schedule.getScheduleItem(createRequest({ params: { id: "sess_missing" }, query: { format: "ics" } }), context);
+
+            assert.equal(response.status, 404);
+        });
+
+        it("only reads the index, leaving rows it does not list for the partition repair", async () => {
+            await seed(TABLES.schedule, [session({ rowKey: "sess_2" })]);
+
+            const response = await schedule.getScheduleItem(createRequest({ params: { id: "sess_2" } }), context);
+
+            assert.equal(response.status, 404);
+            assert.deepEqual((await listRows(TABLES.scheduleIndex)).map(r => r.rowKey), ["sess_1"]);
+        });
+    });
+
+    describe("importScheduleFromCsv", () => {
+        it("round-trips an export back into the same rows", async () => {
+            await seed(TABLES.schedule, [
+                session({ title: "-Formula", description: "Line 1\nLine 2, with \"quotes\"" }),
+                session({ rowKey: "sess_2", partitionKey: "2026-02-06", startTime: "2026-02-06T15:00:00.000Z" })
+            ]);
+            const before = await listRows(TABLES.schedule);
+            const exported = await schedule.exportScheduleAsCsv(createRequest(), context);
+
+            const response = await schedule.importScheduleFromCsv(createRequest({ body: exported.body }), context);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.jsonBody.unchanged, 2);
+            assert.equal(response.jsonBody.updated, 0);
+            assert.equal(response.jsonBody.created, 0);
+            assert.deepEqual(response.jsonBody.errors, []);
+            // Unchanged rows are not rewritten, so even the etags stay the same
+            assert.deepEqual(await listRows(TABLES.schedule), before);
+        });
+
+        it("creates rows without a sessionId and moves rows whose date changed", async () => {
+            await seed(TABLES.schedule, [session()]);
+            const csv = [
+                "sessionId,videoId,title,startTime,duration",
+                "sess_1,dQw4w9WgXcQ,Moved,2026-02-07T15:00:00.000Z,60",
+                ",abcdefghijk,Brand new,2026-02-07T16:00:00.000Z,"
+            ].join("\n");
+
+            const response = await schedule.importScheduleFromCsv(createRequest({ body: csv }), context);
+
+            assert.equal(response.jsonBody.created, 1);
+            assert.equal(response.jsonBody.updated, 1);
+            const rows = await listRows(TABLES.schedule);
+            assert.equal(rows.length, 2);
+            assert.ok(rows.every(row => row.partitionKey === "2026-02-07"));
+            assert.equal(rows.find(row => row.rowKey === "sess_1").title, "Moved");
+            const indexRows = await listRows(TABLES.scheduleIndex);
+            assert.equal(indexRows.length, 2);
+            assert.ok(indexRows.every(row => row.datePartition === "2026-02-07"));
+        });
+
+        it("reports rows with an invalid startTime", async () => {
+            const csv = "videoId,title,startTime\nabc,Bad,not-a-date\n";
+
+            const response = await schedule.importScheduleFromCsv(createRequest({ body: csv }), context);
+
+            assert.equal(response.status, 200);
+            assert.deepEqual(response.jsonBody.errors, [
+                "Row 2: videoId must be an 11-character YouTube video ID; startTime must be an ISO 8601 date-time with a timezone, e.g. 2026-02-05T15:00:00Z"
+            ]);
+            assert.equal((await listRows(TABLES.schedule)).length, 0);
+        });
+
+        it("previews creates, field-level updates and errors on a dry run without writing", async () => {
+            await seed(TABLES.schedule, [session(), session({ rowKey: "sess_2", title: "Same" })]);
+            const before = await listRows(TABLES.schedule);
+            const csv = [
+                "sessionId,videoId,title,startTime,duration,description,url",
+                "sess_1,dQw4w9WgXcQ,Renamed,2026-02-06T15:00:00.000Z,1800,Welcome,https://www.youtube.com/watch?v=dQw4w9WgXcQ",
+                "sess_2,dQw4w9WgXcQ,Same,2026-02-05T15:00:00.000Z,1800,Welcome,https://www.youtube.com/watch?v=dQw4w9WgXcQ",
+                ",abcdefghijk,Brand new,2026-02-07T16:00:00.000Z,60,,",
+                ",bad,Broken,2026-02-07T16:00:00.000Z,,,"
+            ].join("\n");
+
+            const response = await schedule.importScheduleFromCsv(createRequest({ body: csv, query: { dryRun: "true" } }), context);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.jsonBody.dryRun, true);
+            assert.deepEqual([response.jsonBody.created, response.jsonBody.updated, response.jsonBody.unchanged], [1, 1, 1]);
+            assert.deepEqual(response.jsonBody.updates, [{
+                row: 2,
+                id: "sess_1",
+                changes: {
+                    title: { before: "Opening Keynote", after: "Renamed" },
+                    startTime: { before: "2026-02-05T15:00:00.000Z", after: "2026-02-06T15:00:00.000Z" }
+                }
+            }]);
+            assert.equal(response.jsonBody.creates[0].row, 4);
+            assert.equal(response.jsonBody.creates[0].item.title, "Brand new");
+            assert.equal(response.jsonBody.creates[0].item.duration, 60);
+            assert.deepEqual(response.jsonBody.errors, ["Row 5: videoId must be an 11-character YouTube video ID"]);
+            assert.deepEqual(await listRows(TABLES.schedule), before);
+        });
+
+        it("applies nothing when an all-or-nothing import has a bad row", async () => {
+            await seed(TABLES.schedule, [session()]);
+            const csv = [
+                "sessionId,videoId,title,startTime",
+                "sess_1,dQw4w9WgXcQ,Renamed,2026-02-05T15:00:00.000Z",
+                ",abcdefghijk,Brand new,tomorrow"
+            ].join("\n");
+
+            const response = await schedule.importScheduleFromCsv(createRequest({ body: csv, query: { atomic: "true" } }), context);
+
+            assert.equal(response.status, 409);
+            assert.equal(response.jsonBody.errors.length, 1);
+            assert.match(response.jsonBody.errors[0], /^Row 3: startTime/);
+            const rows = await listRows(TABLES.schedule);
+            assert.deepEqual(rows.map(row => row.title), ["Opening Keynote"]);
+        });
+
+        it("reports rows whose sessionId is not a safe id", async () => {
+            const csv = [
+                "sessionId,videoId,title,startTime",
+                "a/b,dQw4w9WgXcQ,Slash,2026-02-05T15:00:00.000Z",
+                "sess_ok,dQw4w9WgXcQ,Fine,2026-02-05T16:00:00.000Z"
+            ].join("\n");
+
+            const response = await schedule.importScheduleFromCsv(createRequest({ body: csv }), context);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.jsonBody.created, 1);
+            assert.match(response.jsonBody.errors[0], /^Row 2: id must be/);
+        });
+
+        it("rejects a CSV missing a required column", async () => {
+            const response = await schedule.importScheduleFromCsv(createRequest({ body: "videoId,title\nabc,x\n" }), context);
+
+            assert.equal(response.status, 400);
+            assert.equal(response.jsonBody.error, "Missing required column: starttime");
+        });
+
+        it("rejects a CSV without data rows", async () => {
+            const response = await schedule.importScheduleFromCsv(createRequest({ body: "videoId,title,startTime\n" }), context);
+            assert.equal(response.status, 400);
+        });
+    });
+
+    describe("importPlaylist", () => {
+        let fetchStub;
+        const originalKey = process.env.YOUTUBE_API_KEY;
+
+        beforeEach(() => {
+            process.env.YOUTUBE_API_KEY = "secret";
+        });
+
+        afterEach(() => {
+            fetchStub?.restore();
+            fetchStub = null;
+            if (originalKey === undefined) {
+                delete process.env.YOUTUBE_API_KEY;
+            } else {
+                process.env.YOUTUBE_API_KEY = originalKey;
+            }
+        });
+
+        function playlistItem(videoId, title) {
+            return { snippet: { title, description: `About ${title}` }, contentDetails: { videoId } };
+        }
+
+        it("follows nextPageToken and schedules videos back to back", async () => {
+            fetchStub = stubFetch((url, options) => {
+                assert.equal(options.headers["X-Goog-Api-Key"], "secret");
+                if (url.includes("/playlistItems")) {
+                    return url.includes("pageToken=page2")
+                        ? jsonResponse({ items: [playlistItem("videoAAAAA3", "Private video"), playlistItem("videoAAAAA2", "Second")] })
+                        : jsonResponse({ items: [playlistItem("videoAAAAA1", "First")], nextPageToken: "page2" });
+                }
+                return jsonResponse({
+                    items: [
+                        { id: "videoAAAAA1", contentDetails: { duration: "PT1H2M3S" } },
+                        { id: "videoAAAAA2", contentDetails: { duration: "PT45S" } }
+                    ]
+                });
+            });
+
+            const response = await schedule.importPlaylist(createRequest({
+                body: { playlistId: "PL123", startDate: "2026-02-05T10:00", timezone: "-05:00", sessionDuration: 15 }
+            }), context);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.jsonBody.created, 2);
+            assert.equal(response.jsonBody.skipped, 1);
+            assert.equal(fetchStub.calls.filter(url => url.includes("/playlistItems")).length, 2);
+            assert.deepEqual(response.jsonBody.videos.map(v => v.startTime), [
+                "2026-02-05T15:00:00.000Z",
+                // 1h 2m 3s video + 15 minute gap
+                "2026-02-05T16:17:03.000Z"
+            ]);
+
+            const rows = await listRows(TABLES.schedule);
+            assert.deepEqual(rows.map(row => row.duration).sort((a, b) => a - b), [45, 3723]);
+            assert.ok(fetchStub.calls.every(url => !url.includes("secret")));
+            assert.ok(context.logs.every(line => !line.includes("secret")));
+        });
+
+        it("previews the sessions a dry run would create without writing them", async () => {
+            fetchStub = stubFetch(url => url.includes("/playlistItems")
+                ? jsonResponse({ items: [playlistItem("videoAAAAA1", "First"), playlistItem("videoAAAAA2", "Deleted video")] })
+                : jsonResponse({ items: [{ id: "videoAAAAA1", contentDetails: { duration: "PT10M" } }] }));
+
+            const response = await schedule.importPlaylist(createRequest({
+                query: { dryRun: "true" },
+                body: { playlistId: "PL123", startDate: "2026-02-05T10:00:00Z" }
+            }), context);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.jsonBody.dryRun, true);
+            assert.deepEqual(response.jsonBody.videos, [
+                { title: "First", videoId: "videoAAAAA1", startTime: "2026-02-05T10:00:00.000Z", duration: 600 }
+            ]);
+            assert.deepEqual(response.jsonBody.skippedVideos, [{ videoId: "videoAAAAA2", reason: "Deleted video" }]);
+            assert.equal((await listRows(TABLES.schedule)).length, 0);
+        });
+
+        it("reads the start date in the event timezone, following DST", async () => {
+            fetchStub = stubFetch(url => url.includes("/playlistItems")
+                ? jsonResponse({ items: [playlistItem("videoAAAAA1", "First")] })
+                : jsonResponse({ items: [{ id: "videoAAAAA1", contentDetails: { duration: "PT10M" } }] }));
+
+            const summer = await schedule.importPlaylist(createRequest({
+                query: { dryRun: "true" },
+                body: { playlistId: "PL123", startDate: "2026-07-05T10:00" }
+            }), context);
+            const paris = await schedule.importPlaylist(createRequest({
+                query: { dryRun: "true" },
+                body: { playlistId: "PL123", startDate: "2026-02-05T10:00", timezone: "Europe/Paris" }
+            }), context);
+
+            // America/New_York is on EDT (UTC-4) in July
+            assert.equal(summer.jsonBody.videos[0].startTime, "2026-07-05T14:00:00.000Z");
+            assert.equal(paris.jsonBody.videos[0].startTime, "2026-02-05T09:00:00.000Z");
+        });
+
+        it("rejects an unknown timezone", async () => {
+            const response = await schedule.importPlaylist(createRequest({
+                body: { playlistId: "PL123", startDate: "2026-02-05T10:00", timezone: "Mars/Olympus" }
+            }), context);
+
+            assert.equal(response.status, 400);
+            assert.deepEqual(response.jsonBody.fields.map(f => f.field), ["timezone"]);
+        });
+
+        it("rejects a body that is not a JSON object", async () => {
+            for (const body of ["null", "[]", "\"PL123\""]) {
+                const response = await schedule.importPlaylist(createRequest({ body }), context);
+
+                assert.equal(response.status, 400);
+                assert.deepEqual(response.jsonBody.fields, [{ field: "body", message: "must be a JSON object" }]);
+            }
+        });
+
+        it("requires a playlistId", async () => {
+            const response = await schedule.importPlaylist(createRequest({ body: {} }), context);
+            assert.equal(response.status, 400);
+        });
+
+        it("rejects a negative gap between sessions", async () => {
+            const response = await schedule.importPlaylist(createRequest({
+                body: { playlistId: "PL123", sessionDuration: -10 }
+            }), context);
+
+            assert.equal(response.status, 400);
+            assert.deepEqual(response.jsonBody.fields.map(f => f.field), ["sessionDuration"]);
+        });
+
+        it("does not take an API key from the request", async () => {
+            const response = await schedule.importPlaylist(createRequest({
+                body: { playlistId: "PL123", apiKey: "mine" }
+            }), context);
+
+            assert.equal(response.status, 400);
+            assert.deepEqual(response.jsonBody.fields.map(f => f.field), ["apiKey"]);
+        });
+
+        it("reports when no API key is configured", async () => {
+            delete process.env.YOUTUBE_API_KEY;
+            const response = await schedule.importPlaylist(createRequest({ body: { playlistId: "PL123" } }), context);
+            assert.equal(response.status, 503);
+            assert.equal(response.jsonBody.code, "youtube_not_configured");
+        });
+
+        it("surfaces YouTube API errors", async () => {
+            fetchStub = stubFetch(() => jsonResponse({ error: { message: "API key not valid" } }, 400));
+
+            const response = await schedule.importPlaylist(createRequest({
+                body: { playlistId: "PL123" }
+            }), context);
+
+            assert.equal(response.status, 400);
+            assert.equal(response.jsonBody.error, "Failed to fetch playlist from YouTube: API key not valid");
+            assert.equal(response.jsonBody.code, "youtube_error");
+        });
+    });
+});
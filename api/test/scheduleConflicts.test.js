@@ -0,0 +1,107 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { findScheduleConflicts, conflictsInvolving } = require("../src/shared/scheduleConflicts");
+
+function item(id, startTime, minutes) {
+    return { id, title: id, startTime, duration: minutes * 60 };
+}
+
+describe("findScheduleConflicts", () => {
+    it("reports overlapping sessions with the overlap length", () => {
+        const conflicts = findScheduleConflicts([
+            item("a", "2026-02-05T15:00:00Z", 60),
+            item("b", "2026-02-05T15:45:00Z", 30),
+            item("c", "2026-02-05T16:15:00Z", 30)
+        ]);
+
+        assert.deepEqual(conflicts, [{
+            type: "overlap",
+            sessionIds: ["a", "b"],
+            minutes: 15,
+            message: '"a" overlaps "b" by 15m'
+        }]);
+    });
+
+    it("treats sessions that touch as back to back, not overlapping", () => {
+        const conflicts = findScheduleConflicts([
+            item("a", "2026-02-05T15:00:00Z", 60),
+            item("b", "2026-02-05T16:00:00Z", 60)
+        ]);
+        assert.deepEqual(conflicts, []);
+    });
+
+    it("reports sessions without a duration", () => {
+        const conflicts = findScheduleConflicts([{ id: "a", title: "A", startTime: "2026-02-05T15:00:00Z", duration: 0 }]);
+        assert.deepEqual(conflicts.map(c => [c.type, c.sessionIds]), [["zero-duration", ["a"]]]);
+    });
+
+    it("reports long gaps within a day but not between days", () => {
+        const conflicts = findScheduleConflicts([
+            item("a", "2026-02-05T09:00:00Z", 60),
+            item("b", "2026-02-05T13:00:00Z", 60),
+            item("c", "2026-02-06T09:00:00Z", 60)
+        ], { maxGapMinutes: 120 });
+
+        assert.deepEqual(conflicts.map(c => [c.type, c.sessionIds, c.minutes]), [["gap", ["a", "b"], 180]]);
+        assert.equal(conflicts[0].message, '3h 0m gap between "a" and "b"');
+    });
+
+    it("groups sessions by their day in the event timezone, not in UTC", () => {
+        // 17:00 and 20:30 in New York on the 5th, either side of UTC midnight;
+        // then 19:00 Z on the 6th, which is 14:00 there
+        const sessions = [
+            item("afternoon", "2026-02-05T22:00:00Z", 60),
+            item("evening", "2026-02-06T01:30:00Z", 60),
+            item("next-day", "2026-02-06T19:00:00Z", 60)
+        ];
+
+        const newYork = findScheduleConflicts(sessions, { maxGapMinutes: 120, timeZone: "America/New_York" });
+        const utc = findScheduleConflicts(sessions, { maxGapMinutes: 120, timeZone: "UTC" });
+
+        assert.deepEqual(newYork.map(c => [c.type, c.sessionIds, c.minutes]), [["gap", ["afternoon", "evening"], 150]]);
+        assert.deepEqual(utc.map(c => [c.type, c.sessionIds, c.minutes]), [["gap", ["evening", "next-day"], 990]]);
+    });
+
+    it("measures gaps from the latest end, not the previous start", () => {
+        const conflicts = findScheduleConflicts([
+            item("long", "2026-02-05T09:00:00Z", 240),
+            item("inside", "2026-02-05T10:00:00Z", 30),
+            item("after", "2026-02-05T13:30:00Z", 30)
+        ], { maxGapMinutes: 60 });
+
+        assert.deepEqual(conflicts.filter(c => c.type === "gap"), []);
+    });
+
+    it("lets parallel tracks overlap but not clash with sessions shared by every track", () => {
+        const conflicts = findScheduleConflicts([
+            { ...item("keynote", "2026-02-05T09:00:00Z", 60) },
+            { ...item("a1", "2026-02-05T09:30:00Z", 60), track: "A" },
+            { ...item("b1", "2026-02-05T10:00:00Z", 60), track: "B" },
+            { ...item("a2", "2026-02-05T10:00:00Z", 60), track: "A" }
+        ]);
+
+        assert.deepEqual(conflicts.map(c => c.sessionIds), [["keynote", "a1"], ["a1", "a2"]]);
+    });
+
+    it("finds gaps on one track that the other track would hide", () => {
+        const conflicts = findScheduleConflicts([
+            { ...item("a1", "2026-02-05T09:00:00Z", 60), track: "A" },
+            { ...item("b1", "2026-02-05T10:00:00Z", 240), track: "B" },
+            { ...item("a2", "2026-02-05T13:00:00Z", 60), track: "A" }
+        ], { maxGapMinutes: 120 });
+
+        assert.deepEqual(conflicts.map(c => [c.type, c.sessionIds, c.track]), [["gap", ["a1", "a2"], "A"]]);
+        assert.equal(conflicts[0].message, '3h 0m gap between "a1" and "a2" on A');
+    });
+});
+
+describe("conflictsInvolving", () => {
+    it("keeps conflicts that mention one of the ids", () => {
+        const conflicts = [
+            { type: "overlap", sessionIds: ["a", "b"] },
+            { type: "gap", sessionIds: ["c", "d"] }
+        ];
+        assert.deepEqual(conflictsInvolving(conflicts, ["b"]), [conflicts[0]]);
+    });
+});
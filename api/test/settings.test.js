@@ -0,0 +1,63 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createRequest, createContext } = require("./helpers");
+const { getSecret } = require("../src/shared/secrets");
+const settings = require("../src/functions/settings");
+
+describe("settings", () => {
+    const original = {
+        key: process.env.YOUTUBE_API_KEY,
+        backend: process.env.SECRETS_BACKEND,
+        file: process.env.SECRETS_FILE
+    };
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "secrets-"));
+        delete process.env.YOUTUBE_API_KEY;
+        delete process.env.SECRETS_BACKEND;
+        delete process.env.SECRETS_FILE;
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        for (const [name, value] of [["YOUTUBE_API_KEY", original.key], ["SECRETS_BACKEND", original.backend], ["SECRETS_FILE", original.file]]) {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        }
+    });
+
+    it("says whether YouTube is configured without returning the key", async () => {
+        const before = await settings.getSettings(createRequest(), createContext());
+        assert.deepEqual(before.jsonBody, { youtube: { configured: false } });
+
+        process.env.YOUTUBE_API_KEY = "secret";
+        const after = await settings.getSettings(createRequest(), createContext());
+        assert.equal(after.status, 200);
+        assert.deepEqual(after.jsonBody, { youtube: { configured: true } });
+    });
+
+    it("reads secrets from a file with the file backend", async () => {
+        process.env.SECRETS_BACKEND = "file";
+        process.env.SECRETS_FILE = path.join(dir, "secrets.json");
+        process.env.YOUTUBE_API_KEY = "from-env";
+
+        assert.equal(await getSecret("YOUTUBE_API_KEY"), null);
+
+        fs.writeFileSync(process.env.SECRETS_FILE, JSON.stringify({ YOUTUBE_API_KEY: "from-file" }));
+        assert.equal(await getSecret("YOUTUBE_API_KEY"), "from-file");
+        assert.equal(await getSecret("OTHER"), null);
+    });
+
+    it("rejects an unknown backend", async () => {
+        process.env.SECRETS_BACKEND = "vault";
+        await assert.rejects(getSecret("YOUTUBE_API_KEY"), /Unknown SECRETS_BACKEND/);
+    });
+});
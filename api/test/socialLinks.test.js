@@ -0,0 +1,43 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { normalizeSocialLinks } = require("../src/shared/socialLinks");
+
+function normalize(field, value) {
+    const { data, errors } = normalizeSocialLinks({ [field]: value });
+    return errors.length > 0 ? errors[0].message : data[field];
+}
+
+describe("normalizeSocialLinks", () => {
+    it("turns handles into canonical profile URLs", () => {
+        assert.equal(normalize("linkedin", "janedoe"), "https://www.linkedin.com/in/janedoe");
+        assert.equal(normalize("twitter", "@janedoe"), "https://x.com/janedoe");
+        assert.equal(normalize("github", "janedoe"), "https://github.com/janedoe");
+        assert.equal(normalize("bluesky", "@Jane.bsky.social"), "https://bsky.app/profile/jane.bsky.social");
+        assert.equal(normalize("bluesky", "jane"), "https://bsky.app/profile/jane.bsky.social");
+        assert.equal(normalize("mastodon", "@jane@Hachyderm.io"), "https://hachyderm.io/@jane");
+    });
+
+    it("canonicalizes URLs: scheme, host, tracking and deep links", () => {
+        assert.equal(normalize("linkedin", "linkedin.com/in/janedoe/?trk=public"), "https://www.linkedin.com/in/janedoe");
+        assert.equal(normalize("linkedin", "https://www.linkedin.com/company/contoso"), "https://www.linkedin.com/company/contoso");
+        assert.equal(normalize("twitter", "https://twitter.com/janedoe/status/1"), "https://x.com/janedoe");
+        assert.equal(normalize("github", "github.com/janedoe/talks"), "https://github.com/janedoe");
+        assert.equal(normalize("bluesky", "https://bsky.app/profile/jane.dev/post/3k"), "https://bsky.app/profile/jane.dev");
+        assert.equal(normalize("mastodon", "https://hachyderm.io/@jane"), "https://hachyderm.io/@jane");
+        assert.equal(normalize("website", "example.com"), "https://example.com/");
+    });
+
+    it("rejects URLs that are not a profile on the field's network", () => {
+        assert.equal(normalize("linkedin", "https://github.com/janedoe"), "must be a LinkedIn handle or profile URL");
+        assert.equal(normalize("github", "github.com"), "must be a GitHub handle or profile URL");
+        assert.equal(normalize("mastodon", "@jane"), "must be a Mastodon handle or profile URL");
+    });
+
+    it("leaves non-URLs, empty strings and nulls for the schema to handle", () => {
+        assert.equal(normalize("twitter", "ftp://x.com/rick"), "ftp://x.com/rick");
+        assert.equal(normalize("website", "not a site"), "not a site");
+        assert.equal(normalize("github", "  "), "");
+        assert.deepEqual(normalizeSocialLinks({ twitter: null, name: "Jane" }), { data: { twitter: null, name: "Jane" }, errors: [] });
+    });
+});
@@ -0,0 +1,63 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { normalizeName, extractSpeakerNames, nameSimilarity, matchSpeaker, suggestAction } = require("../src/shared/speakerExtraction");
+
+describe("normalizeName", () => {
+    it("drops accents, punctuation, honorifics and credentials", () => {
+        assert.equal(normalizeName("Dr. José Pérez, MVP"), "jose perez");
+        assert.equal(normalizeName("  Rick   CLAUS "), "rick claus");
+    });
+});
+
+describe("extractSpeakerNames", () => {
+    it("finds names after Presented by and with, stopping at the sentence end", () => {
+        const names = extractSpeakerNames("A deep dive with Jane Doe and J. Smith. Presented by Dr. José Pérez. Register now!");
+
+        assert.deepEqual(names, [
+            { name: "José Pérez", source: "presented-by", confidence: 0.85 },
+            { name: "Jane Doe", source: "with", confidence: 0.6 },
+            { name: "J. Smith", source: "with", confidence: 0.6 }
+        ]);
+    });
+
+    it("ignores with followed by something other than a name", () => {
+        assert.deepEqual(extractSpeakerNames("Chat with the team. Build with Azure today"), []);
+    });
+
+    it("keeps one entry per name, splitting off credentials", () => {
+        const names = extractSpeakerNames("Speakers: Rick Claus, MVP, Rick Claus (Microsoft)\nPresented by Rick Claus");
+
+        assert.deepEqual(names, [{ name: "Rick Claus", source: "speaker", confidence: 0.9 }]);
+    });
+
+    it("scores single words lower than full names", () => {
+        const names = extractSpeakerNames("Speakers: Madonna, Jane Doe");
+
+        assert.deepEqual(names.map(n => [n.name, n.confidence]), [["Madonna", 0.36], ["Jane Doe", 0.9]]);
+    });
+});
+
+describe("nameSimilarity / matchSpeaker", () => {
+    const speakers = [
+        { id: "rick", name: "Rick Claus", aliases: [] },
+        { id: "jane", name: "Jane Doe", aliases: ["Janet Doe-Smith"] }
+    ];
+
+    it("scores typos and initials as close, different people as far", () => {
+        assert.equal(nameSimilarity("Rick Clause", "Rick Claus"), 0.91);
+        assert.equal(nameSimilarity("J. Doe", "Jane Doe"), 0.85);
+        assert.ok(nameSimilarity("John Smith", "Jane Doe") < 0.5);
+    });
+
+    it("matches against aliases and returns the best speaker", () => {
+        assert.deepEqual(matchSpeaker("janet doe smith", speakers), { speaker: speakers[1], score: 1 });
+        assert.equal(matchSpeaker("Someone Else", speakers), null);
+    });
+
+    it("suggests link, create or ignore", () => {
+        assert.equal(suggestAction({ name: "Rick Clause", confidence: 0.6 }, speakers).action, "link");
+        assert.equal(suggestAction({ name: "John Smith", confidence: 0.9 }, speakers).action, "create");
+        assert.equal(suggestAction({ name: "Madonna", confidence: 0.36 }, speakers).action, "ignore");
+    });
+});
@@ -0,0 +1,692 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { TABLES, resetStorage, createRequest, createContext, seed, listRows } = require("./helpers");
+const speakers = require("../src/functions/speakers");
+const schedule = require("../src/functions/schedule");
+
+const LINKS_TABLE = `${TABLES.schedule}SpeakerLinks`;
+
+function speaker(overrides = {}) {
+    return {
+        partitionKey: "speaker",
+        rowKey: "rick-claus-ab12",
+        name: "Rick Claus",
+        title: "Principal Cloud Advocate",
+        company: "Microsoft",
+        bio: "",
+        headshotFile: "Rick.png",
+        linkedin: "",
+        twitter: "",
+        sessionIds: JSON.stringify(["sess_1"]),
+        ...overrides
+    };
+}
+
+function session(rowKey, description) {
+    return {
+        partitionKey: "2026-02-05",
+        rowKey,
+        videoId: "dQw4w9WgXcQ",
+        title: rowKey,
+        description,
+        url: "",
+        startTime: "2026-02-05T15:00:00.000Z",
+        duration: 0
+    };
+}
+
+describe("speakers handlers", () => {
+    let context;
+
+    beforeEach(async () => {
+        resetStorage();
+        context = createContext();
+        await seed(TABLES.schedule, [session("sess_1", "")]);
+        await seed(TABLES.scheduleIndex, [{ partitionKey: "session", rowKey: "sess_1", datePartition: "2026-02-05" }]);
+    });
+
+    describe("getSpeakers", () => {
+        it("returns speakers sorted by name with parsed sessionIds", async () => {
+            await seed(TABLES.speakers, [
+                speaker({ rowKey: "zed-1", name: "Zed" }),
+                speaker({ rowKey: "amy-1", name: "Amy", sessionIds: "" })
+            ]);
+
+            const response = await speakers.getSpeakers(createRequest(), context);
+
+            assert.equal(response.status, 200);
+            assert.deepEqual(response.jsonBody.speakers.map(s => s.name), ["Amy", "Zed"]);
+            assert.deepEqual(response.jsonBody.speakers[0].sessionIds, []);
+            assert.deepEqual(response.jsonBody.speakers[1].sessionIds, ["sess_1"]);
+        });
+
+        it("counts sessionIds saved on the speaker without moving them", async () => {
+            await seed(TABLES.speakers, [speaker({ sessionIds: JSON.stringify(["sess_1", "sess_gone"]) })]);
+
+            const response = await speakers.getSpeakers(createRequest(), context);
+            const single = await speakers.getSpeaker(createRequest({ params: { id: "rick-claus-ab12" } }), context);
+            const scheduleResponse = await schedule.getSchedule(createRequest(), context);
+
+            assert.deepEqual(response.jsonBody.speakers[0].sessionIds, ["sess_1", "sess_gone"]);
+            assert.deepEqual(single.jsonBody.sessionIds, ["sess_1"]);
+            assert.deepEqual(scheduleResponse.jsonBody.schedule[0].speakers.map(s => s.id), ["rick-claus-ab12"]);
+            const [row] = await listRows(TABLES.speakers);
+            assert.equal(row.sessionIds, JSON.stringify(["sess_1", "sess_gone"]));
+            assert.deepEqual(await listRows(LINKS_TABLE), []);
+            assert.equal((await listRows(TABLES.scheduleIndex)).length, 1);
+        });
+
+        it("leaves the partition repair to move them into links, dropping deleted sessions", async () => {
+            await seed(TABLES.speakers, [speaker({ sessionIds: JSON.stringify(["sess_1", "sess_gone"]) })]);
+
+            const repair = await schedule.repairSchedulePartitions(createRequest(), context);
+
+            assert.deepEqual(repair.jsonBody.legacySessionsMoved, ["rick-claus-ab12"]);
+            const [row] = await listRows(TABLES.speakers);
+            assert.equal(row.sessionIds, undefined);
+            assert.deepEqual((await listRows(LINKS_TABLE)).map(r => r.partitionKey), ["session_sess_1", "speaker_rick-claus-ab12"]);
+            const response = await speakers.getSpeakers(createRequest(), context);
+            assert.deepEqual(response.jsonBody.speakers[0].sessionIds, ["sess_1"]);
+        });
+    });
+
+    describe("getSpeaker", () => {
+        it("returns a single speaker", async () => {
+            await seed(TABLES.speakers, [speaker()]);
+
+            const response = await speakers.getSpeaker(createRequest({ params: { id: "rick-claus-ab12" } }), context);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.jsonBody.name, "Rick Claus");
+            assert.deepEqual(response.jsonBody.sessionIds, ["sess_1"]);
+            assert.deepEqual(response.jsonBody.sessions, [{
+                id: "sess_1",
+                title: "sess_1",
+                startTime: "2026-02-05T15:00:00.000Z",
+                duration: 0,
+                track: "",
+                url: ""
+            }]);
+        });
+
+        it("returns 404 for an unknown id", async () => {
+            const response = await speakers.getSpeaker(createRequest({ params: { id: "nobody" } }), context);
+            assert.equal(response.status, 404);
+        });
+    });
+
+    describe("addSpeaker", () => {
+        it("creates a speaker with a slug id", async () => {
+            const response = await speakers.addSpeaker(createRequest({
+                body: { name: "Pierre Roman", company: "Microsoft", sessionIds: ["sess_1"] }
+            }), context);
+
+            assert.equal(response.status, 201);
+            assert.match(response.jsonBody.id, /^pierre-roman-[a-z0-9]+$/);
+
+            const [row] = await listRows(TABLES.speakers);
+            assert.equal(row.partitionKey, "speaker");
+            const links = await listRows(LINKS_TABLE);
+            assert.deepEqual(links.map(link => [link.partitionKey, link.rowKey]), [
+                ["session_sess_1", row.rowKey],
+                [`speaker_${row.rowKey}`, "sess_1"]
+            ]);
+        });
+
+        it("rejects sessions that do not exist", async () => {
+            const response = await speakers.addSpeaker(createRequest({
+                body: { name: "Pierre Roman", sessionIds: ["sess_1", "sess_9"] }
+            }), context);
+
+            assert.equal(response.status, 400);
+            assert.deepEqual(response.jsonBody.fields, [{ field: "sessionIds", message: "contains unknown sessions: sess_9" }]);
+            assert.equal((await listRows(TABLES.speakers)).length, 0);
+        });
+
+        it("stores profile fields, with social handles as canonical URLs", async () => {
+            const response = await speakers.addSpeaker(createRequest({
+                body: {
+                    name: "Jane Doe",
+                    twitter: "@janedoe",
+                    github: "github.com/janedoe",
+                    website: "janedoe.dev",
+                    bluesky: "janedoe.bsky.social",
+                    mastodon: "@jane@hachyderm.io",
+                    pronouns: "she/her",
+                    location: "Seattle, WA",
+                    badges: ["Microsoft MVP", " Microsoft MVP ", "Azure Hero"]
+                }
+            }), context);
+
+            assert.equal(response.status, 201);
+            const list = await speakers.getSpeakers(createRequest(), context);
+            const { id, etag, ...saved } = list.jsonBody.speakers[0];
+            assert.deepEqual(saved, {
+                name: "Jane Doe",
+                title: "",
+                company: "",
+                bio: "",
+                headshotFile: "",
+                headshotUrl: "",
+                linkedin: "",
+                twitter: "https://x.com/janedoe",
+                github: "https://github.com/janedoe",
+                website: "https://janedoe.dev/",
+                bluesky: "https://bsky.app/profile/janedoe.bsky.social",
+                mastodon: "https://hachyderm.io/@jane",
+                pronouns: "she/her",
+                location: "Seattle, WA",
+                badges: ["Microsoft MVP", "Azure Hero"],
+                aliases: [],
+                sessionIds: []
+            });
+        });
+    });
+
+    describe("addSpeaker validation", () => {
+        it("returns 400 when name is missing instead of crashing", async () => {
+            const response = await speakers.addSpeaker(createRequest({
+                body: { linkedin: "not a url", headshotFile: "../secret.jpg" }
+            }), context);
+
+            assert.equal(response.status, 400);
+            assert.deepEqual(response.jsonBody.fields.map(f => f.field), ["name", "headshotFile", "linkedin"]);
+            assert.equal((await listRows(TABLES.speakers)).length, 0);
+        });
+
+        it("reports links on the wrong network alongside schema errors, in field order", async () => {
+            const response = await speakers.addSpeaker(createRequest({
+                body: { name: "Jane Doe", github: "https://linkedin.com/in/janedoe", pronouns: "x".repeat(41) }
+            }), context);
+
+            assert.equal(response.status, 400);
+            assert.deepEqual(response.jsonBody.fields, [
+                { field: "github", message: "must be a GitHub handle or profile URL" },
+                { field: "pronouns", message: "must be at most 40 characters" }
+            ]);
+        });
+    });
+
+    describe("updateSpeaker", () => {
+        it("replaces the whole speaker, resetting omitted fields", async () => {
+            await seed(TABLES.speakers, [speaker({ twitter: "https://x.com/rick" })]);
+
+            const response = await speakers.updateSpeaker(createRequest({
+                params: { id: "rick-claus-ab12" },
+                body: { name: "Rick Claus", company: "Contoso" }
+            }), context);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.jsonBody.company, "Contoso");
+            assert.equal(response.jsonBody.title, "");
+            assert.equal(response.jsonBody.twitter, "");
+            assert.deepEqual(response.jsonBody.sessionIds, []);
+        });
+
+        it("requires a name", async () => {
+            await seed(TABLES.speakers, [speaker()]);
+
+            const response = await speakers.updateSpeaker(createRequest({
+                params: { id: "rick-claus-ab12" },
+                body: { company: "Contoso" }
+            }), context);
+
+            assert.equal(response.status, 400);
+            assert.deepEqual(response.jsonBody.fields, [{ field: "name", message: "is required" }]);
+        });
+
+        it("returns 404 for an unknown id", async () => {
+            const response = await speakers.updateSpeaker(createRequest({
+                params: { id: "nobody" },
+                body: { name: "x" }
+            }), context);
+
+            assert.equal(response.status, 404);
+        });
+    });
+
+    describe("patchSpeaker", () => {
+        it("rejects invalid social links", async () => {
+            await seed(TABLES.speakers, [speaker()]);
+
+            const response = await speakers.patchSpeaker(createRequest({
+                params: { id: "rick-claus-ab12" },
+                body: { twitter: "ftp://x.com/rick" }
+            }), context);
+
+            assert.equal(response.status, 400);
+            assert.deepEqual(response.jsonBody.fields, [{ field: "twitter", message: "must be an http(s) URL" }]);
+        });
+
+        it("clears fields sent as null and keeps absent ones", async () => {
+            await seed(TABLES.speakers, [speaker()]);
+
+            const response = await speakers.patchSpeaker(createRequest({
+                params: { id: "rick-claus-ab12" },
+                body: { headshotFile: null, sessionIds: null }
+            }), context);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.jsonBody.headshotFile, "");
+            assert.deepEqual(response.jsonBody.sessionIds, []);
+            assert.equal(response.jsonBody.company, "Microsoft");
+        });
+
+        it("overwrites provided fields, including empty strings", async () => {
+            await seed(TABLES.speakers, [speaker({ twitter: "https://x.com/rick" })]);
+
+            const response = await speakers.patchSpeaker(createRequest({
+                params: { id: "rick-claus-ab12" },
+                body: { company: "Contoso", twitter: "" }
+            }), context);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.jsonBody.company, "Contoso");
+            assert.equal(response.jsonBody.twitter, "");
+            assert.equal(response.jsonBody.name, "Rick Claus");
+            assert.deepEqual(response.jsonBody.sessionIds, ["sess_1"]);
+        });
+
+        it("normalizes links it is sent and clears badges sent as null", async () => {
+            await seed(TABLES.speakers, [speaker({ badges: JSON.stringify(["Microsoft MVP"]) })]);
+
+            const response = await speakers.patchSpeaker(createRequest({
+                params: { id: "rick-claus-ab12" },
+                body: { github: "@rickclaus", badges: null }
+            }), context);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.jsonBody.github, "https://github.com/rickclaus");
+            assert.deepEqual(response.jsonBody.badges, []);
+            assert.equal(response.jsonBody.company, "Microsoft");
+        });
+
+        it("returns 404 for an unknown id", async () => {
+            const response = await speakers.patchSpeaker(createRequest({
+                params: { id: "nobody" },
+                body: { name: "x" }
+            }), context);
+
+            assert.equal(response.status, 404);
+        });
+    });
+
+    describe("optimistic concurrency", () => {
+        it("returns the etag in the body and ETag header", async () => {
+            await seed(TABLES.speakers, [speaker()]);
+
+            const response = await speakers.getSpeaker(createRequest({ params: { id: "rick-claus-ab12" } }), context);
+
+            assert.match(response.jsonBody.etag, /^W\//);
+            assert.equal(response.headers.ETag, response.jsonBody.etag);
+        });
+
+        it("applies a PATCH whose If-Match is current", async () => {
+            await seed(TABLES.speakers, [speaker()]);
+            const { etag } = (await speakers.getSpeaker(createRequest({ params: { id: "rick-claus-ab12" } }), context)).jsonBody;
+
+            const response = await speakers.patchSpeaker(createRequest({
+                params: { id: "rick-claus-ab12" },
+                headers: { "If-Match": etag },
+                body: { company: "Contoso" }
+            }), context);
+
+            assert.equal(response.status, 200);
+            assert.notEqual(response.jsonBody.etag, etag);
+        });
+
+        it("accepts the etag a GET returned for a speaker with legacy sessionIds, linking them", async () => {
+            await seed(TABLES.speakers, [speaker()]);
+            const { etag } = (await speakers.getSpeaker(createRequest({ params: { id: "rick-claus-ab12" } }), context)).jsonBody;
+
+            const response = await speakers.patchSpeaker(createRequest({
+                params: { id: "rick-claus-ab12" },
+                headers: { "If-Match": etag },
+                body: { company: "Contoso" }
+            }), context);
+
+            assert.equal(response.status, 200);
+            assert.deepEqual(response.jsonBody.sessionIds, ["sess_1"]);
+            const [row] = await listRows(TABLES.speakers);
+            assert.equal(row.sessionIds, undefined);
+            assert.equal((await listRows(LINKS_TABLE)).length, 2);
+        });
+
+        it("rejects stale PUT, PATCH and DELETE with 412 and the current speaker", async () => {
+            await seed(TABLES.speakers, [speaker()]);
+            const headers = { "If-Match": "W/\"stale\"" };
+            const params = { id: "rick-claus-ab12" };
+
+            const responses = [
+                await speakers.updateSpeaker(createRequest({ params, headers, body: { name: "Someone" } }), context),
+                await speakers.patchSpeaker(createRequest({ params, headers, body: { name: "Someone" } }), context),
+                await speakers.deleteSpeaker(createRequest({ params, headers }), context)
+            ];
+
+            assert.deepEqual(responses.map(r => r.status), [412, 412, 412]);
+            assert.equal(responses[0].jsonBody.current.name, "Rick Claus");
+            const [row] = await listRows(TABLES.speakers);
+            assert.equal(row.name, "Rick Claus");
+        });
+    });
+
+    describe("exportSpeakers", () => {
+        it("exports CSV with list columns joined and formula-looking values quoted", async () => {
+            await seed(TABLES.speakers, [speaker({ bio: "=HYPERLINK(\"x\")", badges: JSON.stringify(["MVP", "Azure Hero"]) })]);
+
+            const response = await speakers.exportSpeakers(createRequest({ query: { format: "csv" } }), context);
+            const [header, row] = response.body.trim().split("\n");
+
+            assert.equal(response.headers["Content-Type"], "text/csv");
+            assert.equal(header, "id,name,title,company,bio,headshotFile,headshotUrl,linkedin,twitter,github,website,bluesky,mastodon,pronouns,location,badges,aliases,sessionIds");
+            assert.equal(row, 'rick-claus-ab12,Rick Claus,Principal Cloud Advocate,Microsoft,"\'=HYPERLINK(""x"")",Rick.png,,,,,,,,,,MVP;Azure Hero,,sess_1');
+        });
+
+        it("round-trips through import unchanged, as CSV and as JSON", async () => {
+            await seed(TABLES.speakers, [speaker({ bio: "-- says hi, twice\n\"really\"", badges: JSON.stringify(["MVP"]) })]);
+
+            for (const format of ["csv", "json"]) {
+                const exported = await speakers.exportSpeakers(createRequest({ query: { format } }), context);
+                const response = await speakers.importSpeakers(createRequest({ method: "POST", body: exported.body }), context);
+
+                assert.deepEqual(response.jsonBody.results, [{ row: format === "csv" ? 2 : 1, status: "unchanged", id: "rick-claus-ab12" }]);
+            }
+        });
+    });
+
+    describe("importSpeakers", () => {
+        it("updates by id or name, creates the rest and reports each row", async () => {
+            await seed(TABLES.speakers, [
+                speaker(),
+                speaker({ rowKey: "jane-doe-1", name: "Jane Doe", company: "Contoso", sessionIds: "" })
+            ]);
+            const csv = [
+                "id,name,company,github,sessionIds",
+                "rick-claus-ab12,Rick Claus,Fabrikam,@rickclaus,sess_1",
+                ",Jane Doe,Contoso,,",
+                ",Sam Lee,,samlee,sess_1;sess_old",
+                ",,Nobody,,"
+            ].join("\n");
+
+            const response = await speakers.importSpeakers(createRequest({ method: "POST", body: csv }), context);
+
+            assert.equal(response.status, 200);
+            assert.deepEqual(
+                { ...response.jsonBody, results: undefined },
+                { message: "Import completed", created: 1, updated: 1, unchanged: 1, failed: 1, results: undefined }
+            );
+            const [rick, jane, sam, nobody] = response.jsonBody.results;
+            assert.deepEqual(rick, { row: 2, status: "updated", id: "rick-claus-ab12" });
+            assert.deepEqual(jane, { row: 3, status: "unchanged", id: "jane-doe-1" });
+            assert.equal(sam.status, "created");
+            assert.equal(sam.warning, "Skipped unknown sessions: sess_old");
+            assert.deepEqual(nobody, { row: 5, status: "failed", error: "name is required" });
+
+            const list = (await speakers.getSpeakers(createRequest(), context)).jsonBody.speakers;
+            assert.deepEqual(list.map(s => [s.name, s.company, s.github, s.title, s.sessionIds]), [
+                ["Jane Doe", "Contoso", "", "Principal Cloud Advocate", []],
+                ["Rick Claus", "Fabrikam", "https://github.com/rickclaus", "Principal Cloud Advocate", ["sess_1"]],
+                ["Sam Lee", "", "https://github.com/samlee", "", ["sess_1"]]
+            ]);
+        });
+
+        it("imports JSON, keeping valid ids and reporting bad rows", async () => {
+            const body = [
+                { id: "jane-doe-2025", name: "Jane Doe", badges: ["MVP"] },
+                { id: "../etc", name: "Bad Id" },
+                { name: "Rick Claus", twitter: "https://github.com/rick" },
+                "not a speaker"
+            ];
+
+            const response = await speakers.importSpeakers(createRequest({ method: "POST", body }), context);
+
+            assert.deepEqual(response.jsonBody.results, [
+                { row: 1, status: "created", id: "jane-doe-2025" },
+                { row: 2, status: "failed", error: "id must be lowercase letters, digits and hyphens" },
+                { row: 3, status: "failed", error: "twitter must be a X/Twitter handle or profile URL" },
+                { row: 4, status: "failed", error: "must be a JSON object" }
+            ]);
+            assert.deepEqual((await listRows(TABLES.speakers)).map(row => row.rowKey), ["jane-doe-2025"]);
+        });
+
+        it("fails a row whose name matches several speakers", async () => {
+            await seed(TABLES.speakers, [speaker(), speaker({ rowKey: "rick-claus-zz99" })]);
+
+            const response = await speakers.importSpeakers(createRequest({ method: "POST", body: "name,company\nRick Claus,Contoso" }), context);
+
+            assert.deepEqual(response.jsonBody.results, [
+                { row: 2, status: "failed", error: "name matches 2 speakers; add an id column to choose one" }
+            ]);
+        });
+
+        it("rejects bodies without speakers", async () => {
+            const noColumns = await speakers.importSpeakers(createRequest({ method: "POST", body: "title\nCTO" }), context);
+            const notJson = await speakers.importSpeakers(createRequest({ method: "POST", body: "{ nope" }), context);
+
+            assert.equal(noColumns.status, 400);
+            assert.equal(noColumns.jsonBody.error, "Missing required column: name or id");
+            assert.equal(notJson.status, 400);
+        });
+    });
+
+    describe("deleteSpeaker", () => {
+        it("deletes an existing speaker", async () => {
+            await seed(TABLES.speakers, [speaker()]);
+
+            const response = await speakers.deleteSpeaker(createRequest({ params: { id: "rick-claus-ab12" } }), context);
+
+            assert.equal(response.status, 200);
+            assert.equal((await listRows(TABLES.speakers)).length, 0);
+        });
+
+        it("returns 404 for an unknown id", async () => {
+            const response = await speakers.deleteSpeaker(createRequest({ params: { id: "nobody" } }), context);
+            assert.equal(response.status, 404);
+        });
+    });
+
+    describe("extractSpeakers", () => {
+        it("queues proposals for cleaned-up names without writing speakers", async () => {
+            await seed(TABLES.schedule, [
+                session("sess_a", "Deep dive into VNets.\nSpeakers: Jane Doe - Principal PM, John Smith (MVP)\nMore at https://aka.ms/x"),
+                session("sess_b", "speaker: 1. Jane Doe\n\nRegister now"),
+                session("sess_c", "Speaker: https://example.com, @handle, Al")
+            ]);
+
+            const response = await speakers.extractSpeakers(createRequest(), context);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.jsonBody.proposed, 2);
+            const byName = Object.fromEntries(response.jsonBody.proposals.map(p => [p.name, p]));
+            assert.deepEqual(byName["Jane Doe"].sessionIds, ["sess_a", "sess_b"]);
+            assert.equal(byName["Jane Doe"].action, "create");
+            assert.equal(byName["John Smith"].confidence, 0.9);
+            assert.equal((await listRows(TABLES.speakers)).length, 0);
+
+            const queue = await speakers.getSpeakerProposals(createRequest(), context);
+            assert.deepEqual(queue.jsonBody.proposals.map(p => p.id), ["p-jane-doe", "p-john-smith"]);
+        });
+
+        it("proposes links to existing speakers by fuzzy match and alias", async () => {
+            await seed(TABLES.speakers, [speaker(), speaker({ rowKey: "jane-doe-cd34", name: "Jane Doe", sessionIds: "[]", aliases: JSON.stringify(["Janet Q. Doe"]) })]);
+            await seed(TABLES.schedule, [
+                session("sess_2", "Speaker: Rick Claus, MVP"),
+                session("sess_3", "A chat with Rick Clause and Janet Q. Doe")
+            ]);
+
+            const response = await speakers.extractSpeakers(createRequest(), context);
+
+            const byName = Object.fromEntries(response.jsonBody.proposals.map(p => [p.name, p]));
+            assert.deepEqual(
+                Object.fromEntries(Object.entries(byName).map(([name, p]) => [name, [p.action, p.speakerId, p.confidence]])),
+                {
+                    "Rick Claus": ["link", "rick-claus-ab12", 1],
+                    "Rick Clause": ["link", "rick-claus-ab12", 0.91],
+                    "Janet Q. Doe": ["link", "jane-doe-cd34", 1]
+                }
+            );
+        });
+
+        it("skips names already linked and names rejected before", async () => {
+            await seed(TABLES.speakers, [speaker({ sessionIds: JSON.stringify(["sess_2"]) })]);
+            await seed(TABLES.schedule, [
+                session("sess_2", "Speaker: Rick Claus"),
+                session("sess_3", "Presented by The Cloud Team")
+            ]);
+            await speakers.extractSpeakers(createRequest(), context);
+            await speakers.reviewSpeakerProposals(createRequest({
+                method: "POST",
+                body: { decisions: [{ id: "p-the-cloud-team", decision: "reject" }] }
+            }), context);
+
+            const again = await speakers.extractSpeakers(createRequest(), context);
+            const rejected = await speakers.getSpeakerProposals(createRequest({ query: { status: "rejected" } }), context);
+
+            assert.equal(again.jsonBody.proposed, 0);
+            assert.equal(again.jsonBody.skipped, 2);
+            assert.deepEqual(rejected.jsonBody.proposals.map(p => p.name), ["The Cloud Team"]);
+        });
+    });
+
+    describe("reviewSpeakerProposals", () => {
+        it("applies accepted proposals, with overrides, and reports each decision", async () => {
+            await seed(TABLES.speakers, [speaker()]);
+            await seed(TABLES.schedule, [
+                session("sess_2", "A chat with Rick Clause and Jane Doe"),
+                session("sess_3", "Speaker: Jon Smyth")
+            ]);
+            await speakers.extractSpeakers(createRequest(), context);
+
+            const response = await speakers.reviewSpeakerProposals(createRequest({
+                method: "POST",
+                body: {
+                    decisions: [
+                        { id: "p-rick-clause", decision: "accept" },
+                        { id: "p-jane-doe", decision: "accept" },
+                        { id: "p-jon-smyth", decision: "accept", name: "John Smith" },
+                        { id: "p-nobody", decision: "accept" },
+                        { id: "p-jane-doe", decision: "maybe" }
+                    ]
+                }
+            }), context);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.jsonBody.accepted, 3);
+            assert.equal(response.jsonBody.failed, 2);
+            assert.deepEqual(response.jsonBody.results.map(r => r.status), [200, 201, 201, 404, 400]);
+
+            const list = await speakers.getSpeakers(createRequest(), context);
+            const byName = Object.fromEntries(list.jsonBody.speakers.map(s => [s.name, s]));
+            assert.deepEqual(byName["Rick Claus"].sessionIds, ["sess_1", "sess_2"]);
+            assert.deepEqual(byName["Rick Claus"].aliases, ["Rick Clause"]);
+            assert.deepEqual(byName["Jane Doe"].sessionIds, ["sess_2"]);
+            assert.deepEqual(byName["John Smith"].aliases, ["Jon Smyth"]);
+
+            const queue = await speakers.getSpeakerProposals(createRequest(), context);
+            assert.deepEqual(queue.jsonBody.proposals, []);
+        });
+
+        it("links to a different speaker than proposed and rejects ignored ones", async () => {
+            await seed(TABLES.speakers, [speaker()]);
+            await seed(TABLES.schedule, [session("sess_2", "Speaker: R. C.\nHosted by Someone")]);
+            await speakers.extractSpeakers(createRequest(), context);
+            const queue = await speakers.getSpeakerProposals(createRequest(), context);
+            assert.deepEqual(queue.jsonBody.proposals.map(p => [p.name, p.action]), [["R. C.", "ignore"], ["Someone", "ignore"]]);
+
+            const response = await speakers.reviewSpeakerProposals(createRequest({
+                method: "POST",
+                body: {
+                    decisions: [
+                        { id: "p-r-c", decision: "accept", action: "link", speakerId: "rick-claus-ab12" },
+                        { id: "p-someone", decision: "accept" }
+                    ]
+                }
+            }), context);
+
+            assert.deepEqual(response.jsonBody.results.map(r => [r.status, r.action]), [[200, "link"], [200, "ignore"]]);
+            const fetched = await speakers.getSpeaker(createRequest({ params: { id: "rick-claus-ab12" } }), context);
+            assert.deepEqual(fetched.jsonBody.sessionIds, ["sess_1", "sess_2"]);
+            const rejected = await speakers.getSpeakerProposals(createRequest({ query: { status: "rejected" } }), context);
+            assert.deepEqual(rejected.jsonBody.proposals.map(p => p.id), ["p-someone"]);
+        });
+
+        it("requires a list of decisions", async () => {
+            const response = await speakers.reviewSpeakerProposals(createRequest({ method: "POST", body: { decisions: [] } }), context);
+
+            assert.equal(response.status, 400);
+            assert.deepEqual(response.jsonBody.fields.map(f => f.field), ["decisions"]);
+        });
+    });
+
+    describe("session links", () => {
+        it("embeds speaker summaries in each session", async () => {
+            await seed(TABLES.speakers, [speaker()]);
+
+            const scheduleResponse = await schedule.getSchedule(createRequest(), context);
+
+            assert.deepEqual(scheduleResponse.jsonBody.schedule[0].speakers, [{
+                id: "rick-claus-ab12",
+                name: "Rick Claus",
+                title: "Principal Cloud Advocate",
+                company: "Microsoft",
+                headshotFile: "Rick.png",
+                headshotUrl: ""
+            }]);
+        });
+
+        it("removes links when a session or speaker is deleted", async () => {
+            await seed(TABLES.schedule, [session("sess_2", "")]);
+            await seed(TABLES.speakers, [
+                speaker({ sessionIds: JSON.stringify(["sess_1", "sess_2"]) }),
+                speaker({ rowKey: "amy-1", name: "Amy", sessionIds: JSON.stringify(["sess_2"]) })
+            ]);
+            await schedule.repairSchedulePartitions(createRequest(), context);
+
+            await schedule.deleteScheduleItem(createRequest({ params: { id: "sess_1" } }), context);
+            await speakers.deleteSpeaker(createRequest({ params: { id: "amy-1" } }), context);
+
+            const links = await listRows(LINKS_TABLE);
+            assert.deepEqual(links.map(link => [link.sessionId, link.speakerId]), [
+                ["sess_2", "rick-claus-ab12"],
+                ["sess_2", "rick-claus-ab12"]
+            ]);
+            const rick = await speakers.getSpeaker(createRequest({ params: { id: "rick-claus-ab12" } }), context);
+            assert.deepEqual(rick.jsonBody.sessionIds, ["sess_2"]);
+        });
+
+        it("leaves stale links alone on reads and removes them in the partition repair", async () => {
+            await seed(TABLES.speakers, [speaker({ sessionIds: undefined })]);
+            const link = (sessionId, speakerId) => [
+                { partitionKey: `session_${sessionId}`, rowKey: speakerId, sessionId, speakerId },
+                { partitionKey: `speaker_${speakerId}`, rowKey: sessionId, sessionId, speakerId }
+            ];
+            await seed(LINKS_TABLE, [...link("sess_1", "rick-claus-ab12"), ...link("sess_gone", "rick-claus-ab12"), ...link("sess_1", "gone-1")]);
+
+            const scheduleResponse = await schedule.getSchedule(createRequest(), context);
+            const rick = await speakers.getSpeaker(createRequest({ params: { id: "rick-claus-ab12" } }), context);
+            assert.deepEqual(scheduleResponse.jsonBody.schedule[0].speakers.map(s => s.id), ["rick-claus-ab12"]);
+            assert.deepEqual(rick.jsonBody.sessionIds, ["sess_1"]);
+            assert.equal((await listRows(LINKS_TABLE)).length, 6);
+
+            const repair = await schedule.repairSchedulePartitions(createRequest(), context);
+            assert.deepEqual(repair.jsonBody.staleLinksRemoved.map(l => [l.sessionId, l.speakerId]).sort(), [
+                ["sess_1", "gone-1"],
+                ["sess_gone", "rick-claus-ab12"]
+            ]);
+            assert.deepEqual((await listRows(LINKS_TABLE)).map(l => [l.sessionId, l.speakerId]), [
+                ["sess_1", "rick-claus-ab12"],
+                ["sess_1", "rick-claus-ab12"]
+            ]);
+        });
+
+        it("drops links to sessions removed by a batch", async () => {
+            await seed(TABLES.speakers, [speaker()]);
+            await schedule.repairSchedulePartitions(createRequest(), context);
+
+            await schedule.scheduleBatch(createRequest({ body: { operations: [{ op: "delete", id: "sess_1" }] } }), context);
+
+            assert.deepEqual(await listRows(LINKS_TABLE), []);
+        });
+    });
+});
@@ -0,0 +1,101 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { TABLES, resetStorage, seed, listRows } = require("./helpers");
+const storage = require("../src/shared/storage");
+const { runTableTransactions } = require("../src/shared/tableBatch");
+
+function row(partitionKey, rowKey) {
+    return { partitionKey, rowKey, title: rowKey };
+}
+
+describe("runTableTransactions", () => {
+    let client;
+
+    beforeEach(async () => {
+        resetStorage();
+        client = storage.getTableClient(TABLES.schedule);
+        await seed(TABLES.schedule, [row("2026-02-05", "a")]);
+    });
+
+    it("applies steps across partitions and returns the new etags", async () => {
+        const { failed, etags } = await runTableTransactions(client, [
+            { key: 0, action: ["create", row("2026-02-06", "b")], undo: ["delete", row("2026-02-06", "b")] },
+            { key: 1, action: ["delete", row("2026-02-05", "a")], undo: ["upsert", row("2026-02-05", "a"), "Replace"] }
+        ]);
+
+        assert.equal(failed.size, 0);
+        assert.ok(etags.get("2026-02-06/b"));
+        assert.deepEqual((await listRows(TABLES.schedule)).map(r => r.rowKey), ["b"]);
+    });
+
+    it("undoes every applied step in atomic mode when a transaction fails", async () => {
+        const { failed, rolledBack } = await runTableTransactions(client, [
+            { key: 0, action: ["delete", row("2026-02-05", "a")], undo: ["upsert", row("2026-02-05", "a"), "Replace"] },
+            { key: 1, action: ["delete", row("2026-02-06", "missing")], undo: ["upsert", row("2026-02-06", "missing"), "Replace"] }
+        ], { atomic: true });
+
+        assert.equal(rolledBack, true);
+        assert.equal(failed.get(1).statusCode, 404);
+        assert.deepEqual((await listRows(TABLES.schedule)).map(r => r.rowKey), ["a"]);
+    });
+
+    it("otherwise only undoes the other steps of a failed operation", async () => {
+        const { failed, rolledBack } = await runTableTransactions(client, [
+            { key: 0, action: ["create", row("2026-02-07", "c")], undo: ["delete", row("2026-02-07", "c")] },
+            { key: 1, action: ["create", row("2026-02-06", "moved")], undo: ["delete", row("2026-02-06", "moved")] },
+            { key: 1, action: ["delete", row("2026-02-05", "gone")], undo: ["upsert", row("2026-02-05", "gone"), "Replace"] }
+        ]);
+
+        assert.equal(rolledBack, false);
+        assert.deepEqual([...failed.keys()], [1]);
+        assert.deepEqual((await listRows(TABLES.schedule)).map(r => r.rowKey).sort(), ["a", "c"]);
+    });
+
+    it("does not delete a row edited since its etag was read", async () => {
+        const [stale] = await listRows(TABLES.schedule);
+        await client.updateEntity({ ...row("2026-02-05", "a"), title: "Edited" }, "Replace");
+
+        const { failed } = await runTableTransactions(client, [
+            { key: 0, action: ["delete", stale, { etag: stale.etag }], undo: ["upsert", row("2026-02-05", "a"), "Replace"] }
+        ]);
+
+        assert.equal(failed.get(0).statusCode, 412);
+        assert.deepEqual((await listRows(TABLES.schedule)).map(r => r.title), ["Edited"]);
+    });
+});
+
+describe("LocalTableClient.submitTransaction", () => {
+    beforeEach(() => resetStorage());
+
+    it("leaves the partition untouched when one action fails", async () => {
+        await seed(TABLES.schedule, [row("2026-02-05", "a")]);
+        const client = storage.getTableClient(TABLES.schedule);
+
+        await assert.rejects(client.submitTransaction([
+            ["delete", row("2026-02-05", "a")],
+            ["create", row("2026-02-05", "a2")],
+            ["update", row("2026-02-05", "missing"), "Replace"]
+        ]), error => error.statusCode === 404);
+
+        assert.deepEqual((await listRows(TABLES.schedule)).map(r => r.rowKey), ["a"]);
+    });
+
+    it("ignores the etag of a delete, as the SDK does", async () => {
+        await seed(TABLES.schedule, [row("2026-02-05", "a")]);
+        const client = storage.getTableClient(TABLES.schedule);
+
+        await client.submitTransaction([["delete", row("2026-02-05", "a"), { etag: "W/\"stale\"" }]]);
+
+        assert.deepEqual(await listRows(TABLES.schedule), []);
+    });
+
+    it("rejects actions on more than one partition", async () => {
+        const client = storage.getTableClient(TABLES.schedule);
+
+        await assert.rejects(client.submitTransaction([
+            ["create", row("2026-02-05", "a")],
+            ["create", row("2026-02-06", "b")]
+        ]), error => error.code === "CommandsInBatchActOnDifferentPartitions");
+    });
+});
@@ -0,0 +1,60 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { getEventTimezone, isValidTimeZoneOrOffset, zonedTimeToUtc, parseEventDateTime } = require("../src/shared/timezone");
+
+describe("getEventTimezone", () => {
+    afterEach(() => {
+        delete process.env.EVENT_TIMEZONE;
+    });
+
+    it("defaults to America/New_York", () => {
+        assert.equal(getEventTimezone(), "America/New_York");
+    });
+
+    it("uses EVENT_TIMEZONE when it is a known zone", () => {
+        process.env.EVENT_TIMEZONE = "Asia/Tokyo";
+        assert.equal(getEventTimezone(), "Asia/Tokyo");
+
+        process.env.EVENT_TIMEZONE = "Not/AZone";
+        assert.equal(getEventTimezone(), "America/New_York");
+    });
+});
+
+describe("zonedTimeToUtc", () => {
+    it("applies standard and daylight time offsets", () => {
+        assert.equal(zonedTimeToUtc("2026-02-05T10:00", "America/New_York").toISOString(), "2026-02-05T15:00:00.000Z");
+        assert.equal(zonedTimeToUtc("2026-07-05T10:00", "America/New_York").toISOString(), "2026-07-05T14:00:00.000Z");
+        assert.equal(zonedTimeToUtc("2026-06-01T09:00:30", "Asia/Kolkata").toISOString(), "2026-06-01T03:30:30.000Z");
+    });
+
+    it("moves times skipped by spring-forward past the gap", () => {
+        // 02:30 does not exist on 2026-03-08 in New York; it becomes 03:30 EDT
+        assert.equal(zonedTimeToUtc("2026-03-08T02:30", "America/New_York").toISOString(), "2026-03-08T07:30:00.000Z");
+    });
+
+    it("uses the first occurrence of times repeated by fall-back", () => {
+        // 01:30 happens twice on 2026-11-01 in New York; the EDT one comes first
+        assert.equal(zonedTimeToUtc("2026-11-01T01:30", "America/New_York").toISOString(), "2026-11-01T05:30:00.000Z");
+    });
+
+    it("returns an invalid date for unreadable input", () => {
+        assert.ok(isNaN(zonedTimeToUtc("tomorrow", "America/New_York").getTime()));
+    });
+});
+
+describe("parseEventDateTime", () => {
+    it("keeps explicit offsets and reads bare times in the given zone or offset", () => {
+        assert.equal(parseEventDateTime("2026-02-05T10:00:00Z", "Europe/Paris").toISOString(), "2026-02-05T10:00:00.000Z");
+        assert.equal(parseEventDateTime("2026-02-05T10:00+01:00", "America/New_York").toISOString(), "2026-02-05T09:00:00.000Z");
+        assert.equal(parseEventDateTime("2026-02-05T10:00", "-05:00").toISOString(), "2026-02-05T15:00:00.000Z");
+        assert.equal(parseEventDateTime("2026-02-05T10:00", "Europe/Paris").toISOString(), "2026-02-05T09:00:00.000Z");
+    });
+
+    it("accepts IANA zones and fixed offsets only", () => {
+        assert.ok(isValidTimeZoneOrOffset("Europe/London"));
+        assert.ok(isValidTimeZoneOrOffset("+05:30"));
+        assert.ok(!isValidTimeZoneOrOffset("EST5EDT-ish"));
+        assert.ok(!isValidTimeZoneOrOffset(""));
+    });
+});
@@ -0,0 +1,214 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { TABLES, resetStorage, createRequest, createContext, signedIn, seed, listRows } = require("./helpers");
+const trash = require("../src/functions/trash");
+const schedule = require("../src/functions/schedule");
+const speakers = require("../src/functions/speakers");
+const audit = require("../src/functions/audit");
+
+const TRASH_TABLE = `${TABLES.schedule}Trash`;
+const EDITOR = signedIn("editor@contoso.com");
+
+function item(overrides = {}) {
+    return {
+        videoId: "dQw4w9WgXcQ",
+        title: "Keynote",
+        startTime: "2026-02-05T15:00:00.000Z",
+        duration: 1800,
+        ...overrides
+    };
+}
+
+async function addSession(overrides, context) {
+    const response = await schedule.addScheduleItem(createRequest({ method: "POST", body: item(overrides) }), context);
+    assert.equal(response.status, 201);
+    return response.jsonBody.id;
+}
+
+async function addSpeaker(body, context) {
+    const response = await speakers.addSpeaker(createRequest({ method: "POST", body }), context);
+    assert.equal(response.status, 201);
+    return response.jsonBody.id;
+}
+
+async function listTrash(query = {}) {
+    const response = await trash.getTrash(createRequest({ query }), createContext());
+    assert.equal(response.status, 200);
+    return response.jsonBody.items;
+}
+
+function restore(items, context) {
+    return trash.restoreTrash(createRequest({ method: "POST", headers: EDITOR, body: { items } }), context);
+}
+
+describe("trash", () => {
+    let context;
+
+    beforeEach(() => {
+        resetStorage();
+        delete process.env.TRASH_RETENTION_DAYS;
+        context = createContext();
+    });
+
+    it("keeps a deleted session with its speakers and restores it as it was", async () => {
+        const id = await addSession({ tags: ["azure"], track: "Main" }, context);
+        const speakerId = await addSpeaker({ name: "Rick Claus", sessionIds: [id] }, context);
+
+        const deleted = await schedule.deleteScheduleItem(createRequest({ method: "DELETE", headers: EDITOR, params: { id } }), context);
+        assert.equal(deleted.status, 200);
+        assert.ok(deleted.jsonBody.restorableUntil > new Date().toISOString());
+
+        const [entry] = await listTrash();
+        assert.equal(entry.type, "session");
+        assert.equal(entry.id, id);
+        assert.equal(entry.name, "Keynote");
+        assert.equal(entry.deletedBy, "editor@contoso.com");
+        assert.equal(entry.expiresAt, deleted.jsonBody.restorableUntil);
+        assert.deepEqual(entry.links, [speakerId]);
+        assert.deepEqual(entry.item.tags, ["azure"]);
+
+        const response = await restore([{ type: "session", id }], context);
+        assert.equal(response.status, 200);
+        assert.equal(response.jsonBody.restored, 1);
+        assert.deepEqual(response.jsonBody.results[0].links, [speakerId]);
+
+        const restored = await schedule.getScheduleItem(createRequest({ params: { id } }), context);
+        assert.equal(restored.status, 200);
+        assert.equal(restored.jsonBody.title, "Keynote");
+        assert.equal(restored.jsonBody.track, "Main");
+        assert.deepEqual(restored.jsonBody.tags, ["azure"]);
+        const speaker = await speakers.getSpeaker(createRequest({ params: { id: speakerId } }), context);
+        assert.deepEqual(speaker.jsonBody.sessionIds, [id]);
+        assert.deepEqual(await listTrash(), []);
+    });
+
+    it("restores a speaker linked to those of their sessions that still exist", async () => {
+        const kept = await addSession({ title: "Kept" }, context);
+        const removed = await addSession({ title: "Removed", startTime: "2026-02-05T17:00:00.000Z" }, context);
+        const id = await addSpeaker({ name: "Rick Claus", bio: "Cloud advocate", badges: ["MVP"], sessionIds: [kept, removed] }, context);
+
+        await speakers.deleteSpeaker(createRequest({ method: "DELETE", params: { id } }), context);
+        await schedule.deleteScheduleItem(createRequest({ method: "DELETE", params: { id: removed } }), context);
+        assert.equal((await speakers.getSpeaker(createRequest({ params: { id } }), context)).status, 404);
+
+        const [entry] = await listTrash({ type: "speaker" });
+        assert.equal(entry.name, "Rick Claus");
+        assert.equal(entry.deletedBy, "anonymous");
+        assert.deepEqual(entry.links.sort(), [kept, removed].sort());
+
+        const response = await restore([{ type: "speaker", id }], context);
+        assert.deepEqual(response.jsonBody.results[0].links, [kept]);
+
+        const speaker = await speakers.getSpeaker(createRequest({ params: { id } }), context);
+        assert.equal(speaker.jsonBody.bio, "Cloud advocate");
+        assert.deepEqual(speaker.jsonBody.badges, ["MVP"]);
+        assert.deepEqual(speaker.jsonBody.sessionIds, [kept]);
+        assert.deepEqual((await listTrash()).map(entry => entry.id), [removed]);
+    });
+
+    it("keeps the sessions a batch deletes, and none when the batch is not applied", async () => {
+        const first = await addSession({ title: "One" }, context);
+        const second = await addSession({ title: "Two", startTime: "2026-02-06T15:00:00.000Z" }, context);
+
+        const failed = await schedule.scheduleBatch(createRequest({
+            method: "POST",
+            body: { atomic: true, operations: [{ op: "delete", id: first }, { op: "delete", id: "missing" }] }
+        }), context);
+        assert.equal(failed.status, 409);
+        assert.deepEqual(await listTrash(), []);
+
+        await schedule.scheduleBatch(createRequest({
+            method: "POST",
+            headers: EDITOR,
+            body: { operations: [{ op: "delete", id: first }, { op: "delete", id: second }] }
+        }), context);
+        assert.deepEqual((await listTrash()).map(entry => entry.id).sort(), [first, second].sort());
+
+        const response = await restore([{ type: "session", id: first }, { type: "session", id: second }], context);
+        assert.equal(response.jsonBody.restored, 2);
+        const { jsonBody } = await schedule.getSchedule(createRequest(), context);
+        assert.deepEqual(jsonBody.schedule.map(session => session.title).sort(), ["One", "Two"]);
+    });
+
+    it("does not keep a session whose delete failed", async () => {
+        const id = await addSession({}, context);
+
+        const response = await schedule.deleteScheduleItem(createRequest({
+            method: "DELETE",
+            params: { id },
+            headers: { "If-Match": 'W/"stale"' }
+        }), context);
+
+        assert.equal(response.status, 412);
+        assert.deepEqual(await listTrash(), []);
+    });
+
+    it("reports each record it cannot restore", async () => {
+        await seed(TABLES.schedule, [{ partitionKey: "2026-02-05", rowKey: "sess_1", ...item(), tags: "[]" }]);
+        await schedule.deleteScheduleItem(createRequest({ method: "DELETE", params: { id: "sess_1" } }), context);
+        await seed(TABLES.schedule, [{ partitionKey: "2026-02-05", rowKey: "sess_1", ...item({ title: "Reused id" }), tags: "[]" }]);
+
+        const response = await restore([
+            { type: "session", id: "sess_1" },
+            { type: "session", id: "sess_2" },
+            { type: "widget", id: "x" },
+            { type: "speaker" }
+        ], context);
+
+        assert.equal(response.status, 200);
+        assert.equal(response.jsonBody.restored, 0);
+        assert.deepEqual(response.jsonBody.results.map(result => result.status), [409, 404, 400, 400]);
+        assert.equal((await listTrash()).length, 1);
+
+        const empty = await trash.restoreTrash(createRequest({ method: "POST", body: { items: [] } }), context);
+        assert.equal(empty.status, 400);
+    });
+
+    it("forgets records once their retention has passed", async () => {
+        process.env.TRASH_RETENTION_DAYS = "7";
+        const id = await addSession({}, context);
+        await schedule.deleteScheduleItem(createRequest({ method: "DELETE", params: { id } }), context);
+
+        const [entry] = await listTrash();
+        assert.equal(Date.parse(entry.expiresAt) - Date.parse(entry.deletedAt), 7 * 24 * 60 * 60 * 1000);
+
+        const [row] = await listRows(TRASH_TABLE);
+        await seed(TRASH_TABLE, [{ ...row, rowKey: "sess_old", expiresAt: "2020-01-01T00:00:00.000Z" }]);
+
+        const response = await restore([{ type: "session", id: "sess_old" }], context);
+        assert.equal(response.jsonBody.results[0].status, 404);
+        assert.deepEqual((await listTrash()).map(entry => entry.id), [id]);
+        assert.deepEqual((await listRows(TRASH_TABLE)).map(row => row.rowKey), [id]);
+    });
+
+    it("purges a record for good and records restores and purges in the audit log", async () => {
+        const id = await addSession({}, context);
+        const speakerId = await addSpeaker({ name: "Rick Claus" }, context);
+        await schedule.deleteScheduleItem(createRequest({ method: "DELETE", params: { id } }), context);
+        await speakers.deleteSpeaker(createRequest({ method: "DELETE", params: { id: speakerId } }), context);
+
+        await restore([{ type: "session", id }], context);
+        const purged = await trash.purgeTrashItem(createRequest({ method: "DELETE", headers: EDITOR, params: { type: "speaker", id: speakerId } }), context);
+        assert.equal(purged.status, 200);
+        assert.deepEqual(await listTrash(), []);
+
+        const missing = await trash.purgeTrashItem(createRequest({ method: "DELETE", params: { type: "speaker", id: speakerId } }), context);
+        assert.equal(missing.status, 404);
+
+        const { entries } = (await audit.getAuditLog(createRequest({ query: { source: "trash" } }), context)).jsonBody;
+        assert.deepEqual(entries.map(entry => [entry.action, entry.entityType, entry.entityId]), [
+            ["purge", "speaker", speakerId],
+            ["restore", "session", id]
+        ]);
+        assert.equal(entries[0].before.name, "Rick Claus");
+        assert.equal(entries[1].after.title, "Keynote");
+    });
+
+    it("rejects an unknown type filter", async () => {
+        const response = await trash.getTrash(createRequest({ query: { type: "widget" } }), context);
+
+        assert.equal(response.status, 400);
+        assert.deepEqual(response.jsonBody.fields.map(error => error.field), ["type"]);
+    });
+});
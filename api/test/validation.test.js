@@ -0,0 +1,81 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { SCHEDULE_ITEM_SCHEMA, SPEAKER_SCHEMA, validate, formatValidationErrors } = require("../src/shared/validation");
+
+const validItem = {
+    videoId: "dQw4w9WgXcQ",
+    title: "Opening Keynote",
+    description: "Welcome",
+    url: "https://www.youtube.com/watch?v=dQw4w9WgXcQ",
+    startTime: "2026-02-05T10:00:00-05:00",
+    duration: 1800
+};
+
+describe("validate", () => {
+    it("accepts a valid schedule item", () => {
+        assert.deepEqual(validate(SCHEDULE_ITEM_SCHEMA, validItem), []);
+    });
+
+    it("requires required fields unless partial", () => {
+        assert.deepEqual(validate(SCHEDULE_ITEM_SCHEMA, {}).map(e => e.field), ["videoId", "title", "startTime"]);
+        assert.deepEqual(validate(SCHEDULE_ITEM_SCHEMA, {}, { partial: true }), []);
+    });
+
+    it("does not let a partial update clear required fields", () => {
+        assert.deepEqual(validate(SCHEDULE_ITEM_SCHEMA, { title: null, description: null }, { partial: true }), [
+            { field: "title", message: "is required and cannot be cleared" }
+        ]);
+    });
+
+    it("rejects date-times without a timezone or that do not exist", () => {
+        for (const startTime of ["2026-02-05T10:00", "2026-02-05", "2026-13-45T10:00:00Z", "2026-02-30T10:00:00Z", "2026-02-05T24:00:00Z", "Feb 5 2026 10:00 EST"]) {
+            assert.equal(validate(SCHEDULE_ITEM_SCHEMA, { ...validItem, startTime })[0]?.field, "startTime", startTime);
+        }
+    });
+
+    it("checks YouTube video ids, durations and lengths", () => {
+        const errors = validate(SCHEDULE_ITEM_SCHEMA, {
+            ...validItem,
+            videoId: "dQw4w9WgXcQ!",
+            duration: "60",
+            title: "x".repeat(201)
+        });
+        assert.deepEqual(errors, [
+            { field: "videoId", message: "must be an 11-character YouTube video ID" },
+            { field: "title", message: "must be at most 200 characters" },
+            { field: "duration", message: "must be a whole number" }
+        ]);
+    });
+
+    it("validates speaker URLs and session id arrays", () => {
+        const errors = validate(SPEAKER_SCHEMA, {
+            name: "Rick Claus",
+            linkedin: "linkedin.com/in/rick",
+            sessionIds: "sess_1"
+        });
+        assert.deepEqual(errors.map(e => e.field), ["linkedin", "sessionIds"]);
+    });
+
+    it("limits the length of each tag, badge and alias", () => {
+        assert.deepEqual(validate(SCHEDULE_ITEM_SCHEMA, { ...validItem, tags: ["azure", "x".repeat(50)] }), []);
+        assert.deepEqual(validate(SCHEDULE_ITEM_SCHEMA, { ...validItem, tags: ["azure", "x".repeat(100 * 1024)] }), [
+            { field: "tags", message: "must have items of at most 50 characters" }
+        ]);
+        const errors = validate(SPEAKER_SCHEMA, { name: "Rick Claus", badges: ["x".repeat(51)], aliases: ["x".repeat(101)] });
+        assert.deepEqual(errors.map(e => e.field), ["badges", "aliases"]);
+    });
+
+    it("rejects a body that is not an object", () => {
+        assert.deepEqual(validate(SPEAKER_SCHEMA, ["Rick"]), [{ field: "body", message: "must be a JSON object" }]);
+    });
+});
+
+describe("formatValidationErrors", () => {
+    it("joins field errors into one line", () => {
+        assert.equal(
+            formatValidationErrors([{ field: "title", message: "is required" }, { field: "duration", message: "must be a whole number" }]),
+            "title is required; duration must be a whole number"
+        );
+    });
+});